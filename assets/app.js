@@ -6,16 +6,76 @@
 // ---- Configuration ----
 const CONFIG = {
     OPENROUTER_URL: 'https://openrouter.ai/api/v1/chat/completions',
+    ANTHROPIC_URL: 'https://api.anthropic.com',
+    ANTHROPIC_VERSION: '2023-06-01',
     DEFAULT_MAX_TOKENS: 4000,
     MAX_TOPIC_LENGTH: 4000,
     MIN_TOPIC_LENGTH: 10,
     LOG_MAX_ENTRIES: 500,
     REQUEST_TIMEOUT_MS: 180000,
+    STREAM_IDLE_TIMEOUT_MS: 90000,
+    MAX_CONCURRENCY: 4,
+    // USD per 1M tokens. Editable locally in Settings → Pricing.
+    MODEL_PRICES: {
+        'anthropic/claude-3.5-sonnet': { prompt: 3, completion: 15 },
+        'anthropic/claude-3-opus': { prompt: 15, completion: 75 },
+        'openai/gpt-4.1': { prompt: 2, completion: 8 },
+        'openai/gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+        'google/gemini-1.5-pro': { prompt: 1.25, completion: 5 },
+        'cohere/command-r-plus': { prompt: 2.5, completion: 10 },
+        'mistral/mistral-large-latest': { prompt: 2, completion: 6 },
+        'x-ai/grok-beta': { prompt: 5, completion: 15 }
+    },
+    // Context windows in tokens; unknown models get DEFAULT_CONTEXT_TOKENS
+    MODEL_CONTEXT_TOKENS: {
+        'anthropic/claude-3.5-sonnet': 200000,
+        'anthropic/claude-3-opus': 200000,
+        'openai/gpt-4.1': 1047576,
+        'openai/gpt-4.1-mini': 1047576,
+        'google/gemini-1.5-pro': 2000000,
+        'cohere/command-r-plus': 128000,
+        'mistral/mistral-large-latest': 128000,
+        'x-ai/grok-beta': 131072
+    },
+    DEFAULT_CONTEXT_TOKENS: 32000,
+    // Share of the context window kept free, since token counts are estimates
+    CONTEXT_SAFETY_MARGIN: 0.1,
+    // A prompt section cut by more than this factor is condensed by the model
+    // instead of truncated, provided it may keep at least CONTEXT_SUMMARY_MIN_TOKENS
+    CONTEXT_SUMMARIZE_RATIO: 1.5,
+    CONTEXT_SUMMARY_MIN_TOKENS: 300,
+    FOLLOWUP_MAX_TOKENS: 1500,
+    FOLLOWUP_MAX_CONTEXT_TOKENS: 24000,
+    // Attached source documents: kept small enough to fit in the checkpoint
+    SOURCE_MAX_TOTAL_CHARS: 500000,
+    SOURCE_CHUNK_CHARS: 1200,
+    SOURCE_CHUNKS_PER_PERSPECTIVE: 4,
+    SOURCE_CHUNKS_FOR_SYNTHESIS: 6,
+    // Gap-driven refinement after the global synthesis
+    MAX_REFINEMENT_ROUNDS: 3,
+    REFINEMENT_QUESTIONS_PER_ROUND: 3,
+    // Claims matrix: atomic claims read from each perspective's synthesis
+    CLAIMS_PER_PERSPECTIVE: 6,
+    DEFAULT_RETRY: {
+        maxAttempts: 4,
+        baseDelayMs: 1000,
+        maxDelayMs: 60000,
+        jitter: 0.3
+    },
     SETTINGS_KEY: 'advancedResearchTool.settings.v1',
+    HISTORY_DB_NAME: 'advancedResearchTool.history',
+    HISTORY_DB_VERSION: 1,
+    HISTORY_STORE: 'runs',
+    CHECKPOINT_KEY: 'advancedResearchTool.checkpoint.v1',
+    CHECKPOINT_VERSION: 1,
+    RUN_BUNDLE_FORMAT: 'advanced-research-tool.run',
+    RUN_BUNDLE_VERSION: 1,
     HEADERS_META: {
         'X-Title': 'Advanced Research Tool',
     },
     DEFAULT_SETTINGS: {
+        provider: 'openrouter',
+        providerBaseUrl: '',
         apiKey: '',
         defaultModel: 'anthropic/claude-3.5-sonnet',
         defaultCustomModel: '',
@@ -23,10 +83,44 @@ const CONFIG = {
         defaultConstraints: '',
         theme: 'auto',
         compact: false,
-        reducedMotion: false
+        reducedMotion: false,
+        streaming: true,
+        retryMaxAttempts: 4,
+        retryBaseDelayMs: 1000,
+        fallbackModels: [],
+        concurrency: 1,
+        priceTable: null,
+        contextTable: null,
+        promptTemplateSets: []
     }
 };
 
+// ---- Errors ----
+
+class ResearchCancelledError extends Error {
+    constructor(message = 'Research run was cancelled or is no longer active.') {
+        super(message);
+        this.name = 'ResearchCancelledError';
+    }
+}
+
+class BudgetExceededError extends ResearchCancelledError {
+    constructor(message) {
+        super(message);
+        this.name = 'BudgetExceededError';
+    }
+}
+
+class ApiRequestError extends Error {
+    constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'ApiRequestError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
 // ---- Utility Functions ----
 
 function sanitizeText(input) {
@@ -39,10 +133,85 @@ function truncateForLog(message, maxLen = 120) {
     return message.length > maxLen ? message.slice(0, maxLen - 3) + '...' : message;
 }
 
-function createAbortableTimeout(ms) {
+function createIdleTimeout(ms, parentSignal) {
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), ms);
-    return { controller, timeout };
+    let timeout = setTimeout(() => controller.abort(), ms);
+    const onParentAbort = () => controller.abort();
+    if (parentSignal) {
+        if (parentSignal.aborted) {
+            controller.abort();
+        } else {
+            parentSignal.addEventListener('abort', onParentAbort);
+        }
+    }
+    return {
+        controller,
+        touch() {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => controller.abort(), ms);
+        },
+        clear() {
+            clearTimeout(timeout);
+            if (parentSignal) {
+                parentSignal.removeEventListener('abort', onParentAbort);
+            }
+        }
+    };
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new Error('Aborted'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new Error('Aborted'));
+        };
+        const timeout = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Parses a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Whether a failed call should be retried on the next model in the fallback
+ * chain. Auth and billing errors (401/402/403) would fail the same way on
+ * any model, so they are not.
+ */
+function isFallbackEligible(err) {
+    if (!(err instanceof ApiRequestError)) return false;
+    return err.retryable || err.status === 400 || err.status === 404;
+}
+
+function computeRetryDelay(attempt, policy, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+        return Math.min(retryAfterMs, policy.maxDelayMs);
+    }
+    const exponential = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+    const jitter = exponential * policy.jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(exponential + jitter));
 }
 
 function safeGetFirstChoiceContent(data) {
@@ -62,1060 +231,7618 @@ function safeGetFirstChoiceContent(data) {
     throw new Error('Malformed API response: missing choices[0].message.content');
 }
 
-function buildUserPrompt(base, extraSections) {
-    const sections = [base].concat(extraSections || []);
-    return sections.join('\n\n');
+function safeGetDeltaContent(chunk) {
+    if (
+        chunk &&
+        Array.isArray(chunk.choices) &&
+        chunk.choices[0] &&
+        chunk.choices[0].delta &&
+        typeof chunk.choices[0].delta.content === 'string'
+    ) {
+        return chunk.choices[0].delta.content;
+    }
+    return '';
 }
 
-function escapeHtml(str) {
-    if (typeof str !== 'string') return '';
-    return str
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#039;');
+/**
+ * Incremental parser for Server-Sent Events as emitted by OpenRouter and
+ * the other supported providers.
+ * Feed raw decoded text via push(); onData is called with the payload of
+ * every complete `data:` line. Comment lines (": OPENROUTER PROCESSING")
+ * and other fields are ignored.
+ */
+function createSseParser(onData) {
+    let buffer = '';
+
+    function processLine(line) {
+        const trimmed = line.replace(/\r$/, '');
+        if (!trimmed || trimmed.startsWith(':')) return;
+        if (!trimmed.startsWith('data:')) return;
+        onData(trimmed.slice(5).trimStart());
+    }
+
+    return {
+        push(text) {
+            buffer += text;
+            let newlineIndex = buffer.indexOf('\n');
+            while (newlineIndex !== -1) {
+                processLine(buffer.slice(0, newlineIndex));
+                buffer = buffer.slice(newlineIndex + 1);
+                newlineIndex = buffer.indexOf('\n');
+            }
+        },
+        flush() {
+            if (buffer) {
+                processLine(buffer);
+                buffer = '';
+            }
+        }
+    };
 }
 
-function setBodyTheme(theme) {
-    document.body.classList.remove('theme-dark');
-    if (theme === 'dark') {
-        document.body.classList.add('theme-dark');
-    } else if (theme === 'auto') {
-        const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-        if (prefersDark) document.body.classList.add('theme-dark');
-    }
+// ---- LLM Providers ----
+
+function joinUrl(base, path) {
+    return `${String(base || '').replace(/\/+$/, '')}${path}`;
 }
 
-function setBodyDensity(compact) {
-    document.body.classList.remove('density-compact', 'density-spacious');
-    if (compact) {
-        document.body.classList.add('density-compact');
+function buildOpenAiBody({ model, messages, maxTokens, temperature, stream, responseFormat }) {
+    const body = { model, messages, max_tokens: maxTokens, temperature, stream };
+    if (responseFormat) {
+        body.response_format = responseFormat;
     }
+    return body;
 }
 
-function setBodyMotion(reduced) {
-    document.body.classList.toggle('reduced-motion', !!reduced);
+function parseOpenAiResponse(data) {
+    return { content: safeGetFirstChoiceContent(data), usage: (data && data.usage) || null };
 }
 
-function updateLiveStatus(text) {
-    const region = document.getElementById('statusLiveRegion');
-    if (region) {
-        region.textContent = text || '';
+function parseOpenAiStreamEvent(chunk, label) {
+    if (chunk && chunk.error) {
+        const status = Number(chunk.error.code) || null;
+        throw new ApiRequestError(
+            `${label} stream error: ${JSON.stringify(chunk.error.message || chunk.error)}`,
+            { status, retryable: status === null || isRetryableStatus(status) }
+        );
     }
+    return { delta: safeGetDeltaContent(chunk), usage: (chunk && chunk.usage) || null, done: false };
 }
 
-// ---- Settings Manager ----
-
-const SettingsManager = {
-    load() {
-        try {
-            const raw = localStorage.getItem(CONFIG.SETTINGS_KEY);
-            if (!raw) return { ...CONFIG.DEFAULT_SETTINGS };
-            const parsed = JSON.parse(raw);
-            return { ...CONFIG.DEFAULT_SETTINGS, ...parsed };
-        } catch {
-            return { ...CONFIG.DEFAULT_SETTINGS };
+/**
+ * The Messages API takes system prompts separately and expects turns to
+ * alternate, so consecutive same-role messages are merged.
+ */
+function toAnthropicMessages(messages) {
+    const system = [];
+    const turns = [];
+    messages.forEach((message) => {
+        if (message.role === 'system') {
+            system.push(message.content);
+            return;
+        }
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.content += `\n\n${message.content}`;
+        } else {
+            turns.push({ role, content: message.content });
         }
+    });
+    return { system: system.join('\n\n'), messages: turns };
+}
+
+function fromAnthropicUsage(usage) {
+    if (!usage) return null;
+    const mapped = {};
+    if (typeof usage.input_tokens === 'number') mapped.prompt_tokens = usage.input_tokens;
+    if (typeof usage.output_tokens === 'number') mapped.completion_tokens = usage.output_tokens;
+    return mapped;
+}
+
+/**
+ * Adapters for each supported API. An adapter turns one chat request
+ * into { url, headers, body } and maps responses back to
+ * { content, usage }, with usage in OpenAI's shape
+ * ({ prompt_tokens, completion_tokens }):
+ *
+ *   buildRequest({ model, messages, maxTokens, temperature, stream, responseFormat }, { apiKey, baseUrl })
+ *   parseResponse(data)
+ *   parseStreamEvent(chunk, label) -> { delta, usage, done }
+ *
+ * parseStreamEvent gets each SSE `data:` payload as parsed JSON and
+ * throws ApiRequestError for in-stream errors. An adapter may also bring
+ * its own `fetch(url, init)` in place of the global one.
+ */
+const LLM_PROVIDERS = {
+    openrouter: {
+        id: 'openrouter',
+        label: 'OpenRouter',
+        requiresApiKey: true,
+        requiresBaseUrl: false,
+        supportsResponseFormat: true,
+        // OpenRouter model IDs are "vendor/model"
+        isModelId: (model) => /^[^\s/]+\/\S+$/.test(model),
+        buildRequest(request, { apiKey }) {
+            const body = { ...buildOpenAiBody(request), usage: { include: true } };
+            if (request.responseFormat) {
+                // Only route to providers that actually honor response_format
+                body.provider = { require_parameters: true };
+            }
+            const headers = {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${apiKey}`,
+                ...CONFIG.HEADERS_META
+            };
+            if (typeof window !== 'undefined' && window.location && window.location.href) {
+                headers['HTTP-Referer'] = window.location.href;
+            }
+            return { url: CONFIG.OPENROUTER_URL, headers, body };
+        },
+        parseResponse: parseOpenAiResponse,
+        parseStreamEvent: parseOpenAiStreamEvent
     },
-    save(settings) {
-        const toStore = { ...CONFIG.DEFAULT_SETTINGS, ...(settings || {}) };
-        localStorage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify(toStore));
-        return toStore;
+
+    // Any server exposing /chat/completions: llama.cpp, Ollama, vLLM, LM Studio, ...
+    openai_compatible: {
+        id: 'openai_compatible',
+        label: 'OpenAI-compatible server',
+        requiresApiKey: false,
+        requiresBaseUrl: true,
+        supportsResponseFormat: true,
+        isModelId: (model) => /^\S+$/.test(model),
+        buildRequest(request, { apiKey, baseUrl }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers['Authorization'] = `Bearer ${apiKey}`;
+            }
+            return { url: joinUrl(baseUrl, '/chat/completions'), headers, body: buildOpenAiBody(request) };
+        },
+        parseResponse: parseOpenAiResponse,
+        parseStreamEvent: parseOpenAiStreamEvent
     },
-    reset() {
-        localStorage.removeItem(CONFIG.SETTINGS_KEY);
-        return { ...CONFIG.DEFAULT_SETTINGS };
+
+    anthropic: {
+        id: 'anthropic',
+        label: 'Anthropic Messages API',
+        requiresApiKey: true,
+        requiresBaseUrl: false,
+        supportsResponseFormat: false,
+        isModelId: (model) => /^\S+$/.test(model),
+        buildRequest({ model, messages, maxTokens, temperature, stream }, { apiKey, baseUrl }) {
+            const converted = toAnthropicMessages(messages);
+            const body = { model, messages: converted.messages, max_tokens: maxTokens, temperature, stream };
+            if (converted.system) {
+                body.system = converted.system;
+            }
+            return {
+                url: joinUrl(baseUrl || CONFIG.ANTHROPIC_URL, '/v1/messages'),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': CONFIG.ANTHROPIC_VERSION,
+                    // Required for requests made directly from a web page
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body
+            };
+        },
+        parseResponse(data) {
+            if (!data || !Array.isArray(data.content)) {
+                throw new Error('Malformed API response: missing content blocks');
+            }
+            const content = data.content
+                .filter((block) => block && block.type === 'text')
+                .map((block) => block.text)
+                .join('');
+            return { content, usage: fromAnthropicUsage(data.usage) };
+        },
+        parseStreamEvent(event, label) {
+            const type = event && event.type;
+            if (type === 'error') {
+                const error = event.error || {};
+                throw new ApiRequestError(`${label} stream error: ${JSON.stringify(error.message || error)}`, {
+                    retryable: error.type === 'overloaded_error' || error.type === 'api_error'
+                });
+            }
+            if (type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+                return { delta: event.delta.text || '', usage: null, done: false };
+            }
+            if (type === 'message_start') {
+                return { delta: '', usage: fromAnthropicUsage(event.message && event.message.usage), done: false };
+            }
+            if (type === 'message_delta') {
+                return { delta: '', usage: fromAnthropicUsage(event.usage), done: false };
+            }
+            return { delta: '', usage: null, done: type === 'message_stop' };
+        }
     }
 };
 
-// ---- AdvancedResearcher Class (core logic) ----
+function matchesMockRule(match, request) {
+    if (match === undefined || match === null) return true;
+    if (typeof match === 'function') return !!match(request);
+    const userMessages = (request.messages || []).filter((message) => message.role === 'user');
+    const text = userMessages.length ? String(userMessages[userMessages.length - 1].content) : '';
+    return match instanceof RegExp ? match.test(text) : text.includes(String(match));
+}
 
-class AdvancedResearcher {
-    constructor(apiKey, modelId, constraints, uiHooks) {
-        this.apiKey = apiKey;
-        this.modelId = modelId;
-        this.constraints = constraints || '';
-        this.researchLog = [];
-        this.uiHooks = uiHooks || {};
-        this.active = true;
-    }
+function createAbortError() {
+    const error = new Error('The operation was aborted.');
+    error.name = 'AbortError';
+    return error;
+}
 
-    ensureActive() {
-        if (!this.active) {
-            throw new Error('Research run was cancelled or is no longer active.');
-        }
+function mockEventStream(content, usage) {
+    const pieces = content.match(/\S+\s*|\s+/g) || [];
+    const events = pieces.map((piece) => ({ choices: [{ delta: { content: piece } }] }));
+    if (usage) {
+        events.push({ choices: [], usage });
     }
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            events.forEach((event) => controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\n\n`)));
+            controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+            controller.close();
+        }
+    });
+}
 
-    async log(message, level = 'info') {
-        this.ensureActive();
-        const timestamp = new Date().toLocaleTimeString();
-        const entry = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-        this.researchLog.push(entry);
+/**
+ * Deterministic stand-in for a real provider, for tests and offline demos.
+ * Replies come from `responses`, a list of rules checked in order:
+ *
+ *   { match, content, usage, status, error, retryAfter, networkError, latencyMs, times }
+ *
+ * `match` is a substring or RegExp tested against the last user message,
+ * or a function of the request body; a rule without one matches any call.
+ * `content` may also be a function of the request. `status` answers with
+ * that HTTP error, `networkError` makes the request fail outright, and
+ * `times` retires a rule after that many uses. Calls with no matching
+ * rule get `defaultContent`.
+ *
+ * Requests go through the same fetch path as real adapters, so retries,
+ * fallbacks, timeouts, streaming and cancellation all apply. Every
+ * request body is recorded in `calls`.
+ */
+function createMockProvider({ responses = [], latencyMs = 0, defaultContent = 'Mock response.' } = {}) {
+    const rules = responses.map((rule) => ({ ...rule, used: 0 }));
+    const calls = [];
+
+    const findRule = (request) => rules.find((rule) =>
+        !(typeof rule.times === 'number' && rule.used >= rule.times) && matchesMockRule(rule.match, request)
+    ) || null;
+
+    return {
+        id: 'mock',
+        label: 'Mock provider',
+        requiresApiKey: false,
+        requiresBaseUrl: false,
+        supportsResponseFormat: true,
+        isModelId: (model) => /^\S+$/.test(model),
+        calls,
+        buildRequest(request) {
+            return {
+                url: 'mock://chat/completions',
+                headers: { 'Content-Type': 'application/json' },
+                body: buildOpenAiBody(request)
+            };
+        },
+        parseResponse: parseOpenAiResponse,
+        parseStreamEvent: parseOpenAiStreamEvent,
+        async fetch(url, { body, signal }) {
+            const request = JSON.parse(body);
+            calls.push(request);
+            const rule = findRule(request);
+            if (rule) rule.used++;
+            const reply = rule || {};
+
+            const delay = typeof reply.latencyMs === 'number' ? reply.latencyMs : latencyMs;
+            if (delay > 0) {
+                await sleep(delay, signal).catch(() => {
+                    throw createAbortError();
+                });
+            }
+            if (signal && signal.aborted) {
+                throw createAbortError();
+            }
+            if (reply.networkError) {
+                throw new TypeError('Failed to fetch');
+            }
 
-        if (this.researchLog.length > CONFIG.LOG_MAX_ENTRIES) {
-            this.researchLog.shift();
-        }
+            const jsonHeaders = { 'content-type': 'application/json' };
+            if (reply.status) {
+                const headers = reply.retryAfter !== undefined
+                    ? { ...jsonHeaders, 'retry-after': String(reply.retryAfter) }
+                    : jsonHeaders;
+                return new Response(
+                    JSON.stringify({ error: { message: reply.error || `Mock error ${reply.status}` } }),
+                    { status: reply.status, headers }
+                );
+            }
 
-        if (typeof this.uiHooks.onLog === 'function') {
-            this.uiHooks.onLog(entry);
+            let content = typeof reply.content === 'function' ? reply.content(request) : reply.content;
+            content = typeof content === 'string' ? content : defaultContent;
+            const usage = reply.usage || null;
+            if (request.stream) {
+                return new Response(mockEventStream(content, usage), {
+                    headers: { 'content-type': 'text/event-stream' }
+                });
+            }
+            const data = { choices: [{ message: { role: 'assistant', content } }] };
+            if (usage) {
+                data.usage = usage;
+            }
+            return new Response(JSON.stringify(data), { headers: jsonHeaders });
         }
+    };
+}
 
-        if (typeof this.uiHooks.onProgressText === 'function') {
-            this.uiHooks.onProgressText(truncateForLog(message, 140));
-        }
+function getProviderLabel(id) {
+    return LLM_PROVIDERS[id] ? LLM_PROVIDERS[id].label : String(id || '');
+}
 
-        console.log(entry);
+function getProvider(id) {
+    const provider = LLM_PROVIDERS[id || 'openrouter'];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${id}".`);
     }
+    return provider;
+}
 
-    async callOpenRouter(messages, {
-        maxTokens = CONFIG.DEFAULT_MAX_TOKENS,
-        temperature = 0.2,
-        label = 'OpenRouter call'
-    } = {}) {
-        this.ensureActive();
+// ---- Prompt Templates ----
 
-        if (!Array.isArray(messages) || messages.length === 0) {
-            throw new Error('Internal error: messages array is empty.');
-        }
+const COMMON_PLACEHOLDERS = ['topic', 'constraints', 'constraints_section'];
+const PERSPECTIVE_PLACEHOLDERS = [
+    'perspective',
+    'perspective_rationale',
+    'perspective_methods',
+    'perspective_details',
+    'sources_section'
+];
 
-        const payload = {
-            model: this.modelId,
-            messages,
-            max_tokens: maxTokens,
-            temperature,
-            stream: false
-        };
+/**
+ * Editable prompt phases, in pipeline order, with the placeholders each
+ * one may use. `constraints` is the raw constraints text;
+ * `constraints_section` is a ready-made paragraph, or empty when there
+ * are no constraints. `perspective` is the perspective title and
+ * `perspective_details` its rationale and methods as a short block.
+ * `sources_section` holds excerpts from attached source documents, or
+ * is empty when none are attached.
+ */
+const PROMPT_TEMPLATE_PHASES = [
+    { key: 'topic_analysis', label: 'Topic analysis', placeholders: COMMON_PLACEHOLDERS },
+    {
+        key: 'perspectives',
+        label: 'Perspective generation',
+        placeholders: [...COMMON_PLACEHOLDERS, 'topic_analysis', 'min_perspectives', 'max_perspectives']
+    },
+    { key: 'initial_research', label: 'Initial research', placeholders: [...COMMON_PLACEHOLDERS, ...PERSPECTIVE_PLACEHOLDERS] },
+    {
+        key: 'critical_analysis',
+        label: 'Critical analysis',
+        placeholders: [...COMMON_PLACEHOLDERS, ...PERSPECTIVE_PLACEHOLDERS, 'initial_research']
+    },
+    {
+        key: 'identified_gaps',
+        label: 'Gap analysis',
+        placeholders: [...COMMON_PLACEHOLDERS, ...PERSPECTIVE_PLACEHOLDERS, 'initial_research', 'critical_analysis']
+    },
+    {
+        key: 'perspective_synthesis',
+        label: 'Perspective synthesis',
+        placeholders: [
+            ...COMMON_PLACEHOLDERS,
+            ...PERSPECTIVE_PLACEHOLDERS,
+            'initial_research',
+            'critical_analysis',
+            'identified_gaps'
+        ]
+    },
+    {
+        key: 'claim_extraction',
+        label: 'Claim extraction',
+        placeholders: [...COMMON_PLACEHOLDERS, 'perspective', 'synthesis', 'max_claims']
+    },
+    {
+        key: 'claim_clustering',
+        label: 'Claim clustering',
+        placeholders: [...COMMON_PLACEHOLDERS, 'claims']
+    },
+    {
+        key: 'synthesis',
+        label: 'Global synthesis',
+        placeholders: [...COMMON_PLACEHOLDERS, 'research_summary', 'sources_section']
+    },
+    {
+        key: 'refinement_questions',
+        label: 'Refinement sub-questions',
+        placeholders: [...COMMON_PLACEHOLDERS, 'synthesis', 'identified_gaps', 'asked_questions', 'max_questions', 'round']
+    },
+    {
+        key: 'refinement_research',
+        label: 'Refinement research',
+        placeholders: [...COMMON_PLACEHOLDERS, 'question', 'synthesis', 'round']
+    },
+    {
+        key: 'refinement_synthesis',
+        label: 'Revised synthesis',
+        placeholders: [...COMMON_PLACEHOLDERS, 'synthesis', 'new_findings', 'round']
+    },
+    {
+        key: 'red_team_critique',
+        label: 'Red-team critique',
+        placeholders: [...COMMON_PLACEHOLDERS, 'synthesis', 'perspective_summaries']
+    },
+    {
+        key: 'red_team_revision',
+        label: 'Red-team revision',
+        placeholders: [...COMMON_PLACEHOLDERS, 'synthesis', 'critique']
+    },
+    {
+        key: 'context_summary',
+        label: 'Condensed context',
+        placeholders: [...COMMON_PLACEHOLDERS, 'section', 'text', 'max_words']
+    }
+];
+
+const DEFAULT_PROMPT_TEMPLATES = {
+    topic_analysis: [
+        'Perform a comprehensive analysis of the research topic: "{topic}"',
+        '',
+        'Provide:',
+        '1. TopicCQ: complexity assessment (scale 1-10) with justification.',
+        '2. Key subtopics and core questions.',
+        '3. Suitable methodologies and evidence types.',
+        '4. Critical uncertainties and assumptions.',
+        '5. Interdisciplinary links worth exploring.',
+        '6. Current research gaps & data limitations.',
+        '',
+        'Be structured, concise, and decision-useful.'
+    ].join('\n'),
+    perspectives: [
+        'Based on the topic "{topic}" and the following analysis (if any):',
+        '{topic_analysis}',
+        '',
+        'Generate between {min_perspectives} and {max_perspectives} distinct, high-quality research perspectives.',
+        'Each perspective must be:',
+        '- Clearly named (start with a bold title).',
+        '- Methodologically sound and academically relevant.',
+        '- Non-overlapping and genuinely distinct.',
+        '- Capable of yielding substantial insight.',
+        '',
+        'Return as a numbered list: "1. Title: short rationale".'
+    ].join('\n'),
+    initial_research: [
+        'Conduct a thorough investigation into this research perspective:',
+        '"{perspective}"',
+        '{perspective_details}',
+        '',
+        '{constraints_section}',
+        '',
+        '{sources_section}',
+        '',
+        'Requirements:',
+        '- Outline key theories, models, and frameworks.',
+        '- Summarize major findings and representative studies.',
+        '- Include concrete examples and (approximate) citations where appropriate.',
+        '- Identify important datasets, benchmarks, or empirical evidence.',
+        '- Highlight leading researchers, institutions, and recent developments (last 2-3 years).',
+        '- Note practical applications, where relevant.',
+        '- Avoid vague statements; prefer specific details.'
+    ].join('\n'),
+    critical_analysis: [
+        'Critically evaluate the following research overview for "{perspective}":',
+        '{initial_research}',
+        '',
+        'Provide:',
+        '1. Strengths and weaknesses of the arguments and evidence.',
+        '2. Evaluation of methodological quality and limitations.',
+        '3. Biases and threats to validity.',
+        '4. Comparison with mainstream / consensus views where applicable.',
+        '5. Reproducibility and robustness considerations.'
+    ].join('\n'),
+    identified_gaps: [
+        'Using the perspective "{perspective}", the research overview, and its critical evaluation:',
+        '',
+        'Research overview:',
+        '{initial_research}...',
+        '',
+        'Critical analysis:',
+        '{critical_analysis}...',
+        '',
+        'Identify:',
+        '1. Concrete research gaps and unanswered questions.',
+        '2. Opportunities for novel contributions (theoretical & applied).',
+        '3. Methodological improvements or new study designs.',
+        '4. Practical & policy implications.',
+        '5. Interdisciplinary collaboration opportunities.',
+        'Be specific and actionable. Structure points clearly.'
+    ].join('\n'),
+    perspective_synthesis: [
+        'Synthesize a cohesive view for the perspective "{perspective}".',
+        '',
+        'Base your synthesis on:',
+        '- Research overview: {initial_research}...',
+        '- Critical analysis: {critical_analysis}...',
+        '- Gaps & opportunities: {identified_gaps}...',
+        '',
+        '{sources_section}',
+        '',
+        'Provide:',
+        '1. Integrated narrative with key insights.',
+        '2. Assessment of current evidence quality.',
+        '3. Priority list of research directions (High/Medium/Low).',
+        '4. Suggested methodologies & datasets for top priorities.',
+        '5. Practical applications and expected impact.',
+        'Make it clear, structured, and non-redundant.'
+    ].join('\n'),
+    claim_extraction: [
+        'Extract the key factual claims from the following findings of the perspective "{perspective}" on "{topic}".',
+        '',
+        'Findings:',
+        '{synthesis}',
+        '',
+        'List at most {max_claims} atomic claims: each a single, self-contained, checkable statement of fact or conclusion,',
+        'understandable without the surrounding text. Skip recommendations, open questions, and descriptions of method.',
+        'Most important claims first.',
+        '',
+        'Return JSON: {{"claims": string[]}}.'
+    ].join('\n'),
+    claim_clustering: [
+        'The claims below were extracted from different research perspectives on "{topic}". Each starts with its ID',
+        'and the perspective it comes from.',
+        '',
+        '{claims}',
+        '',
+        'Group claims that make the same assertion, or directly opposing assertions about the same point, into clusters.',
+        'For each cluster, write one neutral statement of the assertion and give each member\'s stance towards it:',
+        '"supports" if the claim asserts it, "contradicts" if the claim asserts the opposite or is incompatible with it.',
+        'Claims that match no other claim form a cluster of their own. Use every claim ID exactly once.',
+        '',
+        'Return JSON: {{"clusters": [{{"statement": string, "members": [{{"id": string, "stance": "supports" | "contradicts"}}]}}]}}.'
+    ].join('\n'),
+    synthesis: [
+        'Synthesize comprehensive research findings from multiple perspectives on: {topic}',
+        '',
+        'Create a detailed research report that includes:',
+        '1. Executive summary of key findings (max ~300 words).',
+        '2. Integrated analysis across all perspectives and themes.',
+        '3. Critical insights and emerging patterns.',
+        '4. Overall research quality assessment and confidence levels.',
+        '5. Consolidated gap analysis with prioritized opportunities.',
+        '6. Concrete recommendations for future research (methods, timelines, resources).',
+        '7. Practical applications, implementation strategies, and expected impact.',
+        '8. Limitations of this synthesis (including relying on model-generated text).',
+        '',
+        'Write as a structured, clearly formatted report.',
+        '',
+        'Contextual research summary:',
+        '{research_summary}',
+        '',
+        '{sources_section}'
+    ].join('\n'),
+    refinement_questions: [
+        'Below is the current research synthesis on "{topic}" and the gaps identified per perspective.',
+        '',
+        'Current synthesis:',
+        '{synthesis}',
+        '',
+        'Identified gaps:',
+        '{identified_gaps}',
+        '',
+        'Already researched in earlier rounds:',
+        '{asked_questions}',
+        '',
+        'Pick the {max_questions} highest-priority gaps that the synthesis leaves open and that further research',
+        'could realistically close. Turn each into one specific, answerable sub-question.',
+        'Do not repeat questions that were already researched.',
+        '',
+        'Return only a numbered list of questions, most important first.',
+        'If no important gaps remain, reply with NONE.'
+    ].join('\n'),
+    refinement_research: [
+        'As part of research on "{topic}", answer this open sub-question in depth:',
+        '"{question}"',
+        '',
+        '{constraints_section}',
+        '',
+        'Context from the current synthesis:',
+        '{synthesis}',
+        '',
+        'Requirements:',
+        '- Give the strongest available evidence, with concrete examples and (approximate) citations.',
+        '- Say where the evidence is weak, contested, or missing.',
+        '- State how the answer changes or confirms the current synthesis.'
+    ].join('\n'),
+    refinement_synthesis: [
+        'Revise the research synthesis on "{topic}" using the findings from refinement round {round}.',
+        '',
+        'Current synthesis:',
+        '{synthesis}',
+        '',
+        'New findings on previously open questions:',
+        '{new_findings}',
+        '',
+        'Return the complete revised report with the same structure. Integrate the new findings where they belong,',
+        'correct or qualify statements they contradict, and update the gap analysis and confidence levels.',
+        'Keep everything that still holds; do not describe the revision process.'
+    ].join('\n'),
+    red_team_critique: [
+        'Act as a rigorous devil\'s advocate. Attack the following research synthesis on "{topic}".',
+        '',
+        'Synthesis under review:',
+        '{synthesis}',
+        '',
+        'Findings of the individual perspectives it was built from:',
+        '{perspective_summaries}',
+        '',
+        'Identify:',
+        '1. The strongest counter-arguments to its main conclusions.',
+        '2. Claims that are not supported by the evidence presented, or that overstate it.',
+        '3. Contradictions between perspectives that the synthesis glosses over.',
+        '',
+        'Return JSON: {{"contested_claims": [{{"claim": string, "kind": "counter_argument" | "unsupported" | "contradiction",',
+        '"challenge": string, "perspectives": string[], "severity": "high" | "medium" | "low"}}]}}.',
+        'Quote or closely paraphrase each claim; name the perspectives involved where relevant. Strongest challenges first.'
+    ].join('\n'),
+    red_team_revision: [
+        'Revise the research synthesis on "{topic}" in response to a red-team review.',
+        '',
+        'Current synthesis:',
+        '{synthesis}',
+        '',
+        'Contested claims raised by the review:',
+        '{critique}',
+        '',
+        'Return the complete revised report with the same structure. For each contested claim, correct it, qualify it,',
+        'or keep it with a short justification. Make disagreements between perspectives explicit instead of smoothing them over,',
+        'and lower confidence levels where the review shows weak support.'
+    ].join('\n'),
+    context_summary: [
+        'Condense the following {section} from research on "{topic}" to at most {max_words} words.',
+        '',
+        '{text}',
+        '',
+        'Keep every key finding, figure, named study, citation, and caveat; drop repetition and filler.',
+        'Keep the original structure where possible. Return only the condensed text.'
+    ].join('\n')
+};
 
-        const headers = {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`,
-            ...CONFIG.HEADERS_META
-        };
+// `{{` and `}}` are literal braces; `{name}` is a placeholder.
+const PROMPT_PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g;
+
+function renderPromptTemplate(template, values) {
+    return String(template || '')
+        .replace(PROMPT_PLACEHOLDER_PATTERN, (match, name) => {
+            if (match === '{{') return '{';
+            if (match === '}}') return '}';
+            const value = values[name];
+            return value === undefined || value === null ? '' : String(value);
+        })
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
 
-        if (typeof window !== 'undefined' && window.location && window.location.href) {
-            headers['HTTP-Referer'] = window.location.href;
+function findUnknownPlaceholders(template, allowed) {
+    const unknown = new Set();
+    String(template || '').replace(PROMPT_PLACEHOLDER_PATTERN, (match, name) => {
+        if (name && !allowed.includes(name)) unknown.add(name);
+        return match;
+    });
+    return Array.from(unknown);
+}
+
+/**
+ * Merges per-phase overrides over the defaults. Unknown phase keys and
+ * blank overrides are ignored.
+ */
+function resolvePromptTemplates(overrides) {
+    const resolved = { ...DEFAULT_PROMPT_TEMPLATES };
+    Object.entries(overrides || {}).forEach(([key, template]) => {
+        if (key in resolved && typeof template === 'string' && template.trim()) {
+            resolved[key] = template;
         }
+    });
+    return resolved;
+}
 
-        const { controller, timeout } = createAbortableTimeout(CONFIG.REQUEST_TIMEOUT_MS);
+/**
+ * Returns "Phase: unknown placeholder {x}" messages for a set of overrides.
+ */
+function validatePromptTemplates(overrides) {
+    const errors = [];
+    PROMPT_TEMPLATE_PHASES.forEach(({ key, label, placeholders }) => {
+        const template = overrides && overrides[key];
+        if (typeof template !== 'string') return;
+        findUnknownPlaceholders(template, placeholders).forEach((name) => {
+            errors.push(`${label}: unknown placeholder {${name}}`);
+        });
+    });
+    return errors;
+}
 
-        await this.log(`${label}: contacting model...`);
+// ---- Perspectives ----
 
-        let response;
-        try {
-            response = await fetch(CONFIG.OPENROUTER_URL, {
-                method: 'POST',
-                headers,
-                body: JSON.stringify(payload),
-                signal: controller.signal
-            });
-        } catch (networkError) {
-            clearTimeout(timeout);
-            if (networkError.name === 'AbortError') {
-                throw new Error(`${label} timed out after ${CONFIG.REQUEST_TIMEOUT_MS / 1000}s.`);
-            }
-            throw new Error(`${label} network error: ${networkError.message}`);
+/**
+ * JSON schema requested from models that support structured outputs.
+ * Perspectives are { title, rationale, methods } objects throughout the
+ * pipeline; deep research results are keyed by title.
+ */
+const PERSPECTIVES_RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'research_perspectives',
+        strict: true,
+        schema: {
+            type: 'object',
+            properties: {
+                perspectives: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            title: { type: 'string', description: 'Short, distinct name of the perspective.' },
+                            rationale: { type: 'string', description: 'Why this angle yields insight on the topic.' },
+                            methods: {
+                                type: 'array',
+                                items: { type: 'string' },
+                                description: 'Methods, evidence types, or frameworks to apply.'
+                            }
+                        },
+                        required: ['title', 'rationale', 'methods'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['perspectives'],
+            additionalProperties: false
         }
+    }
+};
 
-        clearTimeout(timeout);
+function cleanPerspectiveText(text) {
+    return String(text || '')
+        .replace(/\*\*|__/g, '')
+        .replace(/^[\s"'`*_#>-]+|[\s"'`*_]+$/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
 
-        if (!response.ok) {
-            let errorDetail = '';
-            try {
-                const errData = await response.json();
-                if (errData && (errData.error || errData.message)) {
-                    errorDetail = ` Details: ${JSON.stringify(errData.error || errData.message)}`;
-                }
-            } catch {
-                // ignore
-            }
+/**
+ * Splits a plain-text line such as "**Title**: rationale" or
+ * "Title – rationale" into a perspective object.
+ */
+function perspectiveFromText(text) {
+    const raw = String(text || '').trim();
+    const bold = raw.match(/^\*\*(.+?)\*\*\s*[:.–—-]?\s*(.*)$/);
+    const split = bold || raw.match(/^(.+?)(?::\s+|\s+[–—-]\s+)(.+)$/);
+    const title = cleanPerspectiveText(split ? split[1] : raw);
+    const rationale = cleanPerspectiveText(split ? split[2] : '');
+    return title ? { title, rationale, methods: [] } : null;
+}
 
-            const statusText = response.statusText || 'Unknown error';
-            const message = `${label} API error: ${response.status} ${statusText}${errorDetail}`;
-            await this.log(message, 'error');
-            throw new Error(message);
+/**
+ * Coerces a string or loosely shaped object into { title, rationale,
+ * methods }. Returns null when no usable title can be found.
+ */
+function normalizePerspective(value) {
+    if (typeof value === 'string') return perspectiveFromText(value);
+    if (!value || typeof value !== 'object') return null;
+
+    const title = cleanPerspectiveText(value.title || value.name || value.perspective);
+    if (!title) return null;
+    const rationale = cleanPerspectiveText(value.rationale || value.description || value.summary);
+    let methods = value.methods || value.methodology || value.methodologies || [];
+    if (typeof methods === 'string') {
+        methods = methods.split(/[;,\n]/);
+    }
+    methods = Array.isArray(methods)
+        ? methods.map(cleanPerspectiveText).filter(Boolean)
+        : [];
+    return { title, rationale, methods };
+}
+
+/** Normalizes a list and makes titles unique, since they key deep research. */
+function normalizePerspectiveList(list) {
+    const seen = new Set();
+    const result = [];
+    (Array.isArray(list) ? list : []).forEach((item) => {
+        const perspective = normalizePerspective(item);
+        if (!perspective) return;
+        let title = perspective.title;
+        for (let n = 2; seen.has(title.toLowerCase()); n++) {
+            title = `${perspective.title} (${n})`;
         }
+        seen.add(title.toLowerCase());
+        result.push({ ...perspective, title });
+    });
+    return result;
+}
 
-        let data;
+/**
+ * Every way of reading JSON out of a model reply that parses: the whole
+ * text without code fences, then the outermost {...} and [...] spans.
+ */
+function parseJsonCandidates(content) {
+    if (typeof content !== 'string' || !content.trim()) return [];
+    const text = content.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+    const candidates = [text];
+    const objectStart = text.indexOf('{');
+    const arrayStart = text.indexOf('[');
+    if (objectStart !== -1) candidates.push(text.slice(objectStart, text.lastIndexOf('}') + 1));
+    if (arrayStart !== -1) candidates.push(text.slice(arrayStart, text.lastIndexOf(']') + 1));
+
+    const parsed = [];
+    candidates.forEach((candidate) => {
         try {
-            data = await response.json();
-        } catch (parseError) {
-            const message = `${label} failed to parse response JSON: ${parseError.message}`;
-            await this.log(message, 'error');
-            throw new Error(message);
+            parsed.push(JSON.parse(candidate));
+        } catch {
+            // not JSON; try the next span
         }
+    });
+    return parsed;
+}
 
-        const content = safeGetFirstChoiceContent(data);
-        await this.log(`${label}: response received.`);
-        return content;
+/**
+ * Parses a structured-output response, repairing the usual deviations:
+ * code fences, prose around the JSON, a bare array instead of
+ * { perspectives }, and alternative field names. Returns [] if nothing
+ * usable is found.
+ */
+function parseStructuredPerspectives(content) {
+    for (const data of parseJsonCandidates(content)) {
+        const list = Array.isArray(data)
+            ? data
+            : data && (data.perspectives || data.items || data.results);
+        const perspectives = normalizePerspectiveList(list);
+        if (perspectives.length) return perspectives;
     }
+    return [];
+}
 
-    async analyzeTopic(topic) {
-        this.ensureActive();
-        await this.log('Phase 1: Analyzing research topic...');
+/** Extra context for prompts: rationale and methods, or '' when absent. */
+function formatPerspectiveDetails(perspective) {
+    const lines = [];
+    if (perspective.rationale) lines.push(`Rationale: ${perspective.rationale}`);
+    if (perspective.methods && perspective.methods.length) {
+        lines.push(`Suggested methods: ${perspective.methods.join(', ')}`);
+    }
+    return lines.join('\n');
+}
 
-        const base = `Perform a comprehensive analysis of the research topic: "${topic}"`;
-        const sections = [
-            'Provide:',
-            '1. TopicCQ: complexity assessment (scale 1-10) with justification.',
-            '2. Key subtopics and core questions.',
-            '3. Suitable methodologies and evidence types.',
-            '4. Critical uncertainties and assumptions.',
-            '5. Interdisciplinary links worth exploring.',
-            '6. Current research gaps & data limitations.',
-            '',
-            'Be structured, concise, and decision-useful.'
-        ];
-        const prompt = buildUserPrompt(base, sections);
+const PERSPECTIVE_STEPS = ['initial_research', 'critical_analysis', 'identified_gaps', 'synthesis'];
 
-        const analysis = await this.callOpenRouter(
-            [{ role: 'user', content: prompt }],
-            { maxTokens: 2000, temperature: 0.15, label: 'Topic analysis' }
-        );
+function isPerspectiveComplete(progress) {
+    return !!progress && PERSPECTIVE_STEPS.every((step) => typeof progress[step] === 'string');
+}
 
-        await this.log('Topic analysis completed.');
-        return { analysis: analysis || 'No analysis returned by the model.' };
+function failedPerspectiveResult(err) {
+    const result = { error: err.message };
+    PERSPECTIVE_STEPS.forEach((step) => {
+        result[step] = '';
+    });
+    return result;
+}
+
+function pickPerspectiveSteps(progress) {
+    const result = {};
+    PERSPECTIVE_STEPS.forEach((step) => {
+        result[step] = (progress && progress[step]) || '';
+    });
+    if (progress && progress.models) {
+        result.models = { ...progress.models };
+    }
+    if (progress && progress.sources) {
+        const provided = progress.sources.provided.slice();
+        result.sources = {
+            provided,
+            cited: findCitedSourceIds(PERSPECTIVE_STEPS.map((step) => result[step]), provided)
+        };
     }
+    return result;
+}
 
-    async gatherPerspectives(topic, topicAnalysis, iterations) {
-        this.ensureActive();
-        await this.log('Phase 2: Generating research perspectives...');
+/**
+ * Minimal promise pool: runs worker(item, index) with at most `limit`
+ * calls in flight and resolves to results in input order. The first
+ * rejection stops further items from being started.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    let stopped = false;
+
+    async function lane() {
+        while (!stopped && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (err) {
+                stopped = true;
+                throw err;
+            }
+        }
+    }
 
-        const baseAnalysis = (topicAnalysis && topicAnalysis.analysis) ? topicAnalysis.analysis : '';
-        const prompt = buildUserPrompt(
-            `Based on the topic "${topic}" and the following analysis (if any):\n${baseAnalysis.slice(0, 2000)}`,
-            [
-                `Generate between ${iterations + 2} and ${iterations * 3} distinct, high-quality research perspectives.`,
-                'Each perspective must be:',
-                '- Clearly named (start with a bold title).',
-                '- Methodologically sound and academically relevant.',
-                '- Non-overlapping and genuinely distinct.',
-                '- Capable of yielding substantial insight.',
-                '',
-                'Return as a numbered list: "1. Title: short rationale".'
-            ]
-        );
+    const laneCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: laneCount }, lane));
+    return results;
+}
 
-        const raw = await this.callOpenRouter(
-            [{ role: 'user', content: prompt }],
-            { maxTokens: 3000, temperature: 0.35, label: 'Perspective generation' }
-        );
+function createRunId() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `run-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
-        const perspectives = this.parsePerspectives(raw);
-        if (perspectives.length === 0) {
-            throw new Error('No perspectives could be parsed from the model response.');
-        }
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-        const maxPerspectives = Math.max(iterations, 3);
-        const finalPerspectives = perspectives.slice(0, maxPerspectives);
+function parseModelList(text) {
+    if (typeof text !== 'string') return [];
+    return text
+        .split(/[\n,]+/)
+        .map((model) => sanitizeText(model))
+        .filter(Boolean);
+}
 
-        await this.log(`Generated ${finalPerspectives.length} research perspectives.`);
-        return finalPerspectives;
+// ---- Model Panel ----
+
+// How panel models are used: whole perspectives, or only their critiques
+const PANEL_ASSIGNMENTS = {
+    perspective: 'Whole perspectives',
+    critique: 'Critical analysis only'
+};
+
+/**
+ * Normalizes panel options { models, assign, compare }. Returns null
+ * without any models, which leaves every step on the run's own model.
+ */
+function normalizeModelPanel(panel) {
+    if (!panel || typeof panel !== 'object') return null;
+    const models = (Array.isArray(panel.models) ? panel.models : [])
+        .map((model) => String(model || '').trim())
+        .filter((model, index, list) => model && list.indexOf(model) === index);
+    if (!models.length) return null;
+    return {
+        models,
+        assign: Object.prototype.hasOwnProperty.call(PANEL_ASSIGNMENTS, panel.assign) ? panel.assign : 'perspective',
+        compare: !!panel.compare
+    };
+}
+
+/**
+ * The model for each step of the perspective at `index`, assigned
+ * round-robin; null means the run's own model. Critiques go to a model
+ * other than the one that wrote the research whenever the panel has one.
+ */
+function assignPanelModels(panel, index, primaryModel) {
+    const steps = {};
+    PERSPECTIVE_STEPS.forEach((step) => {
+        steps[step] = null;
+    });
+    if (!panel) return steps;
+    if (panel.assign === 'critique') {
+        const critics = panel.models.filter((model) => model !== primaryModel);
+        const pool = critics.length ? critics : panel.models;
+        steps.critical_analysis = pool[index % pool.length];
+    } else {
+        const model = panel.models[index % panel.models.length];
+        PERSPECTIVE_STEPS.forEach((step) => {
+            steps[step] = model;
+        });
     }
+    return steps;
+}
 
-    parsePerspectives(raw) {
-        if (typeof raw !== 'string') return [];
-        const lines = raw.split('\n');
-        const results = [];
+/** Panel models that also research the perspective at `index` end to end, for comparison. */
+function comparisonModelsFor(panel, index) {
+    if (!panel || !panel.compare) return [];
+    if (panel.assign === 'critique') return panel.models.slice();
+    const assigned = panel.models[index % panel.models.length];
+    return panel.models.filter((model) => model !== assigned);
+}
 
-        for (let line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed) continue;
+function describeModelPanel(panel) {
+    const normalized = normalizeModelPanel(panel);
+    if (!normalized) return '';
+    return `${normalized.models.join(', ')} (${PANEL_ASSIGNMENTS[normalized.assign].toLowerCase()}` +
+        `${normalized.compare ? ', compared side by side' : ''})`;
+}
 
-            const match = trimmed.match(/^(\d+)[.)]\s*(.+)$/);
-            if (match && match[2]) {
-                results.push(match[2].trim());
-            }
+/** The model that wrote a perspective's findings, for attribution. */
+function findingsModel(findings) {
+    const models = (findings && findings.models) || {};
+    return models.synthesis || models.initial_research || '';
+}
+
+// ---- Usage & Cost ----
+
+// Pieces an approximate tokenizer counts: CJK characters one by one,
+// letter and digit runs, and any other non-space symbol
+const TOKEN_PIECE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|\p{L}+|\p{N}+|[^\s\p{L}\p{N}]/gu;
+
+/**
+ * Approximates a BPE token count without shipping a vocabulary: Latin
+ * words cost one token per five letters (at least one), other scripts one
+ * per three letters, digits one per three, and each CJK character or
+ * symbol one. Errs slightly high for English prose.
+ */
+function estimateTokens(text) {
+    if (typeof text !== 'string' || !text) return 0;
+    let tokens = 0;
+    (text.match(TOKEN_PIECE_PATTERN) || []).forEach((piece) => {
+        if (/^[a-zA-Z]/.test(piece)) {
+            tokens += Math.ceil(piece.length / 5);
+        } else if (/^[\p{L}\p{N}]/u.test(piece) && piece.length > 1) {
+            tokens += Math.ceil(piece.length / 3);
+        } else {
+            tokens += 1;
         }
+    });
+    return tokens;
+}
 
-        if (results.length === 0) {
-            const paragraphs = raw
-                .split(/\n{2,}/)
-                .map(p => p.trim())
-                .filter(Boolean);
-            return paragraphs;
+function estimateMessagesTokens(messages) {
+    return (messages || []).reduce((sum, m) => sum + estimateTokens(m && m.content) + 4, 0);
+}
+
+/**
+ * Returns the estimated USD cost for a call, or null when the model has
+ * no entry in the price table.
+ */
+function estimateCost(model, promptTokens, completionTokens, priceTable) {
+    const price = priceTable && priceTable[model];
+    if (!price) return null;
+    return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+function formatUsd(amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return 'n/a';
+    return amount < 0.01 ? `$${amount.toFixed(4)}` : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Parses "provider/model: prompt, completion" lines (USD per 1M tokens).
+ * Returns { table, errors } where errors lists unparseable lines.
+ */
+function parsePriceTable(text) {
+    const table = {};
+    const errors = [];
+    (text || '').split('\n').forEach((line) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const match = trimmed.match(/^(\S+)\s*[:=]\s*([\d.]+)\s*[,/ ]\s*([\d.]+)$/);
+        if (!match) {
+            errors.push(trimmed);
+            return;
         }
+        table[match[1]] = { prompt: parseFloat(match[2]), completion: parseFloat(match[3]) };
+    });
+    return { table, errors };
+}
 
-        return results;
-    }
+function formatPriceTable(table) {
+    return Object.entries(table || {})
+        .map(([model, price]) => `${model}: ${price.prompt}, ${price.completion}`)
+        .join('\n');
+}
 
-    async deepResearch(perspectives, depth, iterations) {
-        this.ensureActive();
-        await this.log('Phase 3: Running deep research across perspectives...');
+function summarizeUsage(calls) {
+    const totals = { prompt_tokens: 0, completion_tokens: 0, cost: 0, calls: 0, unpriced_calls: 0 };
+    const byPhase = {};
+    (calls || []).forEach((call) => {
+        const phase = byPhase[call.phase] || (byPhase[call.phase] = {
+            prompt_tokens: 0, completion_tokens: 0, cost: 0, calls: 0
+        });
+        [totals, phase].forEach((bucket) => {
+            bucket.prompt_tokens += call.prompt_tokens;
+            bucket.completion_tokens += call.completion_tokens;
+            bucket.cost += call.cost || 0;
+            bucket.calls += 1;
+        });
+        if (call.cost === null) totals.unpriced_calls += 1;
+    });
+    return { totals, by_phase: byPhase };
+}
 
-        const researchResults = {};
-        const maxPerspectivesToResearch = Math.min(perspectives.length, iterations);
+function escapeHtml(str) {
+    if (typeof str !== 'string') return '';
+    return str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
 
-        for (let i = 0; i < maxPerspectivesToResearch; i++) {
-            const perspective = perspectives[i];
-            const labelPrefix = `Perspective ${i + 1}/${maxPerspectivesToResearch}`;
-            const shortName = truncateForLog(perspective, 80);
-            await this.log(`${labelPrefix}: Deep research for "${shortName}"`);
+// ---- Context Budget ----
 
-            try {
-                researchResults[perspective] = await this.researchSinglePerspective(perspective, depth, labelPrefix);
-            } catch (err) {
-                await this.log(`${labelPrefix}: Failed - ${truncateForLog(err.message, 160)}`, 'error');
-                researchResults[perspective] = {
-                    error: err.message,
-                    initial_research: '',
-                    critical_analysis: '',
-                    identified_gaps: '',
-                    synthesis: ''
-                };
+function getModelContextTokens(model, contextTable = CONFIG.MODEL_CONTEXT_TOKENS) {
+    return (contextTable && contextTable[model]) || CONFIG.DEFAULT_CONTEXT_TOKENS;
+}
+
+/** Parses "provider/model: tokens" lines from Settings → Context windows. */
+function parseContextTable(text) {
+    const table = {};
+    const errors = [];
+    (text || '').split('\n').forEach((line) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const match = trimmed.match(/^(\S+)\s*[:=]\s*(\d[\d_,]*)$/);
+        const tokens = match ? parseInt(match[2].replace(/[_,]/g, ''), 10) : 0;
+        if (!tokens) {
+            errors.push(trimmed);
+            return;
+        }
+        table[match[1]] = tokens;
+    });
+    return { table, errors };
+}
+
+function formatContextTable(table) {
+    return Object.entries(table || {})
+        .map(([model, tokens]) => `${model}: ${tokens}`)
+        .join('\n');
+}
+
+function truncateWithMarker(text, maxChars) {
+    if (text.length <= maxChars) return text;
+    return `${text.slice(0, Math.max(0, maxChars - 16)).trimEnd()}\n[…truncated]`;
+}
+
+/** Cuts `text` to roughly `maxTokens` estimated tokens, marking the cut. */
+function truncateToTokens(text, maxTokens) {
+    let tokens = estimateTokens(text);
+    if (tokens <= maxTokens) return text;
+    let chars = Math.floor((text.length * maxTokens) / tokens);
+    let cut = truncateWithMarker(text, chars);
+    // Token density varies along the text; shrink until the estimate fits
+    while (chars > 0 && (tokens = estimateTokens(cut)) > maxTokens) {
+        chars = Math.floor((chars * maxTokens) / tokens) - 1;
+        cut = truncateWithMarker(text, chars);
+    }
+    return cut;
+}
+
+/**
+ * Splits text into chunks of at most `maxTokens` estimated tokens,
+ * breaking between lines where possible and between words otherwise.
+ */
+function splitForTokens(text, maxTokens) {
+    const limit = Math.max(1, maxTokens);
+    const chunks = [];
+    let current = '';
+    let used = 0;
+    const flush = () => {
+        if (current) chunks.push(current);
+        current = '';
+        used = 0;
+    };
+    (text.match(/[^\n]*\n|[^\n]+$/g) || []).forEach((line) => {
+        let rest = line;
+        let tokens = estimateTokens(rest);
+        while (tokens > limit) {
+            flush();
+            let end = Math.max(1, Math.floor((rest.length * limit) / tokens));
+            while (end > 1 && estimateTokens(rest.slice(0, end)) > limit) {
+                end = Math.floor(end * 0.9);
             }
+            const space = rest.lastIndexOf(' ', end);
+            if (space > end / 2) end = space + 1;
+            chunks.push(rest.slice(0, end));
+            rest = rest.slice(end);
+            tokens = estimateTokens(rest);
         }
+        if (used + tokens > limit) flush();
+        current += rest;
+        used += tokens;
+    });
+    flush();
+    return chunks;
+}
 
-        await this.log('Deep research phase completed.');
-        return researchResults;
+/**
+ * Splits `budget` characters (or tokens) across sections in proportion
+ * to their weights. Sections shorter than their share keep their full
+ * length and hand the remainder to the others.
+ */
+function allocateCharBudget(lengths, weights, budget) {
+    const allocation = lengths.map(() => 0);
+    let remaining = budget;
+    let open = lengths.map((_, i) => i).filter((i) => lengths[i] > 0);
+
+    while (open.length) {
+        const totalWeight = open.reduce((sum, i) => sum + weights[i], 0);
+        const fits = open.filter((i) => lengths[i] <= (remaining * weights[i]) / totalWeight);
+        if (!fits.length) {
+            open.forEach((i) => {
+                allocation[i] = Math.floor((remaining * weights[i]) / totalWeight);
+            });
+            break;
+        }
+        fits.forEach((i) => {
+            allocation[i] = lengths[i];
+            remaining -= lengths[i];
+        });
+        open = open.filter((i) => !fits.includes(i));
     }
+    return allocation;
+}
 
-    async researchSinglePerspective(perspective, depth, labelPrefix) {
-        this.ensureActive();
+/**
+ * Tokens left for a prompt once the completion is reserved, on the model
+ * with the smallest context window in `models` (the primary model and
+ * its fallbacks), minus CONFIG.CONTEXT_SAFETY_MARGIN.
+ */
+function promptTokenBudget(models, maxTokens, contextTable = CONFIG.MODEL_CONTEXT_TOKENS) {
+    const context = Math.min(...models.map((model) => getModelContextTokens(model, contextTable)));
+    return Math.max(0, Math.floor(context * (1 - CONFIG.CONTEXT_SAFETY_MARGIN)) - maxTokens);
+}
 
-        const maxTokens =
-            depth === 'extreme' ? 6000 :
-            depth === 'advanced' ? 4000 :
-            3000;
+/**
+ * Joins `{ key, heading, text }` blocks, substituting the budgeted text
+ * from `texts` where there is one. The blocks double as prompt parts.
+ */
+function formatContextBlocks(blocks, texts = {}) {
+    return blocks
+        .map((block) => `${block.heading}${block.key in texts ? texts[block.key] : block.text}`)
+        .join('\n\n');
+}
 
-        const temperature =
-            depth === 'extreme' ? 0.12 :
-            depth === 'advanced' ? 0.18 :
-            0.22;
+/**
+ * Shares `available` tokens across prompt parts (`{ key, text, weight }`)
+ * by weight. Returns each part with its estimated `tokens` and the
+ * `allocated` tokens it may keep; parts that fit are left whole.
+ */
+function planContextBudget(parts, available) {
+    const tokens = parts.map((part) => estimateTokens(part.text));
+    const allocation = allocateCharBudget(tokens, parts.map((part) => part.weight || 1), Math.max(0, available));
+    return parts.map((part, i) => ({ ...part, tokens: tokens[i], allocated: Math.min(tokens[i], allocation[i]) }));
+}
 
-        const constraintSuffix = this.constraints
-            ? `\n\nAdditionally, respect these constraints / addons:\n${this.constraints}`
-            : '';
+// ---- Markdown Rendering ----
+//
+// Small, dependency-free Markdown subset for model output: headings, lists,
+// emphasis, inline/fenced code, tables, blockquotes, rules, and links.
+// All text is HTML-escaped before any markup is generated, so model output
+// can never inject tags or attributes; link targets are restricted to
+// http(s) and mailto.
 
-        // 1) Initial research
-        const initialPrompt = buildUserPrompt(
-            `Conduct a thorough investigation into this research perspective:\n"${perspective}"${constraintSuffix}`,
-            [
-                'Requirements:',
-                '- Outline key theories, models, and frameworks.',
-                '- Summarize major findings and representative studies.',
-                '- Include concrete examples and (approximate) citations where appropriate.',
-                '- Identify important datasets, benchmarks, or empirical evidence.',
-                '- Highlight leading researchers, institutions, and recent developments (last 2-3 years).',
-                '- Note practical applications, where relevant.',
-                '- Avoid vague statements; prefer specific details.'
-            ]
-        );
+const MARKDOWN_SAFE_URL = /^(https?:\/\/|mailto:)[^\s]+$/i;
 
-        const initialResearch = await this.callOpenRouter(
-            [{ role: 'user', content: initialPrompt }],
-            { maxTokens, temperature, label: `${labelPrefix} – Initial research` }
-        );
+function sanitizeMarkdownUrl(url) {
+    const decoded = url.replace(/&amp;/g, '&');
+    return MARKDOWN_SAFE_URL.test(decoded) ? escapeHtml(decoded) : null;
+}
 
-        // 2) Critical analysis
-        const criticalPrompt = buildUserPrompt(
-            `Critically evaluate the following research overview for "${perspective}":\n${(initialResearch || '').slice(0, 2500)}`,
-            [
-                'Provide:',
-                '1. Strengths and weaknesses of the arguments and evidence.',
-                '2. Evaluation of methodological quality and limitations.',
-                '3. Biases and threats to validity.',
-                '4. Comparison with mainstream / consensus views where applicable.',
-                '5. Reproducibility and robustness considerations.'
-            ]
-        );
+function renderMarkdownInline(text) {
+    const placeholders = [];
+    const hold = (html) => {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    };
 
-        const criticalAnalysis = await this.callOpenRouter(
-            [{ role: 'user', content: criticalPrompt }],
-            { maxTokens: 2500, temperature: 0.15, label: `${labelPrefix} – Critical analysis` }
-        );
+    let out = escapeHtml(text);
 
-        // 3) Gap identification
-        const gapPrompt = buildUserPrompt(
-            `Using the perspective "${perspective}", the research overview, and its critical evaluation:`,
-            [
-                `Research overview:\n${(initialResearch || '').slice(0, 1500)}...`,
-                `Critical analysis:\n${(criticalAnalysis || '').slice(0, 1500)}...`,
-                '',
-                'Identify:',
-                '1. Concrete research gaps and unanswered questions.',
-                '2. Opportunities for novel contributions (theoretical & applied).',
-                '3. Methodological improvements or new study designs.',
-                '4. Practical & policy implications.',
-                '5. Interdisciplinary collaboration opportunities.',
-                'Be specific and actionable. Structure points clearly.'
-            ]
-        );
+    out = out.replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`));
 
-        const identifiedGaps = await this.callOpenRouter(
-            [{ role: 'user', content: gapPrompt }],
-            { maxTokens: 2500, temperature: 0.25, label: `${labelPrefix} – Gap analysis` }
-        );
+    out = out.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => {
+        const safeUrl = sanitizeMarkdownUrl(url);
+        if (!safeUrl) return label;
+        return hold(`<a href="${safeUrl}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+    });
 
-        // 4) Synthesis per perspective
-        const synthesisPrompt = buildUserPrompt(
-            `Synthesize a cohesive view for the perspective "${perspective}".`,
-            [
-                'Base your synthesis on:',
-                `- Research overview: ${(initialResearch || '').slice(0, 1500)}...`,
-                `- Critical analysis: ${(criticalAnalysis || '').slice(0, 1000)}...`,
-                `- Gaps & opportunities: ${(identifiedGaps || '').slice(0, 1000)}...`,
-                '',
-                'Provide:',
-                '1. Integrated narrative with key insights.',
-                '2. Assessment of current evidence quality.',
-                '3. Priority list of research directions (High/Medium/Low).',
-                '4. Suggested methodologies & datasets for top priorities.',
-                '5. Practical applications and expected impact.',
-                'Make it clear, structured, and non-redundant.'
-            ]
-        );
+    out = out.replace(/(^|[\s(])(https?:\/\/[^\s<)]+?)([.,;:!?]*)(?=$|[\s<)])/g, (match, lead, url, trailing) => {
+        const safeUrl = sanitizeMarkdownUrl(url);
+        if (!safeUrl) return match;
+        return lead + hold(`<a href="${safeUrl}" target="_blank" rel="noopener noreferrer">${url}</a>`) + trailing;
+    });
 
-        const synthesis = await this.callOpenRouter(
-            [{ role: 'user', content: synthesisPrompt }],
-            { maxTokens: 3000, temperature: 0.14, label: `${labelPrefix} – Perspective synthesis` }
-        );
+    out = out
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=\S)([^_]*?\S)_(?![_\w])/g, '$1<em>$2</em>');
 
-        return {
-            initial_research: initialResearch || '',
-            critical_analysis: criticalAnalysis || '',
-            identified_gaps: identifiedGaps || '',
-            synthesis: synthesis || ''
-        };
-    }
+    return out.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[Number(index)]);
+}
 
-    async synthesizeFindings(research, topic) {
-        this.ensureActive();
-        await this.log('Phase 4: Synthesizing cross-perspective findings...');
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|')) row = row.slice(0, -1);
+    return row.split('|').map((cell) => cell.trim());
+}
 
-        let researchSummary = `Topic: ${topic}\n\n`;
+const MARKDOWN_TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+•]|\d+[.)])\s+(.*)$/;
 
-        const perspectives = Object.keys(research || {});
-        if (perspectives.length === 0) {
-            researchSummary += 'No detailed per-perspective results available; synthesize based on topic-level reasoning only.\n';
+function renderMarkdownTable(header, separator, rows) {
+    const aligns = splitTableRow(separator).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return '';
+    });
+    const cellHtml = (tag, cell, i) => {
+        const align = aligns[i] ? ` style="text-align:${aligns[i]}"` : '';
+        return `<${tag}${align}>${renderMarkdownInline(cell)}</${tag}>`;
+    };
+    const head = splitTableRow(header).map((cell, i) => cellHtml('th', cell, i)).join('');
+    const body = rows
+        .map((row) => `<tr>${splitTableRow(row).map((cell, i) => cellHtml('td', cell, i)).join('')}</tr>`)
+        .join('');
+    return `<div class="md-table-wrap"><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+function renderMarkdownList(items) {
+    // items: [{ indent, ordered, start, text }]; nesting follows indentation.
+    let html = '';
+    const stack = [];
+
+    items.forEach((item) => {
+        while (stack.length && item.indent < stack[stack.length - 1].indent) {
+            html += `</li></${stack.pop().tag}>`;
+        }
+        const top = stack[stack.length - 1];
+        if (!top || item.indent > top.indent) {
+            const tag = item.ordered ? 'ol' : 'ul';
+            const start = item.ordered && item.start !== 1 ? ` start="${item.start}"` : '';
+            stack.push({ indent: item.indent, tag });
+            html += `<${tag}${start}>`;
         } else {
-            perspectives.forEach((perspective, index) => {
-                const findings = research[perspective] || {};
-                const synthesisSnippet = (findings.synthesis || findings.initial_research || '').slice(0, 800);
-                researchSummary += `Perspective ${index + 1}: ${perspective}\n`;
-                if (synthesisSnippet) {
-                    researchSummary += `Key findings snippet: ${synthesisSnippet}\n\n`;
-                } else if (findings.error) {
-                    researchSummary += `Error for this perspective: ${findings.error}\n\n`;
-                }
-            });
+            html += '</li>';
         }
+        html += `<li>${renderMarkdownInline(item.text)}`;
+    });
 
-        const base = `Synthesize comprehensive research findings from multiple perspectives on: ${topic}`;
-        const sections = [
-            'Create a detailed research report that includes:',
-            '1. Executive summary of key findings (max ~300 words).',
-            '2. Integrated analysis across all perspectives and themes.',
-            '3. Critical insights and emerging patterns.',
-            '4. Overall research quality assessment and confidence levels.',
-            '5. Consolidated gap analysis with prioritized opportunities.',
-            '6. Concrete recommendations for future research (methods, timelines, resources).',
-            '7. Practical applications, implementation strategies, and expected impact.',
-            '8. Limitations of this synthesis (including relying on model-generated text).',
-            '',
-            'Write as a structured, clearly formatted report.'
-        ];
+    while (stack.length) {
+        html += `</li></${stack.pop().tag}>`;
+    }
+    return html;
+}
 
-        const prompt = buildUserPrompt(base, sections);
+function renderMarkdown(text) {
+    if (typeof text !== 'string' || !text.trim()) return '';
 
-        const synthesis = await this.callOpenRouter(
-            [{
-                role: 'user',
-                content: `${prompt}\n\nContextual research summary:\n${researchSummary.slice(0, 6000)}`
-            }],
-            { maxTokens: 5000, temperature: 0.16, label: 'Global synthesis' }
-        );
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
 
-        await this.log('Global synthesis completed.');
-        return synthesis || 'No synthesis returned by the model.';
-    }
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
 
-    async conductResearch(topic, depth = 'extreme', iterations = 5) {
-        this.ensureActive();
-        await this.log('Initializing full research workflow...');
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
 
-        if (this.uiHooks.onPhaseLabel) {
-            this.uiHooks.onPhaseLabel('Phase 1/4: Topic analysis');
+        if (!trimmed) {
+            flushParagraph();
+            continue;
         }
 
-        const topicAnalysis = await this.analyzeTopic(topic);
-        if (typeof this.uiHooks.onPhaseProgress === 'function') {
-            this.uiHooks.onPhaseProgress(1, 4);
+        const fence = trimmed.match(/^(```|~~~)/);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
         }
 
-        if (this.uiHooks.onPhaseLabel) {
-            this.uiHooks.onPhaseLabel('Phase 2/4: Perspectives');
+        const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            flushParagraph();
+            // Panels already use h3; nest model headings below it.
+            const level = Math.min(heading[1].length + 3, 6);
+            blocks.push(`<h${level}>${renderMarkdownInline(heading[2])}</h${level}>`);
+            continue;
         }
 
-        const perspectives = await this.gatherPerspectives(topic, topicAnalysis, iterations);
-        if (typeof this.uiHooks.onPhaseProgress === 'function') {
-            this.uiHooks.onPhaseProgress(2, 4);
+        if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed.replace(/\s+/g, ''))) {
+            flushParagraph();
+            blocks.push('<hr>');
+            continue;
         }
 
-        if (this.uiHooks.onPhaseLabel) {
-            this.uiHooks.onPhaseLabel('Phase 3/4: Deep research');
+        if (trimmed.includes('|') && i + 1 < lines.length && MARKDOWN_TABLE_SEPARATOR.test(lines[i + 1])) {
+            flushParagraph();
+            const header = line;
+            const separator = lines[i + 1];
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                rows.push(lines[i]);
+                i++;
+            }
+            i--;
+            blocks.push(renderMarkdownTable(header, separator, rows));
+            continue;
         }
 
-        const deepResearch = await this.deepResearch(perspectives, depth, iterations);
-        if (typeof this.uiHooks.onPhaseProgress === 'function') {
-            this.uiHooks.onPhaseProgress(3, 4);
+        if (trimmed.startsWith('>')) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && lines[i].trim().startsWith('>')) {
+                quoted.push(lines[i].trim().replace(/^>\s?/, ''));
+                i++;
+            }
+            i--;
+            blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+            continue;
         }
 
-        if (this.uiHooks.onPhaseLabel) {
-            this.uiHooks.onPhaseLabel('Phase 4/4: Global synthesis');
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            flushParagraph();
+            const items = [];
+            while (i < lines.length) {
+                const match = lines[i].match(MARKDOWN_LIST_ITEM);
+                if (match) {
+                    items.push({
+                        indent: match[1].replace(/\t/g, '    ').length,
+                        ordered: /\d/.test(match[2]),
+                        start: parseInt(match[2], 10) || 1,
+                        text: match[3]
+                    });
+                } else if (!lines[i].trim() && i + 1 < lines.length && MARKDOWN_LIST_ITEM.test(lines[i + 1])) {
+                    // Blank line between items of the same list ("loose" list).
+                } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+                    // Indented continuation line of the previous item.
+                    items[items.length - 1].text += ` ${lines[i].trim()}`;
+                } else {
+                    break;
+                }
+                i++;
+            }
+            i--;
+            blocks.push(renderMarkdownList(items));
+            continue;
         }
 
-        const synthesis = await this.synthesizeFindings(deepResearch, topic);
-        if (typeof this.uiHooks.onPhaseProgress === 'function') {
-            this.uiHooks.onPhaseProgress(4, 4);
-        }
+        paragraph.push(trimmed);
+    }
 
-        await this.log('Research workflow completed successfully.');
+    flushParagraph();
+    return blocks.join('\n');
+}
 
-        return {
-            topic,
-            topic_analysis: topicAnalysis,
-            perspectives,
-            deep_research: deepResearch,
-            synthesis,
-            research_log: this.researchLog.slice()
-        };
+// ---- Follow-up Chat ----
+
+/**
+ * A run's topic analysis, per-perspective syntheses, and global synthesis,
+ * as parts for the context budget. The global synthesis is weighted most
+ * heavily when something has to be cut.
+ */
+function followUpContextBlocks(results) {
+    const blocks = [];
+    const analysis = results.topic_analysis && results.topic_analysis.analysis;
+    if (analysis) {
+        blocks.push({ key: 'analysis', heading: '## Topic analysis\n', text: analysis, weight: 1, section: 'topic analysis' });
+    }
+    Object.entries(results.deep_research || {}).forEach(([title, research]) => {
+        const text = research && (research.synthesis || research.initial_research);
+        if (text) {
+            blocks.push({
+                key: `perspective:${title}`,
+                heading: `## Perspective: ${title}\n`,
+                text,
+                weight: 1,
+                section: `synthesis of "${title}"`
+            });
+        }
+    });
+    if (typeof results.synthesis === 'string' && results.synthesis.trim()) {
+        blocks.push({ key: 'synthesis', heading: '## Global synthesis\n', text: results.synthesis, weight: 3, section: 'global synthesis' });
     }
+    return blocks;
+}
 
-    cancel() {
-        this.active = false;
+function buildFollowUpContext(results, texts = {}) {
+    return [`# Research topic\n${results.topic || ''}`, formatContextBlocks(followUpContextBlocks(results), texts)]
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/** Most recent conversation turns that fit in `maxTokens`, oldest first. */
+function selectChatHistory(conversation, maxTokens) {
+    const selected = [];
+    let used = 0;
+    for (let i = conversation.length - 1; i >= 0; i--) {
+        const turn = conversation[i];
+        const tokens = estimateTokens(turn.content);
+        if (used + tokens > maxTokens) break;
+        used += tokens;
+        selected.unshift({ role: turn.role, content: turn.content });
+    }
+    // Never start the history with a dangling assistant reply
+    while (selected.length && selected[0].role !== 'user') {
+        selected.shift();
     }
+    return selected;
 }
 
-// ---- DOM & Application Logic ----
+// ---- Citations ----
 
-document.addEventListener('DOMContentLoaded', () => {
-    const form = document.getElementById('researchForm');
-    const apiKeyInput = document.getElementById('apiKey');
-    const modelIdSelect = document.getElementById('modelId');
-    const customModelGroup = document.getElementById('customModelGroup');
-    const customModelInput = document.getElementById('customModel');
-    const topicInput = document.getElementById('topic');
-    const depthSelect = document.getElementById('depth');
-    const iterationsSelect = document.getElementById('iterations');
-    const constraintsInput = document.getElementById('constraints');
+const CITATION_TYPE_LABELS = {
+    doi: 'DOI',
+    arxiv: 'arXiv',
+    url: 'URL',
+    author_year: 'Author–year'
+};
 
-    const startButton = document.getElementById('startResearch');
-    const openSettingsFromForm = document.getElementById('openSettingsFromForm');
+const CITATION_STATUSES = ['unverified', 'verified', 'not_found'];
 
-    const progressContainer = document.getElementById('progressContainer');
-    const progressFill = document.getElementById('progressFill');
-    const progressText = document.getElementById('progressText');
-    const statusPhase = document.getElementById('statusPhase');
+// Crossref's recommended pattern for modern DOIs
+const DOI_ID = /^10\.\d{4,9}\/[-._;()/:a-z0-9]+$/i;
+const ARXIV_NEW_ID = /^(\d{2})(\d{2})\.(\d{4,5})(v\d+)?$/;
+const ARXIV_OLD_ID = /^[a-z-]+(\.[a-z]{2})?\/\d{7}(v\d+)?$/i;
 
-    const resultsContainer = document.getElementById('resultsContainer');
-    const errorMessage = document.getElementById('errorMessage');
-    const successMessage = document.getElementById('successMessage');
-    const topicAnalysisDiv = document.getElementById('topicAnalysis');
-    const perspectivesDiv = document.getElementById('perspectives');
-    const deepResearchDiv = document.getElementById('deepResearch');
-    const synthesisDiv = document.getElementById('synthesis');
-    const researchLogDiv = document.getElementById('researchLog');
+// Capitalized words that precede a year without being an author
+const NON_AUTHOR_WORDS = new Set([
+    'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December', 'In', 'The', 'By', 'Since',
+    'From', 'Until', 'Before', 'After', 'During', 'Through', 'As', 'Of', 'Circa'
+]);
 
-    const exportToggle = document.getElementById('exportToggle');
-    const exportMenu = document.getElementById('exportMenu');
-    const exportTxtBtn = document.getElementById('exportTxt');
-    const exportPdfBtn = document.getElementById('exportPdf');
+/**
+ * Scanners run in order; a later match overlapping an earlier one is
+ * skipped, so a doi.org link counts as a DOI rather than also as a URL.
+ */
+const CITATION_SCANNERS = [
+    { type: 'doi', pattern: /\b(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)(\S+)|\b(10\.\d+\/\S+)/gi },
+    { type: 'arxiv', pattern: /\barxiv:\s*(\S+)|\barxiv\.org\/(?:abs|pdf)\/(\S+)/gi },
+    { type: 'url', pattern: /\bhttps?:\/\/[^\s<>"'`]+/gi },
+    {
+        type: 'author_year',
+        pattern: /\b([A-Z][A-Za-z'’-]+(?:\s+et\s+al\.?|\s+(?:and|&)\s+[A-Z][A-Za-z'’-]+)?)(?:,\s*|\s*\()(\d{4}[a-z]?)\b/g
+    }
+];
+
+/** Drops trailing punctuation and unbalanced closing brackets from a token. */
+function trimCitationToken(token) {
+    let text = token;
+    for (;;) {
+        const last = text.slice(-1);
+        if (text && '.,;:!?\'"*_>]}'.includes(last)) {
+            text = text.slice(0, -1);
+        } else if (last === ')' && text.split('(').length < text.split(')').length) {
+            text = text.slice(0, -1);
+        } else {
+            return text;
+        }
+    }
+}
 
-    const settingsButton = document.getElementById('settingsButton');
-    const settingsDrawer = document.getElementById('settingsDrawer');
-    const settingsBackdrop = document.getElementById('settingsBackdrop');
-    const settingsClose = document.getElementById('settingsClose');
-    const settingsSave = document.getElementById('settingsSave');
-    const settingsReset = document.getElementById('settingsReset');
+function checkArxivId(id) {
+    if (ARXIV_OLD_ID.test(id)) return '';
+    const match = id.match(ARXIV_NEW_ID);
+    if (!match) return 'not a valid arXiv identifier';
+    const yymm = Number(match[1] + match[2]);
+    const month = Number(match[2]);
+    if (month < 1 || month > 12) return 'invalid month in arXiv identifier';
+    if (match[3].length === 4 && yymm > 1412) return 'arXiv identifiers after 2014 have five digits';
+    if (match[3].length === 5 && yymm < 1501) return 'arXiv identifiers before 2015 have four digits';
+    return '';
+}
 
-    const settingsApiKey = document.getElementById('settingsApiKey');
-    const settingsModel = document.getElementById('settingsModel');
-    const settingsCustomModel = document.getElementById('settingsCustomModel');
-    const settingsIterations = document.getElementById('settingsIterations');
-    const settingsConstraints = document.getElementById('settingsConstraints');
-    const toggleDarkTheme = document.getElementById('toggleDarkTheme');
-    const toggleCompact = document.getElementById('toggleCompact');
-    const toggleReducedMotion = document.getElementById('toggleReducedMotion');
+/**
+ * Turns one scanner match into a reference, or null when the match is
+ * not citation-like after all.
+ */
+function citationFromMatch(type, match) {
+    if (type === 'doi') {
+        const id = trimCitationToken(match[1] || match[2]);
+        if (!/\d/.test(id)) return null;
+        return {
+            type,
+            id,
+            key: `doi:${id.toLowerCase()}`,
+            problem: DOI_ID.test(id) ? '' : 'not a valid DOI (expected 10.<registrant>/<suffix>)'
+        };
+    }
+    if (type === 'arxiv') {
+        const id = trimCitationToken(match[1] || match[2]).replace(/\.pdf$/i, '');
+        if (!/\d/.test(id)) return null;
+        return { type, id, key: `arxiv:${id.toLowerCase().replace(/v\d+$/, '')}`, problem: checkArxivId(id) };
+    }
+    if (type === 'url') {
+        const id = trimCitationToken(match[0]);
+        const normalized = id.replace(/^(https?:\/\/[^/]+)/i, (origin) => origin.toLowerCase()).replace(/\/+$/, '');
+        return { type, id, key: `url:${normalized}`, problem: '' };
+    }
+    const name = match[1].replace(/\s+/g, ' ');
+    const year = Number(match[2].slice(0, 4));
+    if (NON_AUTHOR_WORDS.has(name) || year < 1800 || year > new Date().getFullYear() + 1) return null;
+    return {
+        type,
+        id: `${name} (${match[2]})`,
+        key: `author:${name.toLowerCase().replace(/\s*&\s*/, ' and ').replace(/\.$/, '')}:${match[2]}`,
+        problem: ''
+    };
+}
 
-    const docsButton = document.getElementById('docsButton');
-    const themeToggleButton = document.getElementById('themeToggleButton');
-    const themeToggleLabel = document.getElementById('themeToggleLabel');
+/** Extracts citation-like strings (DOIs, arXiv IDs, URLs, author–year) from text. */
+function extractCitations(text) {
+    if (typeof text !== 'string' || !text) return [];
+    const found = [];
+    const claimed = [];
+    CITATION_SCANNERS.forEach(({ type, pattern }) => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (claimed.some(([s, e]) => start < e && end > s)) continue;
+            const citation = citationFromMatch(type, match);
+            if (!citation) continue;
+            claimed.push([start, end]);
+            found.push({ ...citation, position: start });
+        }
+    });
+    return found.sort((a, b) => a.position - b.position).map(({ position, ...citation }) => citation);
+}
 
-    let currentResearcher = null;
-    let isRunning = false;
-    let currentSettings = SettingsManager.load();
-    applySettingsToDOM(currentSettings, { initial: true });
+/**
+ * Consolidated, de-duplicated reference list for a run. Every reference
+ * starts out unverified; see verifyCitationReport.
+ */
+function buildCitationReport(results) {
+    const r = results || {};
+    const byKey = new Map();
+    const collect = (text, source) => {
+        extractCitations(text).forEach((citation) => {
+            let reference = byKey.get(citation.key);
+            if (!reference) {
+                reference = {
+                    type: citation.type,
+                    id: citation.id,
+                    key: citation.key,
+                    status: 'unverified',
+                    malformed: !!citation.problem,
+                    problem: citation.problem,
+                    occurrences: 0,
+                    sources: []
+                };
+                byKey.set(citation.key, reference);
+            }
+            reference.occurrences += 1;
+            if (!reference.sources.includes(source)) {
+                reference.sources.push(source);
+            }
+        });
+    };
 
-    // ----- Settings UI integration -----
+    Object.entries(r.deep_research || {}).forEach(([title, research]) => {
+        PERSPECTIVE_STEPS.forEach((step) => collect(research && research[step], title));
+    });
+    collect(r.synthesis, 'Global synthesis');
+    ((r.refinement && r.refinement.rounds) || []).forEach((round) => {
+        round.questions.forEach((entry) => collect(entry.findings, `Refinement round ${round.round}`));
+    });
+    collect(r.red_team && r.red_team.synthesis, 'Red-team revision');
 
-    function setToggleEl(toggleEl, on) {
-        toggleEl.dataset.on = on ? 'true' : 'false';
-        toggleEl.setAttribute('aria-checked', on ? 'true' : 'false');
+    return summarizeCitationReport({
+        generated_at: new Date().toISOString(),
+        verifier: UNVERIFIED_CITATION_VERIFIER.name,
+        references: Array.from(byKey.values())
+    });
+}
+
+function summarizeCitationReport(report) {
+    const counts = { total: report.references.length, malformed: 0 };
+    CITATION_STATUSES.forEach((status) => {
+        counts[status] = 0;
+    });
+    report.references.forEach((reference) => {
+        counts[reference.status] += 1;
+        if (reference.malformed) counts.malformed += 1;
+    });
+    return { ...report, counts };
+}
+
+/**
+ * Citation verifiers look references up in some authoritative source.
+ * A verifier is { name, verify(reference, { signal }) } where verify
+ * resolves to { status: 'verified' | 'not_found' | 'unverified', detail? }.
+ * The default performs no lookups.
+ */
+const UNVERIFIED_CITATION_VERIFIER = {
+    name: 'none',
+    verify: async () => ({ status: 'unverified' })
+};
+
+function isCitationVerifier(value) {
+    return !!value && typeof value.verify === 'function';
+}
+
+/**
+ * Runs `verifier` over the well-formed references of a report and
+ * returns an updated copy. A failed lookup leaves its reference
+ * unverified with the error in `detail`; malformed references are not
+ * looked up.
+ */
+async function verifyCitationReport(report, verifier, { signal, concurrency = 4 } = {}) {
+    if (!isCitationVerifier(verifier) || verifier === UNVERIFIED_CITATION_VERIFIER) {
+        return report;
     }
+    const references = await runWithConcurrency(report.references, concurrency, async (reference) => {
+        if (reference.malformed) return reference;
+        if (signal && signal.aborted) throw new ResearchCancelledError();
+        try {
+            const outcome = (await verifier.verify({ ...reference }, { signal })) || {};
+            return {
+                ...reference,
+                status: CITATION_STATUSES.includes(outcome.status) ? outcome.status : 'unverified',
+                detail: typeof outcome.detail === 'string' ? outcome.detail : ''
+            };
+        } catch (err) {
+            if (err instanceof ResearchCancelledError) throw err;
+            return { ...reference, status: 'unverified', detail: `Lookup failed: ${err.message}` };
+        }
+    });
+    return summarizeCitationReport({ ...report, verifier: verifier.name || 'custom', references });
+}
 
-    function openSettings() {
-        populateSettingsForm(currentSettings);
-        settingsDrawer.classList.add('open');
-        settingsBackdrop.classList.add('open');
-        settingsButton.setAttribute('aria-expanded', 'true');
-        const firstFocusable = settingsDrawer.querySelector('input, select, textarea, button, [tabindex]:not([tabindex="-1"])');
-        if (firstFocusable) firstFocusable.focus();
-        trapFocus(settingsDrawer);
+/**
+ * The run's stored citation report, normalized, or a freshly extracted
+ * one for runs saved before citation checking existed.
+ */
+function getCitationReport(results) {
+    const stored = results && results.citations;
+    if (!stored || !Array.isArray(stored.references)) {
+        return buildCitationReport(results);
     }
+    return summarizeCitationReport({
+        ...stored,
+        verifier: stored.verifier || UNVERIFIED_CITATION_VERIFIER.name,
+        references: stored.references.map((reference) => ({
+            malformed: false,
+            problem: '',
+            occurrences: 1,
+            ...reference,
+            sources: Array.isArray(reference.sources) ? reference.sources : []
+        }))
+    });
+}
 
-    function closeSettings() {
-        settingsDrawer.classList.remove('open');
-        settingsBackdrop.classList.remove('open');
-        settingsButton.setAttribute('aria-expanded', 'false');
-        releaseFocusTrap();
-        settingsButton.focus();
+function describeCitationCounts(counts) {
+    const parts = [`${counts.total} reference(s)`];
+    if (counts.malformed) parts.push(`${counts.malformed} malformed`);
+    if (counts.verified) parts.push(`${counts.verified} verified`);
+    if (counts.not_found) parts.push(`${counts.not_found} not found`);
+    if (counts.unverified) parts.push(`${counts.unverified} unverified`);
+    return parts.join(', ');
+}
+
+// ---- Source Documents ----
+
+const SOURCE_FILE_PATTERN = /\.(txt|md|markdown|csv)$/i;
+
+const SEARCH_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is',
+    'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'were', 'which', 'with'
+]);
+
+function tokenizeForSearch(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter((token) => token.length > 1 && !SEARCH_STOPWORDS.has(token));
+}
+
+/** Splits text into pieces of at most `maxChars`, preferring sentence breaks. */
+function splitLongText(text, maxChars) {
+    const pieces = [];
+    let rest = text.trim();
+    while (rest.length > maxChars) {
+        const window = rest.slice(0, maxChars);
+        const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'));
+        const cut = sentenceEnd > maxChars / 2 ? sentenceEnd + 1 : maxChars;
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
     }
+    if (rest) pieces.push(rest);
+    return pieces;
+}
 
-    function populateSettingsForm(settings) {
-        settingsApiKey.value = settings.apiKey || '';
-        settingsModel.value = settings.defaultModel || '';
-        settingsCustomModel.value = settings.defaultCustomModel || '';
-        settingsIterations.value = settings.defaultIterations ? String(settings.defaultIterations) : '';
-        settingsConstraints.value = settings.defaultConstraints || '';
+/**
+ * Cuts an attached document into chunks of about CONFIG.SOURCE_CHUNK_CHARS.
+ * Text is packed by paragraph; CSV is packed by row, and each CSV chunk
+ * repeats the header row so it stands on its own. Chunk ids are
+ * `S<document>.<chunk>`, e.g. S2.5, and are what the model cites.
+ */
+function chunkSourceDocument(doc, docIndex) {
+    const documentId = `S${docIndex + 1}`;
+    const maxChars = CONFIG.SOURCE_CHUNK_CHARS;
+    const isCsv = /\.csv$/i.test(doc.name);
+    const lines = doc.text.replace(/\r\n?/g, '\n').split('\n');
+    const header = isCsv ? lines.shift() || '' : '';
+    const units = isCsv
+        ? lines.filter((line) => line.trim())
+        : doc.text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+            .map((paragraph) => paragraph.trim())
+            .filter(Boolean)
+            .flatMap((paragraph) => splitLongText(paragraph, maxChars));
+
+    const texts = [];
+    let current = [];
+    let size = 0;
+    units.forEach((unit) => {
+        if (current.length && size + unit.length > maxChars) {
+            texts.push(current);
+            current = [];
+            size = 0;
+        }
+        current.push(unit);
+        size += unit.length + 1;
+    });
+    if (current.length) texts.push(current);
+
+    return texts.map((group, i) => ({
+        id: `${documentId}.${i + 1}`,
+        document: documentId,
+        name: doc.name,
+        index: i + 1,
+        text: isCsv ? [header, ...group].join('\n') : group.join('\n\n')
+    }));
+}
+
+/** Term statistics for BM25 scoring over a list of chunks. */
+function buildSourceIndex(chunks) {
+    const documentFrequency = new Map();
+    const termCounts = chunks.map((chunk) => {
+        const counts = new Map();
+        tokenizeForSearch(`${chunk.name} ${chunk.text}`).forEach((token) => {
+            counts.set(token, (counts.get(token) || 0) + 1);
+        });
+        counts.forEach((_, token) => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        return counts;
+    });
+    const lengths = termCounts.map((counts) => Array.from(counts.values()).reduce((sum, n) => sum + n, 0));
+    const averageLength = lengths.reduce((sum, n) => sum + n, 0) / Math.max(1, lengths.length);
+    return { chunks, termCounts, lengths, averageLength, documentFrequency };
+}
+
+/** The `limit` chunks that best match `query` by BM25, best first. */
+function selectSourceChunks(index, query, limit) {
+    if (!index || !index.chunks.length) return [];
+    const k1 = 1.2;
+    const b = 0.75;
+    const total = index.chunks.length;
+    const terms = Array.from(new Set(tokenizeForSearch(query)));
+    return index.chunks
+        .map((chunk, i) => {
+            const counts = index.termCounts[i];
+            const norm = k1 * (1 - b + (b * index.lengths[i]) / (index.averageLength || 1));
+            const score = terms.reduce((sum, term) => {
+                const tf = counts.get(term) || 0;
+                if (!tf) return sum;
+                const df = index.documentFrequency.get(term) || 0;
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                return sum + (idf * tf * (k1 + 1)) / (tf + norm);
+            }, 0);
+            return { chunk, score, order: i };
+        })
+        .filter((entry) => entry.score > 0)
+        .sort((x, y) => y.score - x.score || x.order - y.order)
+        .slice(0, limit)
+        .map((entry) => entry.chunk);
+}
+
+function formatSourcesSection(chunks) {
+    if (!chunks.length) return '';
+    return [
+        'Local source excerpts supplied by the user. Prefer them over memory where relevant,',
+        'and cite each excerpt you rely on by its ID in square brackets, e.g. [S1.2].',
+        '',
+        ...chunks.map((chunk) => `[${chunk.id}] (${chunk.name}, part ${chunk.index})\n${chunk.text}`)
+    ].join('\n\n');
+}
+
+/** Chunk ids from `provided` that appear in square brackets in any of `texts`. */
+function findCitedSourceIds(texts, provided) {
+    const cited = new Set();
+    texts.forEach((text) => {
+        (String(text || '').match(/\[[^\]\n]*\]/g) || []).forEach((group) => {
+            (group.match(/\bS\d+\.\d+\b/g) || []).forEach((id) => cited.add(id));
+        });
+    });
+    return provided.filter((id) => cited.has(id));
+}
+
+/**
+ * Each excerpt stored with a run, plus which perspectives (and/or the
+ * global synthesis) were given it and which cited it.
+ */
+function summarizeSourceUsage(results) {
+    const sources = results && results.sources;
+    if (!sources || !Array.isArray(sources.chunks)) return [];
+    const usage = Object.entries(results.deep_research || {})
+        .map(([title, research]) => [title, research && research.sources])
+        .concat([['Global synthesis', sources.synthesis]])
+        .filter(([, used]) => used && Array.isArray(used.provided));
+    return sources.chunks.map((chunk) => ({
+        ...chunk,
+        provided_to: usage.filter(([, used]) => used.provided.includes(chunk.id)).map(([title]) => title),
+        cited_in: usage.filter(([, used]) => (used.cited || []).includes(chunk.id)).map(([title]) => title)
+    }));
+}
+
+/** "S1.2 (cited), S1.4" for one perspective's or the synthesis's excerpts. */
+function formatSourceIds(used) {
+    if (!used || !Array.isArray(used.provided) || !used.provided.length) return '';
+    const cited = used.cited || [];
+    return used.provided.map((id) => (cited.includes(id) ? `${id} (cited)` : id)).join(', ');
+}
+
+/** Keeps well-formed { name, text } documents within CONFIG.SOURCE_MAX_TOTAL_CHARS. */
+function normalizeSourceDocuments(documents) {
+    if (!Array.isArray(documents)) return [];
+    let remaining = CONFIG.SOURCE_MAX_TOTAL_CHARS;
+    return documents
+        .filter((doc) => doc && typeof doc.text === 'string' && doc.text.trim())
+        .map((doc) => {
+            const text = doc.text.slice(0, Math.max(0, remaining));
+            remaining -= text.length;
+            return { name: sanitizeText(doc.name) || 'document.txt', text };
+        })
+        .filter((doc) => doc.text.trim());
+}
+
+// ---- Revisions ----
+
+/**
+ * Copies a result's revision history ({ deep_research: { title: [...] },
+ * synthesis: [...] }) so it can be extended without mutating the original.
+ */
+function cloneRevisions(revisions) {
+    const source = revisions || {};
+    const deep = {};
+    Object.entries(source.deep_research || {}).forEach(([title, versions]) => {
+        deep[title] = versions.slice();
+    });
+    return { deep_research: deep, synthesis: (source.synthesis || []).slice() };
+}
+
+// ---- Refinement Rounds ----
+
+function normalizeRefinementRounds(value) {
+    const rounds = parseInt(value, 10);
+    return Number.isFinite(rounds) ? Math.max(0, Math.min(CONFIG.MAX_REFINEMENT_ROUNDS, rounds)) : 0;
+}
+
+/** The numbered or bulleted lines of a model reply, without Markdown emphasis. */
+function parseListItems(text) {
+    return String(text || '')
+        .split('\n')
+        .map((line) => line.trim().match(/^(?:\d+[.)]|[-*•])\s+(.+)$/))
+        .filter(Boolean)
+        .map((match) => cleanPerspectiveText(match[1]))
+        .filter(Boolean);
+}
+
+/**
+ * Reads the sub-questions out of a model reply, skipping ones already
+ * researched. A bare "NONE" yields no questions.
+ */
+function parseRefinementQuestions(text, asked = [], limit = CONFIG.REFINEMENT_QUESTIONS_PER_ROUND) {
+    const seen = new Set(asked.map((question) => question.toLowerCase()));
+    const questions = [];
+    parseListItems(text).forEach((question) => {
+        if (question.length < 10 || seen.has(question.toLowerCase())) return;
+        seen.add(question.toLowerCase());
+        questions.push(question);
+    });
+    return questions.slice(0, limit);
+}
+
+/** Each perspective's identified gaps, as parts for the context budget. */
+function gapContextBlocks(research) {
+    return Object.entries(research || {})
+        .filter(([, findings]) => findings && typeof findings.identified_gaps === 'string' && findings.identified_gaps.trim())
+        .map(([title, findings]) => ({
+            key: `gaps:${title}`,
+            heading: `${title}:\n`,
+            text: findings.identified_gaps,
+            section: `gaps of "${title}"`
+        }));
+}
+
+function formatGapsForRefinement(research, texts = {}) {
+    const blocks = gapContextBlocks(research);
+    return blocks.length ? formatContextBlocks(blocks, texts) : 'No per-perspective gaps were recorded.';
+}
+
+function refinementFindingBlocks(questions) {
+    return questions
+        .filter((entry) => typeof entry.findings === 'string' && entry.findings.trim())
+        .map((entry, i) => ({
+            key: `findings:${i}`,
+            heading: `Sub-question ${i + 1}: ${entry.question}\nFindings: `,
+            text: entry.findings,
+            section: `findings on sub-question ${i + 1}`
+        }));
+}
+
+function formatRefinementFindings(questions, texts = {}) {
+    return formatContextBlocks(refinementFindingBlocks(questions), texts);
+}
+
+/**
+ * Line diff of two texts as [{ type: 'same' | 'added' | 'removed', text }],
+ * from a longest-common-subsequence table. Texts too large for the table
+ * are reported as fully replaced.
+ */
+function diffLines(before, after, maxCells = 250000) {
+    const a = String(before || '').split('\n');
+    const b = String(after || '').split('\n');
+    if (a.length * b.length > maxCells) {
+        return [
+            ...a.map((text) => ({ type: 'removed', text })),
+            ...b.map((text) => ({ type: 'added', text }))
+        ];
+    }
+
+    // lcs[i][j]: common lines between a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            diff.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            diff.push({ type: 'removed', text: a[i++] });
+        } else {
+            diff.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) diff.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) diff.push({ type: 'added', text: b[j++] });
+    return diff;
+}
+
+function countDiffLines(diff) {
+    return {
+        added: diff.filter((line) => line.type === 'added').length,
+        removed: diff.filter((line) => line.type === 'removed').length
+    };
+}
+
+/**
+ * Each completed round with the diff from the synthesis it started from
+ * to the one it produced. A round still in progress is left out.
+ */
+function refinementRoundDiffs(refinement) {
+    let previous = (refinement && refinement.initial_synthesis) || '';
+    return ((refinement && refinement.rounds) || [])
+        .filter((round) => typeof round.synthesis === 'string')
+        .map((round) => {
+            const diff = diffLines(previous, round.synthesis);
+            previous = round.synthesis;
+            return { round, diff, counts: countDiffLines(diff) };
+        });
+}
+
+/**
+ * One-line summary of a run's refinement. `synthesis` is the run's current
+ * synthesis, which differs from the last round's after a Re-synthesize.
+ */
+function describeRefinement(refinement, synthesis) {
+    const completed = refinementRoundDiffs(refinement);
+    const last = completed.length ? completed[completed.length - 1].round.synthesis : refinement.initial_synthesis;
+    return `${completed.length} of ${refinement.requested} refinement round(s) completed` +
+        (refinement.stopped_early ? '; stopped early because no open gaps were left.' : '.') +
+        (last === synthesis
+            ? ' The synthesis above is the latest revision.'
+            : ' The synthesis above was re-generated afterwards from the perspective findings.');
+}
+
+/** Changed lines only, prefixed with "+" or "-" as in a unified diff. */
+function formatDiffLines(diff) {
+    return diff
+        .filter((line) => line.type !== 'same')
+        .map((line) => `${line.type === 'added' ? '+' : '-'} ${line.text}`);
+}
+
+function hasRefinementRounds(refinement) {
+    return !!refinement && (refinement.rounds.length > 0 || !!refinement.stopped_early);
+}
+
+// ---- Red Team ----
+
+const CONTESTED_CLAIM_KINDS = {
+    counter_argument: 'Counter-argument',
+    unsupported: 'Unsupported claim',
+    contradiction: 'Contradiction'
+};
+const CONTESTED_CLAIM_SEVERITIES = ['high', 'medium', 'low'];
+
+const RED_TEAM_RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'red_team_review',
+        strict: true,
+        schema: {
+            type: 'object',
+            properties: {
+                contested_claims: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            claim: { type: 'string', description: 'The claim from the synthesis being challenged.' },
+                            kind: { type: 'string', enum: Object.keys(CONTESTED_CLAIM_KINDS) },
+                            challenge: { type: 'string', description: 'The counter-argument, missing support, or contradiction.' },
+                            perspectives: { type: 'array', items: { type: 'string' } },
+                            severity: { type: 'string', enum: CONTESTED_CLAIM_SEVERITIES }
+                        },
+                        required: ['claim', 'kind', 'challenge', 'perspectives', 'severity'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['contested_claims'],
+            additionalProperties: false
+        }
+    }
+};
+
+/** Accepts loose kind labels such as "Counter-argument" or "unsupported claim". */
+function normalizeClaimKind(value) {
+    const text = String(value || '').toLowerCase();
+    if (/contradict|conflict|inconsisten/.test(text)) return 'contradiction';
+    if (/unsupported|evidence|overstat/.test(text)) return 'unsupported';
+    return 'counter_argument';
+}
+
+function normalizeContestedClaim(value) {
+    if (!value || typeof value !== 'object') return null;
+    const claim = cleanPerspectiveText(value.claim || value.statement);
+    const challenge = cleanPerspectiveText(value.challenge || value.argument || value.reason || value.issue);
+    if (!claim || !challenge) return null;
+    const severity = String(value.severity || '').toLowerCase();
+    return {
+        claim,
+        kind: normalizeClaimKind(value.kind || value.type),
+        challenge,
+        perspectives: (Array.isArray(value.perspectives) ? value.perspectives : [])
+            .map(cleanPerspectiveText)
+            .filter(Boolean),
+        severity: CONTESTED_CLAIM_SEVERITIES.includes(severity) ? severity : 'medium'
+    };
+}
+
+/**
+ * Reads the contested claims out of a red-team reply; the same repairs as
+ * for structured perspectives apply. Returns [] when none can be read.
+ */
+function parseContestedClaims(content) {
+    for (const data of parseJsonCandidates(content)) {
+        const list = Array.isArray(data)
+            ? data
+            : data && (data.contested_claims || data.claims || data.items);
+        const claims = (Array.isArray(list) ? list : []).map(normalizeContestedClaim).filter(Boolean);
+        if (claims.length) return claims;
+    }
+    return [];
+}
+
+function formatContestedClaims(claims) {
+    return claims
+        .map((item, i) => `${i + 1}. [${CONTESTED_CLAIM_KINDS[item.kind]}, ${item.severity}] "${item.claim}" — ${item.challenge}` +
+            (item.perspectives.length ? ` (perspectives: ${item.perspectives.join(', ')})` : ''))
+        .join('\n');
+}
+
+/** Each perspective's synthesis (or overview), for spotting contradictions. */
+function perspectiveSummaryBlocks(research) {
+    return Object.entries(research || {})
+        .filter(([, findings]) => findings && !findings.error && (findings.synthesis || findings.initial_research))
+        .map(([title, findings]) => ({
+            key: `summary:${title}`,
+            heading: `${title}:\n`,
+            text: findings.synthesis || findings.initial_research,
+            section: `findings of "${title}"`
+        }));
+}
+
+function formatPerspectiveSummaries(research, texts = {}) {
+    const blocks = perspectiveSummaryBlocks(research);
+    return blocks.length ? formatContextBlocks(blocks, texts) : 'No per-perspective findings are available.';
+}
+
+function countContestedClaims(claims) {
+    const counts = {};
+    Object.keys(CONTESTED_CLAIM_KINDS).forEach((kind) => {
+        counts[kind] = claims.filter((item) => item.kind === kind).length;
+    });
+    return counts;
+}
+
+/** "2 counter-arguments, 1 unsupported claim, 0 contradictions" */
+function describeContestedClaims(claims) {
+    const counts = countContestedClaims(claims);
+    const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    return [
+        plural(counts.counter_argument, 'counter-argument', 'counter-arguments'),
+        plural(counts.unsupported, 'unsupported claim', 'unsupported claims'),
+        plural(counts.contradiction, 'contradiction', 'contradictions')
+    ].join(', ');
+}
+
+// ---- Claims Matrix ----
+
+const CLAIM_STANCES = ['supports', 'contradicts'];
+const CLAIM_STATUS_LABELS = {
+    contradiction: 'Contradiction',
+    agreement: 'Agreement',
+    single: 'Single perspective'
+};
+const CLAIM_CONFIDENCE_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
+const CLAIM_STANCE_MARKS = { supports: '✓', contradicts: '✗', mixed: '±' };
+const CLAIM_SORT_ORDERS = {
+    status: 'Contradictions first',
+    support: 'Most support',
+    confidence: 'Confidence'
+};
+
+const CLAIMS_RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'perspective_claims',
+        strict: true,
+        schema: {
+            type: 'object',
+            properties: {
+                claims: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['claims'],
+            additionalProperties: false
+        }
+    }
+};
+
+const CLAIM_CLUSTERS_RESPONSE_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'claim_clusters',
+        strict: true,
+        schema: {
+            type: 'object',
+            properties: {
+                clusters: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            statement: { type: 'string', description: 'The shared assertion, stated neutrally.' },
+                            members: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    properties: {
+                                        id: { type: 'string' },
+                                        stance: { type: 'string', enum: CLAIM_STANCES }
+                                    },
+                                    required: ['id', 'stance'],
+                                    additionalProperties: false
+                                }
+                            }
+                        },
+                        required: ['statement', 'members'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['clusters'],
+            additionalProperties: false
+        }
+    }
+};
+
+/**
+ * Reads a perspective's claims out of a model reply: the JSON the prompt
+ * asks for, or failing that a numbered or bulleted list.
+ */
+function parseExtractedClaims(content, limit = CONFIG.CLAIMS_PER_PERSPECTIVE) {
+    let claims = [];
+    for (const data of parseJsonCandidates(content)) {
+        const list = Array.isArray(data) ? data : data && (data.claims || data.items);
+        claims = (Array.isArray(list) ? list : [])
+            .map((item) => cleanPerspectiveText(item && typeof item === 'object'
+                ? item.claim || item.text || item.statement
+                : item))
+            .filter(Boolean);
+        if (claims.length) break;
+    }
+    if (!claims.length) {
+        claims = parseListItems(content);
+    }
+    const seen = new Set();
+    return claims
+        .filter((claim) => {
+            const key = claim.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, limit);
+}
+
+/** Accepts loose stance labels such as "disagrees" or "opposes". */
+function normalizeClaimStance(value) {
+    return /contradict|oppos|disagree|conflict|refut|against/.test(String(value || '').toLowerCase())
+        ? 'contradicts'
+        : 'supports';
+}
+
+/**
+ * Reads claim clusters out of a model reply. Unknown claim IDs are
+ * dropped and each claim is kept in the first cluster that names it;
+ * claims no cluster names are left for buildClaimMatrix to place alone.
+ */
+function parseClaimClusters(content, knownIds) {
+    const known = new Set(knownIds || []);
+    for (const data of parseJsonCandidates(content)) {
+        const list = Array.isArray(data) ? data : data && (data.clusters || data.groups);
+        if (!Array.isArray(list)) continue;
+        const used = new Set();
+        const clusters = list
+            .filter((item) => item && typeof item === 'object')
+            .map((item) => ({
+                statement: cleanPerspectiveText(item.statement || item.claim || item.summary),
+                members: (Array.isArray(item.members) ? item.members : [])
+                    .map((member) => (typeof member === 'string'
+                        ? { id: member.trim(), stance: 'supports' }
+                        : { id: String((member && member.id) || '').trim(), stance: normalizeClaimStance(member && member.stance) }))
+                    .filter((member) => {
+                        if (!known.has(member.id) || used.has(member.id)) return false;
+                        used.add(member.id);
+                        return true;
+                    })
+            }))
+            .filter((cluster) => cluster.members.length);
+        if (clusters.length) return clusters;
+    }
+    return [];
+}
+
+/** "P1.C1 [Perspective] claim" lines for the clustering prompt. */
+function formatClaimsForClustering(claims) {
+    return claims.map((claim) => `${claim.id} [${claim.perspective}] ${claim.text}`).join('\n');
+}
+
+/**
+ * Numbers the extracted claims (P<perspective>.C<claim>) in perspective
+ * order and lists them flat.
+ */
+function listExtractedClaims(perspectives, extracted) {
+    const claims = [];
+    perspectives.forEach((title, p) => {
+        const entry = (extracted || {})[title];
+        ((entry && entry.claims) || []).forEach((text, c) => {
+            claims.push({ id: `P${p + 1}.C${c + 1}`, perspective: title, text });
+        });
+    });
+    return claims;
+}
+
+function rateClaimCluster(supporting, contradicting, perspectiveCount) {
+    if (!contradicting && supporting >= 2) {
+        return supporting >= Math.ceil(perspectiveCount / 2) ? 'high' : 'medium';
+    }
+    return contradicting && supporting >= 2 * contradicting ? 'medium' : 'low';
+}
+
+/**
+ * Builds the claims × perspectives matrix. Each cluster records every
+ * perspective's stance: "supports", "contradicts", or "mixed" when the
+ * perspective's own claims disagree. A cluster whose members all
+ * contradict its statement is flipped, so each cluster has supporters.
+ * Status is "contradiction" when any perspective contradicts or is
+ * mixed, "agreement" when two or more support, and "single" otherwise.
+ * Confidence is high when at least half the perspectives (and at least
+ * two) support it without contradiction, medium for narrower agreement
+ * or a contradiction outweighed two to one, and low otherwise.
+ */
+function buildClaimMatrix(perspectives, extracted, clusters) {
+    const claims = listExtractedClaims(perspectives, extracted);
+    const byId = new Map(claims.map((claim) => [claim.id, claim]));
+    const placed = new Set();
+    const groups = (clusters || [])
+        .map((cluster) => ({
+            statement: cluster.statement,
+            members: cluster.members.filter((member) => byId.has(member.id) && !placed.has(member.id))
+        }))
+        .filter((cluster) => cluster.members.length);
+    groups.forEach((cluster) => cluster.members.forEach((member) => placed.add(member.id)));
+    claims
+        .filter((claim) => !placed.has(claim.id))
+        .forEach((claim) => groups.push({ statement: '', members: [{ id: claim.id, stance: 'supports' }] }));
+
+    const entries = groups.map((cluster, i) => {
+        let members = cluster.members.map((member) => ({ claim: member.id, stance: member.stance }));
+        if (!members.some((member) => member.stance === 'supports')) {
+            members = members.map((member) => ({ ...member, stance: 'supports' }));
+        }
+        const stances = {};
+        members.forEach((member) => {
+            const title = byId.get(member.claim).perspective;
+            stances[title] = stances[title] && stances[title] !== member.stance ? 'mixed' : member.stance;
+        });
+        const values = Object.values(stances);
+        const supporting = values.filter((stance) => stance === 'supports').length;
+        const contradicting = values.length - supporting;
+        const firstSupport = members.find((member) => member.stance === 'supports');
+        return {
+            id: `K${i + 1}`,
+            statement: cluster.statement || byId.get(firstSupport.claim).text,
+            members,
+            stances,
+            supporting,
+            contradicting,
+            status: contradicting ? 'contradiction' : supporting >= 2 ? 'agreement' : 'single',
+            confidence: rateClaimCluster(supporting, contradicting, perspectives.length)
+        };
+    });
+
+    return { perspectives: perspectives.slice(), claims, clusters: sortClaimClusters(entries, 'status') };
+}
+
+/**
+ * Orders clusters for display: "status" puts contradictions first, then
+ * agreements; "support" by number of supporting perspectives;
+ * "confidence" from high to low. Ties keep cluster order.
+ */
+function sortClaimClusters(clusters, order = 'status') {
+    const statusRank = { contradiction: 0, agreement: 1, single: 2 };
+    const confidenceRank = { high: 0, medium: 1, low: 2 };
+    const number = (id) => parseInt(String(id).slice(1), 10) || 0;
+    const compare = {
+        status: (a, b) => statusRank[a.status] - statusRank[b.status] || b.supporting - a.supporting,
+        support: (a, b) => b.supporting - a.supporting || a.contradicting - b.contradicting,
+        confidence: (a, b) => confidenceRank[a.confidence] - confidenceRank[b.confidence] || b.supporting - a.supporting
+    }[order] || (() => 0);
+    return clusters.slice().sort((a, b) => compare(a, b) || number(a.id) - number(b.id));
+}
+
+function hasClaimMatrix(matrix) {
+    return !!(matrix && Array.isArray(matrix.clusters) && matrix.clusters.length);
+}
+
+function countClaimClusters(matrix) {
+    const counts = {};
+    Object.keys(CLAIM_STATUS_LABELS).forEach((status) => {
+        counts[status] = ((matrix && matrix.clusters) || []).filter((cluster) => cluster.status === status).length;
+    });
+    return counts;
+}
+
+/** "14 claims in 9 clusters: 3 agreements, 1 contradiction" */
+function describeClaimMatrix(matrix) {
+    const counts = countClaimClusters(matrix);
+    const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+    return `${plural(matrix.claims.length, 'claim', 'claims')} in ${plural(matrix.clusters.length, 'cluster', 'clusters')}: ` +
+        `${plural(counts.agreement, 'agreement', 'agreements')}, ${plural(counts.contradiction, 'contradiction', 'contradictions')}`;
+}
+
+/** Perspective titles grouped by their stance on a cluster. */
+function claimClusterSides(cluster) {
+    const sides = { supports: [], contradicts: [], mixed: [] };
+    Object.entries(cluster.stances).forEach(([title, stance]) => sides[stance].push(title));
+    return sides;
+}
+
+/**
+ * The contradictions and agreements of a claims matrix as a short list
+ * for the synthesis prompt; single-perspective claims are left out.
+ */
+function formatClaimCheck(matrix, limit = 8) {
+    if (!hasClaimMatrix(matrix)) return '';
+    return matrix.clusters
+        .filter((cluster) => cluster.status !== 'single')
+        .slice(0, limit)
+        .map((cluster) => {
+            const sides = claimClusterSides(cluster);
+            const against = sides.contradicts.concat(sides.mixed);
+            return `- [${CLAIM_STATUS_LABELS[cluster.status]}, ${cluster.confidence} confidence] ${cluster.statement} ` +
+                `(supported by: ${sides.supports.join(', ') || 'none'}` +
+                `${against.length ? `; contradicted by: ${against.join(', ')}` : ''})`;
+        })
+        .join('\n');
+}
+
+// ---- Report Builders ----
+
+const PERSPECTIVE_STEP_TITLES = {
+    initial_research: 'Initial Research',
+    critical_analysis: 'Critical Analysis',
+    identified_gaps: 'Identified Gaps',
+    synthesis: 'Perspective Synthesis'
+};
+
+/**
+ * Pushes Markdown headings in model output down by `levels` so they nest
+ * under the report's own section headings. Fenced code is left untouched.
+ */
+function demoteMarkdownHeadings(text, levels) {
+    if (typeof text !== 'string') return '';
+    let inFence = false;
+    return text
+        .split('\n')
+        .map((line) => {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                return line;
+            }
+            if (inFence) return line;
+            return line.replace(/^(#{1,6})(\s+)/, (_, hashes, space) =>
+                '#'.repeat(Math.min(hashes.length + levels, 6)) + space);
+        })
+        .join('\n');
+}
+
+function buildMarkdownReport(results, meta = {}) {
+    const r = results || {};
+    const lines = [];
+    const push = (...items) => lines.push(...items);
+    const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+
+    push(`# Research Report: ${r.topic || meta.topic || 'Untitled'}`, '');
+
+    const metaRows = [
+        ['Provider', meta.provider ? getProviderLabel(meta.provider) : ''],
+        ['Model', meta.model],
+        ['Depth', meta.depth],
+        ['Perspectives', meta.iterations],
+        ['Constraints', meta.constraints],
+        ['Prompt templates', meta.templateSet],
+        ['Started', meta.startedAt],
+        ['Finished', meta.finishedAt],
+        ['Exported', new Date().toISOString()]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+    metaRows.forEach(([name, value]) => push(`- **${name}:** ${value}`));
+    if (r.panel) {
+        push(`- **Model panel:** ${describeModelPanel(r.panel)}`);
+    }
+    if (r.partial) {
+        push('- **Status:** Partial results (run stopped before completion)');
+    }
+    push('');
+
+    push('## 1. Topic Analysis', '');
+    push(demoteMarkdownHeadings((r.topic_analysis && r.topic_analysis.analysis) || '_No topic analysis available._', 2), '');
+
+    push('## 2. Research Perspectives', '');
+    const perspectives = normalizePerspectiveList(r.perspectives);
+    if (perspectives.length) {
+        perspectives.forEach((p, i) => {
+            push(`${i + 1}. **${p.title}**${p.rationale ? ` — ${p.rationale}` : ''}`);
+            if (p.methods.length) push(`   - Methods: ${p.methods.join(', ')}`);
+        });
+    } else {
+        push('_No perspectives were generated._');
+    }
+    push('');
+
+    push('## 3. Deep Research Findings', '');
+    const deep = r.deep_research && typeof r.deep_research === 'object' ? r.deep_research : {};
+    const deepEntries = Object.entries(deep);
+    if (!deepEntries.length) {
+        push('_No deep research results._', '');
+    }
+    deepEntries.forEach(([perspective, research], index) => {
+        const data = research || {};
+        push(`### 3.${index + 1} ${perspective}`, '');
+        if (data.sources) {
+            push(`_Source excerpts: ${formatSourceIds(data.sources) || 'none matched'}_`, '');
+        }
+        if (data.error) {
+            push(`> **Warning:** ${data.error}`, '');
+        } else {
+            PERSPECTIVE_STEPS.forEach((step) => {
+                push(`#### ${PERSPECTIVE_STEP_TITLES[step]}`, '');
+                if (data.models && data.models[step]) {
+                    push(`_Model: ${data.models[step]}_`, '');
+                }
+                push(demoteMarkdownHeadings(data[step] || '_No data._', 4), '');
+            });
+        }
+        ((r.comparisons && r.comparisons[perspective]) || []).forEach((entry) => {
+            push(`#### Compared: ${entry.model}`, '');
+            if (entry.error) {
+                push(`> **Warning:** ${entry.error}`, '');
+                return;
+            }
+            PERSPECTIVE_STEPS.forEach((step) => {
+                push(`##### ${PERSPECTIVE_STEP_TITLES[step]}`, '');
+                push(demoteMarkdownHeadings(entry[step] || '_No data._', 5), '');
+            });
+        });
+    });
+
+    const claimMatrix = r.claims;
+    if (claimMatrix) {
+        const models = claimMatrix.models || {};
+        const errors = Object.keys(claimMatrix.errors || {});
+        push('## Claims Matrix', '');
+        push(`_${describeClaimMatrix(claimMatrix)}${models.clustering ? `; clustered by ${models.clustering}` : ''}._`, '');
+        if (errors.length) {
+            push(`> **Warning:** No claims could be extracted from: ${errors.join(', ')}`, '');
+        }
+        if (hasClaimMatrix(claimMatrix)) {
+            push(`| # | Claim | ${claimMatrix.perspectives.map((_, i) => `P${i + 1}`).join(' | ')} | Status | Confidence |`);
+            push(`|--:|---|${claimMatrix.perspectives.map(() => ':-:|').join('')}---|---|`);
+            claimMatrix.clusters.forEach((cluster) => {
+                const stances = claimMatrix.perspectives.map((title) => CLAIM_STANCE_MARKS[cluster.stances[title]] || ' ');
+                push(`| ${cluster.id} | ${cell(cluster.statement)} | ${stances.join(' | ')} | ` +
+                    `${CLAIM_STATUS_LABELS[cluster.status]} | ${CLAIM_CONFIDENCE_LABELS[cluster.confidence]} |`);
+            });
+            push('');
+            push(...claimMatrix.perspectives.map((title, i) => `- **P${i + 1}:** ${title}`), '');
+            push('_✓ supports · ✗ contradicts · ± both, in different claims_', '');
+        }
+    }
+
+    push('## 4. Synthesis & Conclusions', '');
+    push(demoteMarkdownHeadings(
+        typeof r.synthesis === 'string' && r.synthesis.trim() ? r.synthesis : '_No synthesis available._',
+        2
+    ), '');
+    if (r.sources && r.sources.synthesis) {
+        push(`_Source excerpts: ${formatSourceIds(r.sources.synthesis) || 'none matched'}_`, '');
+    }
+    if (hasRefinementRounds(r.refinement)) {
+        push('### Refinement Rounds', '');
+        push(`_${describeRefinement(r.refinement, r.synthesis)}_`, '');
+        refinementRoundDiffs(r.refinement).forEach(({ round, diff, counts }) => {
+            push(`#### Round ${round.round}`, '');
+            round.questions.forEach((item, i) => {
+                push(`**Q${i + 1}: ${item.question}**${item.model ? ` _(${item.model})_` : ''}`, '');
+                push(item.error ? `> **Warning:** ${item.error}` : demoteMarkdownHeadings(item.findings || '_No data._', 4), '');
+            });
+            push(`Changes to the synthesis: +${counts.added} / −${counts.removed} lines${round.model ? ` _(revised by ${round.model})_` : ''}`, '');
+            if (counts.added || counts.removed) {
+                push('```diff', ...formatDiffLines(diff), '```', '');
+            }
+        });
+    }
+
+    const redTeam = r.red_team;
+    if (redTeam) {
+        const claims = redTeam.contested_claims || [];
+        const models = redTeam.models || {};
+        push('## Red-Team Review', '');
+        if (redTeam.original_synthesis !== r.synthesis) {
+            push('_This review attacked an earlier synthesis; the synthesis above was re-generated since._', '');
+        }
+        push(`_${claims.length ? describeContestedClaims(claims) : 'No contested claims could be read from the critique'}` +
+            `${models.critique ? `; critique by ${models.critique}` : ''}._`, '');
+        if (claims.length) {
+            push('### Contested Claims', '');
+            push('| # | Claim | Kind | Challenge | Perspectives | Severity |');
+            push('|--:|---|---|---|---|---|');
+            claims.forEach((item, i) => {
+                push(`| ${i + 1} | ${cell(item.claim)} | ${CONTESTED_CLAIM_KINDS[item.kind]} | ${cell(item.challenge)} | ` +
+                    `${cell(item.perspectives.join(', '))} | ${item.severity} |`);
+            });
+            push('');
+        } else if (redTeam.critique) {
+            push('### Critique', '');
+            push(demoteMarkdownHeadings(redTeam.critique, 3), '');
+        }
+        if (typeof redTeam.synthesis === 'string') {
+            push('### Revised Synthesis', '');
+            if (models.revision) {
+                push(`_Model: ${models.revision}_`, '');
+            }
+            push(demoteMarkdownHeadings(redTeam.synthesis, 3), '');
+        } else if (redTeam.revision_error) {
+            push(`_The revision failed (${redTeam.revision_error}); the synthesis above is unrevised._`, '');
+        }
+    }
+
+    const citations = getCitationReport(r);
+    const excerpts = summarizeSourceUsage(r);
+    if (citations.references.length || excerpts.length) {
+        push('## 5. Reference Check', '');
+    }
+    if (citations.references.length) {
+        push(`_${describeCitationCounts(citations.counts)}. Extracted automatically from model output; ` +
+            `${citations.verifier === UNVERIFIED_CITATION_VERIFIER.name ? 'no lookups were made' : `checked with ${citations.verifier}`}._`, '');
+        push('| # | Type | Reference | Status | Found in |');
+        push('|--:|---|---|---|---|');
+        citations.references.forEach((ref, i) => {
+            const status = ref.malformed ? `${ref.status}, malformed: ${ref.problem}` : ref.status;
+            push(`| ${i + 1} | ${CITATION_TYPE_LABELS[ref.type]} | ${cell(ref.id)} | ${cell(status)} | ${cell(ref.sources.join(', '))} |`);
+        });
+        push('');
+    }
+    if (excerpts.length) {
+        push('### Local source excerpts', '');
+        excerpts.forEach((chunk) => {
+            const cited = chunk.cited_in.length ? `cited in ${chunk.cited_in.join(', ')}` : 'not cited';
+            push(`**[${chunk.id}]** ${chunk.name || chunk.document}, part ${chunk.index} — ${cited}`, '');
+            push(chunk.text.split('\n').map((line) => `> ${line}`).join('\n'), '');
+        });
+    }
+
+    const conversation = Array.isArray(r.conversation) ? r.conversation : [];
+    if (conversation.length) {
+        push('## 6. Follow-up Q&A', '');
+        conversation.forEach((turn) => {
+            if (turn.role === 'user') {
+                push(`**Q:** ${turn.content}`, '');
+            } else {
+                push(`**A${turn.model ? ` (${turn.model})` : ''}:**`, '');
+                push(demoteMarkdownHeadings(turn.content || '', 3), '');
+            }
+        });
+    }
+
+    const usage = r.usage;
+    if (usage && usage.totals && usage.totals.calls) {
+        push('## Usage & Cost', '');
+        push('| Phase | Calls | Prompt tokens | Completion tokens | Est. cost |');
+        push('|---|--:|--:|--:|--:|');
+        const row = (name, b) => `| ${name} | ${b.calls} | ${b.prompt_tokens} | ${b.completion_tokens} | ${formatUsd(b.cost)} |`;
+        Object.entries(usage.by_phase || {}).forEach(([name, bucket]) => push(row(name, bucket)));
+        push(row('**Total**', usage.totals), '');
+    }
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Self-describing JSON bundle of a run: the full result object plus the
+ * metadata needed to understand (and later re-open) it.
+ */
+function buildRunBundle(results, meta = {}) {
+    return {
+        format: CONFIG.RUN_BUNDLE_FORMAT,
+        version: CONFIG.RUN_BUNDLE_VERSION,
+        exported_at: new Date().toISOString(),
+        metadata: {
+            topic: (results && results.topic) || meta.topic || '',
+            provider: meta.provider || '',
+            model: meta.model || '',
+            depth: meta.depth || '',
+            iterations: meta.iterations || null,
+            constraints: meta.constraints || '',
+            template_set: meta.templateSet || '',
+            started_at: meta.startedAt || null,
+            finished_at: meta.finishedAt || null
+        },
+        result: results
+    };
+}
+
+// ---- Run Bundle Validation ----
+
+// Which source excerpts a perspective or the synthesis was given and cited
+const SOURCE_USAGE_SCHEMA = {
+    type: 'object',
+    required: ['provided'],
+    properties: {
+        provided: { type: 'array', items: { type: 'string' } },
+        cited: { type: 'array', items: { type: 'string' } }
+    }
+};
+
+// One perspective's four steps, as in deep_research and panel comparisons
+const PERSPECTIVE_RESULT_SCHEMA = {
+    type: 'object',
+    properties: {
+        initial_research: { type: 'string', nullable: true },
+        critical_analysis: { type: 'string', nullable: true },
+        identified_gaps: { type: 'string', nullable: true },
+        synthesis: { type: 'string', nullable: true },
+        error: { type: 'string' },
+        models: { type: 'object', values: { type: 'string' } },
+        sources: SOURCE_USAGE_SCHEMA
+    }
+};
+
+/**
+ * Minimal schema for run bundles produced by buildRunBundle. Supports
+ * type, nullable, enum, anyOf, required, properties, items and values
+ * (for objects used as maps).
+ */
+const RUN_BUNDLE_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'result'],
+    properties: {
+        format: { type: 'string', enum: [CONFIG.RUN_BUNDLE_FORMAT] },
+        version: { type: 'number', enum: [CONFIG.RUN_BUNDLE_VERSION] },
+        exported_at: { type: 'string', nullable: true },
+        metadata: {
+            type: 'object',
+            properties: {
+                topic: { type: 'string' },
+                provider: { type: 'string' },
+                model: { type: 'string' },
+                depth: { type: 'string' },
+                iterations: { type: 'number', nullable: true },
+                constraints: { type: 'string' },
+                template_set: { type: 'string' },
+                started_at: { type: 'string', nullable: true },
+                finished_at: { type: 'string', nullable: true }
+            }
+        },
+        result: {
+            type: 'object',
+            required: ['topic', 'perspectives', 'deep_research'],
+            properties: {
+                topic: { type: 'string' },
+                topic_analysis: {
+                    type: 'object',
+                    nullable: true,
+                    properties: { analysis: { type: 'string' } }
+                },
+                perspectives: {
+                    type: 'array',
+                    // Plain strings are accepted from bundles exported before
+                    // perspectives were structured
+                    items: {
+                        anyOf: [
+                            { type: 'string' },
+                            {
+                                type: 'object',
+                                required: ['title'],
+                                properties: {
+                                    title: { type: 'string' },
+                                    rationale: { type: 'string' },
+                                    methods: { type: 'array', items: { type: 'string' } }
+                                }
+                            }
+                        ]
+                    }
+                },
+                deep_research: {
+                    type: 'object',
+                    values: PERSPECTIVE_RESULT_SCHEMA
+                },
+                synthesis: { type: 'string', nullable: true },
+                panel: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['models'],
+                    properties: {
+                        models: { type: 'array', items: { type: 'string' } },
+                        assign: { type: 'string', enum: Object.keys(PANEL_ASSIGNMENTS) },
+                        compare: { type: 'boolean' }
+                    }
+                },
+                comparisons: {
+                    type: 'object',
+                    nullable: true,
+                    values: {
+                        type: 'array',
+                        items: {
+                            ...PERSPECTIVE_RESULT_SCHEMA,
+                            required: ['model'],
+                            properties: { ...PERSPECTIVE_RESULT_SCHEMA.properties, model: { type: 'string' } }
+                        }
+                    }
+                },
+                claims: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['perspectives', 'claims', 'clusters'],
+                    properties: {
+                        perspectives: { type: 'array', items: { type: 'string' } },
+                        claims: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'perspective', 'text'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    perspective: { type: 'string' },
+                                    text: { type: 'string' }
+                                }
+                            }
+                        },
+                        clusters: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'statement', 'members', 'stances', 'status', 'confidence'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    statement: { type: 'string' },
+                                    members: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['claim', 'stance'],
+                                            properties: {
+                                                claim: { type: 'string' },
+                                                stance: { type: 'string', enum: CLAIM_STANCES }
+                                            }
+                                        }
+                                    },
+                                    stances: { type: 'object', values: { type: 'string', enum: [...CLAIM_STANCES, 'mixed'] } },
+                                    supporting: { type: 'number' },
+                                    contradicting: { type: 'number' },
+                                    status: { type: 'string', enum: Object.keys(CLAIM_STATUS_LABELS) },
+                                    confidence: { type: 'string', enum: Object.keys(CLAIM_CONFIDENCE_LABELS) }
+                                }
+                            }
+                        },
+                        errors: { type: 'object', values: { type: 'string' } },
+                        models: { type: 'object' }
+                    }
+                },
+                refinement: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['rounds'],
+                    properties: {
+                        requested: { type: 'number' },
+                        initial_synthesis: { type: 'string' },
+                        stopped_early: { type: 'boolean' },
+                        rounds: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['round', 'questions'],
+                                properties: {
+                                    round: { type: 'number' },
+                                    questions: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['question'],
+                                            properties: {
+                                                question: { type: 'string' },
+                                                findings: { type: 'string' },
+                                                model: { type: 'string' },
+                                                error: { type: 'string' }
+                                            }
+                                        }
+                                    },
+                                    synthesis: { type: 'string', nullable: true },
+                                    model: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                red_team: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['contested_claims'],
+                    properties: {
+                        original_synthesis: { type: 'string' },
+                        critique: { type: 'string', nullable: true },
+                        contested_claims: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['claim', 'kind', 'challenge'],
+                                properties: {
+                                    claim: { type: 'string' },
+                                    kind: { type: 'string', enum: Object.keys(CONTESTED_CLAIM_KINDS) },
+                                    challenge: { type: 'string' },
+                                    perspectives: { type: 'array', items: { type: 'string' } },
+                                    severity: { type: 'string', enum: CONTESTED_CLAIM_SEVERITIES }
+                                }
+                            }
+                        },
+                        synthesis: { type: 'string', nullable: true },
+                        revision_error: { type: 'string' },
+                        models: { type: 'object' }
+                    }
+                },
+                usage: { type: 'object', nullable: true },
+                research_log: { type: 'array', items: { type: 'string' } },
+                partial: { type: 'boolean' },
+                revisions: {
+                    type: 'object',
+                    properties: {
+                        deep_research: {
+                            type: 'object',
+                            values: { type: 'array', items: { type: 'object' } }
+                        },
+                        synthesis: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    synthesis: { type: 'string' },
+                                    replaced_at: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                },
+                conversation: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['role', 'content'],
+                        properties: {
+                            role: { type: 'string', enum: ['user', 'assistant'] },
+                            content: { type: 'string' },
+                            model: { type: 'string' },
+                            at: { type: 'string' }
+                        }
+                    }
+                },
+                sources: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['chunks'],
+                    properties: {
+                        documents: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'name'],
+                                properties: { id: { type: 'string' }, name: { type: 'string' } }
+                            }
+                        },
+                        chunks: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['id', 'text'],
+                                properties: {
+                                    id: { type: 'string' },
+                                    document: { type: 'string' },
+                                    name: { type: 'string' },
+                                    index: { type: 'number' },
+                                    text: { type: 'string' }
+                                }
+                            }
+                        },
+                        synthesis: SOURCE_USAGE_SCHEMA
+                    }
+                },
+                citations: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['references'],
+                    properties: {
+                        verifier: { type: 'string' },
+                        references: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['type', 'id', 'status'],
+                                properties: {
+                                    type: { type: 'string', enum: Object.keys(CITATION_TYPE_LABELS) },
+                                    id: { type: 'string' },
+                                    status: { type: 'string', enum: CITATION_STATUSES },
+                                    malformed: { type: 'boolean' },
+                                    problem: { type: 'string' },
+                                    sources: { type: 'array', items: { type: 'string' } }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Checks `value` against `schema` and returns a list of error strings
+ * (empty when valid). Paths are reported in dotted form, e.g.
+ * `result.perspectives[2]`.
+ */
+function validateAgainstSchema(value, schema, path = '$') {
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map((option) => validateAgainstSchema(value, option, path));
+        if (attempts.some((errors) => errors.length === 0)) return [];
+        // Report errors from the option of the same type, if any
+        const sameType = schema.anyOf.findIndex((option) => option.type === schemaTypeOf(value));
+        return sameType !== -1 ? attempts[sameType] : [`${path}: does not match any allowed type`];
+    }
+    const actual = schemaTypeOf(value);
+    if (actual === 'null') {
+        return schema.nullable ? [] : [`${path}: must not be null`];
+    }
+    if (schema.type && actual !== schema.type) {
+        return [`${path}: expected ${schema.type}, got ${actual}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: unsupported value ${JSON.stringify(value)}`];
+    }
+
+    const errors = [];
+    if (actual === 'object') {
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) errors.push(`${path}.${key}: is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validateAgainstSchema(value[key], sub, `${path}.${key}`));
+            }
+        });
+        if (schema.values) {
+            Object.entries(value).forEach(([key, item]) => {
+                errors.push(...validateAgainstSchema(item, schema.values, `${path}[${JSON.stringify(key)}]`));
+            });
+        }
+    } else if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+        });
+    }
+    return errors;
+}
+
+/**
+ * Parses and validates the text of an exported run file.
+ * Returns { bundle, errors }; bundle is null when invalid.
+ */
+function parseRunBundle(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { bundle: null, errors: [`Not valid JSON: ${err.message}`] };
+    }
+    const errors = validateAgainstSchema(data, RUN_BUNDLE_SCHEMA);
+    return { bundle: errors.length ? null : data, errors };
+}
+
+function setBodyTheme(theme) {
+    document.body.classList.remove('theme-dark');
+    if (theme === 'dark') {
+        document.body.classList.add('theme-dark');
+    } else if (theme === 'auto') {
+        const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        if (prefersDark) document.body.classList.add('theme-dark');
+    }
+}
+
+function setBodyDensity(compact) {
+    document.body.classList.remove('density-compact', 'density-spacious');
+    if (compact) {
+        document.body.classList.add('density-compact');
+    }
+}
+
+function setBodyMotion(reduced) {
+    document.body.classList.toggle('reduced-motion', !!reduced);
+}
+
+function updateLiveStatus(text) {
+    const region = document.getElementById('statusLiveRegion');
+    if (region) {
+        region.textContent = text || '';
+    }
+}
+
+// ---- Settings Manager ----
+
+const SettingsManager = {
+    load() {
+        try {
+            const raw = localStorage.getItem(CONFIG.SETTINGS_KEY);
+            if (!raw) return { ...CONFIG.DEFAULT_SETTINGS };
+            const parsed = JSON.parse(raw);
+            return { ...CONFIG.DEFAULT_SETTINGS, ...parsed };
+        } catch {
+            return { ...CONFIG.DEFAULT_SETTINGS };
+        }
+    },
+    save(settings) {
+        const toStore = { ...CONFIG.DEFAULT_SETTINGS, ...(settings || {}) };
+        localStorage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify(toStore));
+        return toStore;
+    },
+    reset() {
+        localStorage.removeItem(CONFIG.SETTINGS_KEY);
+        return { ...CONFIG.DEFAULT_SETTINGS };
+    }
+};
+
+// ---- Checkpoint Manager ----
+
+const CheckpointManager = {
+    load() {
+        try {
+            const raw = localStorage.getItem(CONFIG.CHECKPOINT_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    },
+    save(checkpoint) {
+        try {
+            localStorage.setItem(CONFIG.CHECKPOINT_KEY, JSON.stringify(checkpoint));
+            return true;
+        } catch (err) {
+            console.warn('[Advanced Research Tool] Could not persist checkpoint', err);
+            return false;
+        }
+    },
+    clear() {
+        localStorage.removeItem(CONFIG.CHECKPOINT_KEY);
+    }
+};
+
+// ---- Run History (IndexedDB) ----
+
+const RunHistoryStore = {
+    dbPromise: null,
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+        }
+        const request = indexedDB.open(CONFIG.HISTORY_DB_NAME, CONFIG.HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(CONFIG.HISTORY_STORE)) {
+                const store = db.createObjectStore(CONFIG.HISTORY_STORE, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            }
+        };
+        this.dbPromise = promisifyRequest(request).catch((err) => {
+            this.dbPromise = null;
+            throw err;
+        });
+        return this.dbPromise;
+    },
+
+    async withStore(mode, fn) {
+        const db = await this.open();
+        const tx = db.transaction(CONFIG.HISTORY_STORE, mode);
+        return promisifyRequest(fn(tx.objectStore(CONFIG.HISTORY_STORE)));
+    },
+
+    async save(run) {
+        const record = {
+            ...run,
+            id: run.id || createRunId(),
+            title: run.title || run.topic || 'Untitled run',
+            createdAt: run.createdAt || new Date().toISOString()
+        };
+        await this.withStore('readwrite', (store) => store.put(record));
+        return record;
+    },
+
+    async list() {
+        const runs = await this.withStore('readonly', (store) => store.getAll());
+        return (runs || []).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+
+    get(id) {
+        return this.withStore('readonly', (store) => store.get(id));
+    },
+
+    async rename(id, title) {
+        const run = await this.get(id);
+        if (!run) throw new Error('Run not found in history.');
+        run.title = title;
+        await this.withStore('readwrite', (store) => store.put(run));
+        return run;
+    },
+
+    remove(id) {
+        return this.withStore('readwrite', (store) => store.delete(id));
+    }
+};
+
+// ---- AdvancedResearcher Class (core logic) ----
+
+class AdvancedResearcher {
+    constructor(apiKey, modelId, constraints, uiHooks, options = {}) {
+        // A provider ID from LLM_PROVIDERS, or an adapter object (e.g. createMockProvider())
+        this.provider = options.provider && typeof options.provider === 'object'
+            ? options.provider
+            : getProvider(options.provider);
+        this.providerId = this.provider.id;
+        this.baseUrl = options.baseUrl || '';
+        if (this.provider.requiresBaseUrl && !this.baseUrl) {
+            throw new Error(`${this.provider.label} needs a base URL.`);
+        }
+        this.apiKey = apiKey;
+        this.modelId = modelId;
+        this.constraints = constraints || '';
+        this.researchLog = [];
+        this.uiHooks = uiHooks || {};
+        this.stream = options.stream !== false;
+        this.retryPolicy = { ...CONFIG.DEFAULT_RETRY, ...(options.retry || {}) };
+        this.fallbackModels = Array.isArray(options.fallbackModels) ? options.fallbackModels.slice() : [];
+        this.concurrency = Math.max(1, Math.min(CONFIG.MAX_CONCURRENCY, parseInt(options.concurrency, 10) || 1));
+        this.priceTable = options.priceTable || CONFIG.MODEL_PRICES;
+        this.contextTable = options.contextTable || CONFIG.MODEL_CONTEXT_TOKENS;
+        this.summarizeContext = options.summarizeContext !== false;
+        this.contextSummaries = new Map();
+        this.budgetUsd = options.budgetUsd > 0 ? options.budgetUsd : null;
+        this.budgetReserved = 0;
+        this.structuredOutput = options.structuredOutput !== false && this.provider.supportsResponseFormat;
+        this.reviewPerspectives = !!options.reviewPerspectives &&
+            typeof this.uiHooks.onReviewPerspectives === 'function';
+        this.templateSet = options.templateSet || '';
+        this.promptOverrides = { ...(options.promptTemplates || {}) };
+        this.promptTemplates = resolvePromptTemplates(this.promptOverrides);
+        this.setSourceDocuments(options.sources);
+        this.panel = normalizeModelPanel(options.panel);
+        this.comparisons = {};
+        this.refinementRounds = normalizeRefinementRounds(options.refinementRounds);
+        this.redTeam = !!options.redTeam;
+        this.claimAnalysis = !!options.claimAnalysis;
+        this.citationVerifier = isCitationVerifier(options.citationVerifier)
+            ? options.citationVerifier
+            : UNVERIFIED_CITATION_VERIFIER;
+        this.usageCalls = [];
+        this.topic = '';
+        this.active = true;
+        this.abortController = new AbortController();
+        this.partialResults = null;
+    }
+
+    ensureActive() {
+        if (!this.active) {
+            throw new ResearchCancelledError();
+        }
+    }
+
+    /** Pipeline phases shown in progress labels: four, or five with the red-team review. */
+    phaseCount() {
+        return this.redTeam ? 5 : 4;
+    }
+
+    async log(message, level = 'info') {
+        this.ensureActive();
+        const timestamp = new Date().toLocaleTimeString();
+        const entry = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
+        this.researchLog.push(entry);
+
+        if (this.researchLog.length > CONFIG.LOG_MAX_ENTRIES) {
+            this.researchLog.shift();
+        }
+
+        if (typeof this.uiHooks.onLog === 'function') {
+            this.uiHooks.onLog(entry);
+        }
+
+        if (typeof this.uiHooks.onProgressText === 'function') {
+            this.uiHooks.onProgressText(truncateForLog(message, 140));
+        }
+
+        console.log(entry);
+    }
+
+    /**
+     * Renders the prompt template for `phase`. Topic and constraint
+     * placeholders are filled in automatically. Source excerpts are
+     * appended when a custom template drops the {sources_section} its
+     * default has.
+     */
+    buildPrompt(phase, values = {}) {
+        const template = this.promptTemplates[phase];
+        const prompt = renderPromptTemplate(template, {
+            topic: this.topic || '',
+            constraints: this.constraints,
+            constraints_section: this.constraints
+                ? `Additionally, respect these constraints / addons:\n${this.constraints}`
+                : '',
+            ...values
+        });
+        if (
+            values.sources_section &&
+            DEFAULT_PROMPT_TEMPLATES[phase].includes('{sources_section}') &&
+            !template.includes('{sources_section}')
+        ) {
+            return `${prompt}\n\n${values.sources_section}`;
+        }
+        return prompt;
+    }
+
+    /**
+     * Renders a prompt whose `parts` (`{ key, text, weight, section }`)
+     * share what is left of the context window once the rest of the
+     * prompt and the completion (`maxTokens`) are reserved; see
+     * fitPromptParts. Other `values` are used as given.
+     */
+    async buildBudgetedPrompt(phase, values, parts, options) {
+        return this.fitPromptParts((texts) => this.buildPrompt(phase, { ...values, ...texts }), parts, options);
+    }
+
+    /**
+     * Fits prompt parts into the context window of `model` (or the run's
+     * model) and every fallback. `render(texts)` builds the prompt from a
+     * key → text map; rendering it with empty parts gives the fixed
+     * overhead. A part over its share is condensed by the model when it
+     * would lose more than CONFIG.CONTEXT_SUMMARIZE_RATIO of its length,
+     * and truncated otherwise. Each cut is logged. `limitTokens` caps the
+     * prompt below what the context window allows.
+     */
+    async fitPromptParts(render, parts, { maxTokens, label, model = null, limitTokens = Infinity }) {
+        const empty = {};
+        parts.forEach((part) => { empty[part.key] = ''; });
+        const budget = Math.min(limitTokens, promptTokenBudget(this.getModelChain(model), maxTokens, this.contextTable));
+        const overhead = estimateTokens(render(empty));
+        if (overhead > budget) {
+            await this.log(`${label}: the prompt needs ~${overhead} tokens before any context, over the ~${budget} available.`, 'warn');
+        }
+
+        const texts = {};
+        for (const part of planContextBudget(parts, budget - overhead)) {
+            texts[part.key] = await this.fitContextPart(part, label);
+        }
+        return render(texts);
+    }
+
+    async fitContextPart(part, label) {
+        const { text, tokens, allocated } = part;
+        if (tokens <= allocated) return text;
+
+        const section = part.section || part.key.replace(/_/g, ' ');
+        if (
+            this.summarizeContext &&
+            tokens > allocated * CONFIG.CONTEXT_SUMMARIZE_RATIO &&
+            allocated >= CONFIG.CONTEXT_SUMMARY_MIN_TOKENS
+        ) {
+            try {
+                const condensed = truncateToTokens(await this.condenseSection(text, section, allocated, label), allocated);
+                await this.log(`Context budget (${label}): ${section} condensed from ~${tokens} to ~${estimateTokens(condensed)} tokens.`);
+                return condensed;
+            } catch (err) {
+                if (err instanceof ResearchCancelledError || err instanceof BudgetExceededError) throw err;
+                await this.log(`Context budget (${label}): could not condense ${section} (${truncateForLog(err.message, 120)}); truncating instead.`, 'warn');
+            }
+        }
+        const truncated = truncateToTokens(text, allocated);
+        await this.log(`Context budget (${label}): ${section} truncated from ~${tokens} to ~${estimateTokens(truncated)} tokens.`, 'warn');
+        return truncated;
+    }
+
+    /**
+     * Asks the model to condense a prompt section to about `targetTokens`.
+     * A section too long for one condense call is split into chunks that
+     * are condensed separately, each to its share of the target. Results
+     * are cached per run, since the same section (a perspective's initial
+     * research, say) often feeds several prompts.
+     */
+    async condenseSection(text, section, targetTokens, label) {
+        const key = `${targetTokens}\u0000${section}\u0000${text}`;
+        if (this.contextSummaries.has(key)) {
+            return this.contextSummaries.get(key);
+        }
+        const completionTokens = (target) => Math.ceil(target * 1.2) + 50;
+        // Sized for the longest section label, "(part 99 of 99)", so every chunk's prompt fits
+        const overhead = estimateTokens(this.buildPrompt('context_summary', {
+            section: `${section} (part 99 of 99)`,
+            text: '',
+            max_words: targetTokens
+        })) + 2;
+        const inputTokens = (target) =>
+            promptTokenBudget(this.getModelChain(), completionTokens(target), this.contextTable) - overhead;
+
+        const tokens = estimateTokens(text);
+        let chunks = [text];
+        let chunkTarget = targetTokens;
+        if (tokens > inputTokens(targetTokens)) {
+            chunkTarget = Math.floor(targetTokens / Math.ceil(tokens / Math.max(1, inputTokens(targetTokens))));
+            if (chunkTarget < CONFIG.CONTEXT_SUMMARY_MIN_TOKENS / 4 || inputTokens(chunkTarget) <= 0) {
+                throw new Error('The context window is too small to condense this section.');
+            }
+            chunks = splitForTokens(text, inputTokens(chunkTarget));
+            await this.log(`Context budget (${label}): ${section} is too long to condense in one call; condensing it in ${chunks.length} parts.`);
+        }
+
+        const condensed = [];
+        for (let i = 0; i < chunks.length; i++) {
+            const part = await this.callModel(
+                [{
+                    role: 'user',
+                    content: this.buildPrompt('context_summary', {
+                        section: chunks.length > 1 ? `${section} (part ${i + 1} of ${chunks.length})` : section,
+                        text: chunks[i],
+                        max_words: Math.max(30, Math.floor(chunkTarget * 0.7))
+                    })
+                }],
+                {
+                    maxTokens: completionTokens(chunkTarget),
+                    temperature: 0.1,
+                    label: `${label} – Condensed ${section}${chunks.length > 1 ? ` ${i + 1}/${chunks.length}` : ''}`,
+                    phase: 'Context'
+                }
+            );
+            if (!part || !part.trim()) {
+                throw new Error('The model returned an empty summary.');
+            }
+            condensed.push(part.trim());
+        }
+        const result = condensed.join('\n\n');
+        this.contextSummaries.set(key, result);
+        return result;
+    }
+
+    /** Indexes attached documents so perspectives can draw on them. */
+    setSourceDocuments(documents) {
+        this.sourceDocuments = normalizeSourceDocuments(documents);
+        const chunks = this.sourceDocuments.flatMap((doc, i) => chunkSourceDocument(doc, i));
+        this.sourceIndex = chunks.length ? buildSourceIndex(chunks) : null;
+        this.sourceDocumentList = this.sourceDocuments.map((doc, i) => ({
+            id: `S${i + 1}`,
+            name: doc.name,
+            chars: doc.text.length,
+            chunks: chunks.filter((chunk) => chunk.document === `S${i + 1}`).length
+        }));
+    }
+
+    /**
+     * For regenerate/re-synthesize without the original files: reuses the
+     * excerpts stored with the run, keeping their ids.
+     */
+    adoptRunSources(results) {
+        const sources = results && results.sources;
+        if (this.sourceIndex || !sources || !Array.isArray(sources.chunks) || !sources.chunks.length) return;
+        this.sourceIndex = buildSourceIndex(sources.chunks.map((chunk) => ({ ...chunk })));
+        this.sourceDocumentList = Array.isArray(sources.documents) ? sources.documents.slice() : [];
+    }
+
+    selectSynthesisSources(research, topic) {
+        const query = [topic, ...Object.keys(research || {})].join(' ');
+        return selectSourceChunks(this.sourceIndex, query, CONFIG.SOURCE_CHUNKS_FOR_SYNTHESIS);
+    }
+
+    /**
+     * The run-level record of attached sources: the documents, every
+     * excerpt given to the model, and which of them the global synthesis
+     * cited. Null when no documents are attached.
+     */
+    describeSources(deepResearch, synthesis, topic) {
+        if (!this.sourceIndex) return null;
+        const synthesisProvided = this.selectSynthesisSources(deepResearch, topic).map((chunk) => chunk.id);
+        const provided = new Set(synthesisProvided);
+        Object.values(deepResearch || {}).forEach((research) => {
+            ((research && research.sources && research.sources.provided) || []).forEach((id) => provided.add(id));
+        });
+        return {
+            documents: this.sourceDocumentList.map((doc) => ({ ...doc })),
+            chunks: this.sourceIndex.chunks
+                .filter((chunk) => provided.has(chunk.id))
+                .map(({ id, document, name, index, text }) => ({ id, document, name, index, text })),
+            synthesis: {
+                provided: synthesisProvided,
+                cited: findCitedSourceIds([synthesis], synthesisProvided)
+            }
+        };
+    }
+
+    async callModel(messages, options = {}) {
+        const { content } = await this.callWithAttribution(messages, options);
+        return content;
+    }
+
+    /**
+     * Like callModel, but also reports which model in the fallback
+     * chain produced the answer: resolves to { content, model }.
+     */
+    async callWithAttribution(messages, {
+        maxTokens = CONFIG.DEFAULT_MAX_TOKENS,
+        temperature = 0.2,
+        label = 'Model call',
+        phase = 'Other',
+        responseFormat = null,
+        model: requestedModel = null
+    } = {}) {
+        this.ensureActive();
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw new Error('Internal error: messages array is empty.');
+        }
+
+        const models = this.getModelChain(requestedModel);
+        await this.log(`${label}: contacting model...`);
+
+        for (let i = 0; i < models.length; i++) {
+            const model = models[i];
+            const reserved = await this.enforceBudget(model, messages, maxTokens, label);
+            let response;
+            try {
+                response = await this.callWithRetry(model, messages, {
+                    maxTokens,
+                    temperature,
+                    label,
+                    responseFormat
+                });
+            } catch (err) {
+                this.budgetReserved -= reserved;
+                if (err instanceof ResearchCancelledError) {
+                    throw err;
+                }
+
+                const nextModel = models[i + 1];
+                if (!nextModel || !isFallbackEligible(err)) {
+                    await this.log(err.message, 'error');
+                    throw err;
+                }
+
+                await this.log(
+                    `${label}: ${model} failed (${truncateForLog(err.message, 140)}); falling back to ${nextModel}.`,
+                    'warn'
+                );
+                continue;
+            }
+
+            const { content, usage } = response;
+            const call = this.recordUsage({ label, phase, model, messages, content, usage, reserved });
+            await this.log(
+                `${label}: response received from ${model} ` +
+                `(${call.prompt_tokens} in / ${call.completion_tokens} out${call.estimated ? ', estimated' : ''}, ${formatUsd(call.cost)}).`
+            );
+            return { content, model };
+        }
+
+        throw new Error(`${label}: no model configured.`);
+    }
+
+    /**
+     * Halts the run if the worst-case cost of the next call (estimated
+     * prompt plus the full maxTokens completion) would exceed the budget,
+     * counting what calls still in flight have reserved. Otherwise reserves
+     * that cost and returns it; the caller releases it when the call fails
+     * or passes it to recordUsage, which swaps it for the actual cost.
+     */
+    async enforceBudget(model, messages, maxTokens, label) {
+        if (this.budgetUsd === null) return 0;
+        const spent = summarizeUsage(this.usageCalls).totals.cost;
+        const nextCost = estimateCost(model, estimateMessagesTokens(messages), maxTokens, this.priceTable);
+        if (nextCost === null) {
+            await this.log(`${label}: no price known for ${model}; budget cap cannot account for this call.`, 'warn');
+            return 0;
+        }
+        if (spent + this.budgetReserved + nextCost > this.budgetUsd) {
+            const inFlight = this.budgetReserved > 0
+                ? `, up to ${formatUsd(this.budgetReserved)} reserved by calls in progress`
+                : '';
+            const message =
+                `Budget cap of ${formatUsd(this.budgetUsd)} reached: ${formatUsd(spent)} spent${inFlight}, ` +
+                `next call (${label}) could cost up to ${formatUsd(nextCost)}.`;
+            this.cancel(message);
+            throw new BudgetExceededError(message);
+        }
+        this.budgetReserved += nextCost;
+        return nextCost;
+    }
+
+    recordUsage({ label, phase, model, messages, content, usage, reserved = 0 }) {
+        this.budgetReserved -= reserved;
+        const reported = usage && typeof usage.prompt_tokens === 'number' && typeof usage.completion_tokens === 'number';
+        const promptTokens = reported ? usage.prompt_tokens : estimateMessagesTokens(messages);
+        const completionTokens = reported ? usage.completion_tokens : estimateTokens(content);
+        const reportedCost = usage && typeof usage.cost === 'number' ? usage.cost : null;
+
+        const call = {
+            label,
+            phase,
+            model,
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            cost: reportedCost !== null ? reportedCost : estimateCost(model, promptTokens, completionTokens, this.priceTable),
+            estimated: !reported
+        };
+        this.usageCalls.push(call);
+
+        if (typeof this.uiHooks.onUsage === 'function') {
+            this.uiHooks.onUsage(this.getUsage(), call);
+        }
+        return call;
+    }
+
+    getUsage() {
+        return {
+            ...summarizeUsage(this.usageCalls),
+            calls: this.usageCalls.slice(),
+            budget_usd: this.budgetUsd
+        };
+    }
+
+    /** `primary` (default: the run's model) followed by the fallback models. */
+    getModelChain(primary = null) {
+        const chain = [primary || this.modelId].concat(this.fallbackModels);
+        return chain.filter((model, index) => model && chain.indexOf(model) === index);
+    }
+
+    async callWithRetry(model, messages, options) {
+        const policy = this.retryPolicy;
+        const { label } = options;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.requestCompletion(model, messages, options);
+            } catch (err) {
+                if (err instanceof ResearchCancelledError) {
+                    throw err;
+                }
+
+                const retryable = err instanceof ApiRequestError && err.retryable;
+                if (!retryable || attempt >= policy.maxAttempts) {
+                    throw err;
+                }
+
+                const delayMs = computeRetryDelay(attempt, policy, err.retryAfterMs);
+                await this.log(
+                    `${label}: attempt ${attempt}/${policy.maxAttempts} failed (${truncateForLog(err.message, 140)}); ` +
+                    `retrying in ${(delayMs / 1000).toFixed(1)}s...`,
+                    'warn'
+                );
+                await sleep(delayMs, this.abortController.signal).catch(() => {});
+                this.ensureActive();
+            }
+        }
+    }
+
+    /**
+     * Performs a single HTTP attempt. Failures that are worth retrying
+     * (network errors, timeouts, 408/429/5xx) are thrown as retryable
+     * ApiRequestErrors; callModel decides whether to try again.
+     */
+    async requestCompletion(model, messages, { maxTokens, temperature, label, responseFormat = null }) {
+        const stream = this.stream;
+        const { url, headers, body } = this.provider.buildRequest(
+            { model, messages, maxTokens, temperature, stream, responseFormat },
+            { apiKey: this.apiKey, baseUrl: this.baseUrl }
+        );
+
+        // Streaming calls use an idle timeout that is reset on every chunk,
+        // so long generations are only cut off when the stream stalls.
+        const timeoutMs = stream ? CONFIG.STREAM_IDLE_TIMEOUT_MS : CONFIG.REQUEST_TIMEOUT_MS;
+        const timer = createIdleTimeout(timeoutMs, this.abortController.signal);
+        const timeoutMessage = stream
+            ? `${label} stalled: no data received for ${timeoutMs / 1000}s.`
+            : `${label} timed out after ${timeoutMs / 1000}s.`;
+
+        const init = { method: 'POST', headers, body: JSON.stringify(body), signal: timer.controller.signal };
+        let response;
+        try {
+            response = typeof this.provider.fetch === 'function'
+                ? await this.provider.fetch(url, init)
+                : await fetch(url, init);
+        } catch (networkError) {
+            timer.clear();
+            this.ensureActive();
+            if (networkError.name === 'AbortError') {
+                throw new ApiRequestError(timeoutMessage, { retryable: true });
+            }
+            throw new ApiRequestError(`${label} network error: ${networkError.message}`, { retryable: true });
+        }
+
+        if (!response.ok) {
+            timer.clear();
+            let errorDetail = '';
+            try {
+                const errData = await response.json();
+                if (errData && (errData.error || errData.message)) {
+                    errorDetail = ` Details: ${JSON.stringify(errData.error || errData.message)}`;
+                }
+            } catch {
+                // ignore
+            }
+
+            const statusText = response.statusText || 'Unknown error';
+            throw new ApiRequestError(`${label} API error: ${response.status} ${statusText}${errorDetail}`, {
+                status: response.status,
+                retryable: isRetryableStatus(response.status),
+                retryAfterMs: parseRetryAfter(response.headers && response.headers.get('retry-after'))
+            });
+        }
+
+        const contentType = (response.headers && response.headers.get('content-type')) || '';
+        if (stream && response.body && contentType.includes('text/event-stream')) {
+            try {
+                return await this.readStream(response, label, timer);
+            } catch (streamError) {
+                this.ensureActive();
+                if (streamError.name === 'AbortError') {
+                    throw new ApiRequestError(timeoutMessage, { retryable: true });
+                }
+                if (streamError instanceof ApiRequestError) {
+                    throw streamError;
+                }
+                throw new ApiRequestError(`${label} stream error: ${streamError.message}`, { retryable: true });
+            } finally {
+                timer.clear();
+            }
+        }
+
+        timer.clear();
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (parseError) {
+            throw new Error(`${label} failed to parse response JSON: ${parseError.message}`);
+        }
+
+        return this.provider.parseResponse(data);
+    }
+
+    async readStream(response, label, timer) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let content = '';
+        let usage = null;
+        let done = false;
+
+        const parser = createSseParser((data) => {
+            if (done) return;
+            if (data === '[DONE]') {
+                done = true;
+                return;
+            }
+
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch {
+                // Partial or non-JSON keep-alive payloads are skipped.
+                return;
+            }
+
+            const event = this.provider.parseStreamEvent(chunk, label);
+            if (event.usage) {
+                // Some APIs report prompt and completion usage in separate events
+                usage = { ...(usage || {}), ...event.usage };
+            }
+            if (event.delta) {
+                content += event.delta;
+                if (typeof this.uiHooks.onToken === 'function') {
+                    this.uiHooks.onToken(label, event.delta);
+                }
+            }
+            if (event.done) {
+                done = true;
+            }
+        });
+
+        if (typeof this.uiHooks.onStreamStart === 'function') {
+            this.uiHooks.onStreamStart(label);
+        }
+
+        try {
+            while (!done) {
+                const { value, done: readerDone } = await reader.read();
+                if (readerDone) break;
+                timer.touch();
+                this.ensureActive();
+                parser.push(decoder.decode(value, { stream: true }));
+            }
+            parser.push(decoder.decode());
+            parser.flush();
+        } finally {
+            if (done) {
+                reader.cancel().catch(() => {});
+            }
+        }
+
+        return { content, usage };
+    }
+
+    async analyzeTopic(topic) {
+        this.ensureActive();
+        await this.log('Phase 1: Analyzing research topic...');
+
+        const prompt = this.buildPrompt('topic_analysis', { topic });
+
+        const analysis = await this.callModel(
+            [{ role: 'user', content: prompt }],
+            { maxTokens: 2000, temperature: 0.15, label: 'Topic analysis', phase: 'Topic analysis' }
+        );
+
+        await this.log('Topic analysis completed.');
+        return { analysis: analysis || 'No analysis returned by the model.' };
+    }
+
+    /**
+     * Phase 2. Returns at most max(iterations, 3) perspectives unless
+     * `keepAll` is set (used when the list goes to review first).
+     */
+    async gatherPerspectives(topic, topicAnalysis, iterations, { keepAll = false } = {}) {
+        this.ensureActive();
+        await this.log('Phase 2: Generating research perspectives...');
+
+        const baseAnalysis = (topicAnalysis && topicAnalysis.analysis) ? topicAnalysis.analysis : '';
+        const prompt = await this.buildBudgetedPrompt(
+            'perspectives',
+            { topic, min_perspectives: iterations + 2, max_perspectives: iterations * 3 },
+            [{ key: 'topic_analysis', text: baseAnalysis, section: 'topic analysis' }],
+            { maxTokens: 3000, label: 'Perspective generation' }
+        );
+
+        let perspectives = [];
+        if (this.structuredOutput) {
+            perspectives = await this.requestStructuredPerspectives(prompt);
+        }
+        if (perspectives.length === 0) {
+            const raw = await this.callModel(
+                [{ role: 'user', content: prompt }],
+                { maxTokens: 3000, temperature: 0.35, label: 'Perspective generation', phase: 'Perspectives' }
+            );
+            perspectives = this.parsePerspectives(raw);
+        }
+
+        if (perspectives.length === 0) {
+            throw new Error('No perspectives could be parsed from the model response.');
+        }
+
+        const maxPerspectives = keepAll ? perspectives.length : Math.max(iterations, 3);
+        const finalPerspectives = perspectives.slice(0, maxPerspectives);
+
+        await this.log(`Generated ${finalPerspectives.length} research perspectives.`);
+        return finalPerspectives;
+    }
+
+    /**
+     * Asks for perspectives as JSON via response_format. OpenRouter is told
+     * to route only to providers that honor it; if none can (or the reply
+     * cannot be repaired into perspectives) this returns [] and the caller
+     * falls back to a plain numbered list.
+     */
+    async requestStructuredPerspectives(prompt) {
+        const label = 'Perspective generation';
+        let content;
+        try {
+            ({ content } = await this.callWithAttribution(
+                [
+                    {
+                        role: 'system',
+                        content: 'Respond only with JSON matching the provided schema: ' +
+                            '{"perspectives": [{"title": string, "rationale": string, "methods": string[]}]}.'
+                    },
+                    { role: 'user', content: prompt }
+                ],
+                {
+                    maxTokens: 3000,
+                    temperature: 0.35,
+                    label: `${label} (structured)`,
+                    phase: 'Perspectives',
+                    responseFormat: PERSPECTIVES_RESPONSE_FORMAT
+                }
+            ));
+        } catch (err) {
+            if (err instanceof ResearchCancelledError) throw err;
+            if (!(err instanceof ApiRequestError) || ![400, 404, 422].includes(err.status)) throw err;
+            await this.log(`${label}: structured output unavailable (${truncateForLog(err.message, 120)}); using a plain list.`, 'warn');
+            return [];
+        }
+
+        const structured = parseStructuredPerspectives(content);
+        if (structured.length) return structured;
+
+        // Some providers ignore response_format and answer in prose
+        const parsed = this.parsePerspectives(content);
+        if (parsed.length) {
+            await this.log(`${label}: response was not valid JSON; parsed it as a list instead.`, 'warn');
+        } else {
+            await this.log(`${label}: structured response was unusable; retrying as a plain list.`, 'warn');
+        }
+        return parsed;
+    }
+
+    /**
+     * Fallback parser for plain-text responses: numbered lines, or
+     * paragraphs when there are none. Returns perspective objects.
+     */
+    parsePerspectives(raw) {
+        if (typeof raw !== 'string') return [];
+        const lines = raw.split('\n');
+        const results = [];
+
+        for (let line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+
+            const match = trimmed.match(/^(\d+)[.)]\s*(.+)$/);
+            if (match && match[2]) {
+                results.push(match[2].trim());
+            }
+        }
+
+        if (results.length === 0) {
+            const paragraphs = raw
+                .split(/\n{2,}/)
+                .map(p => p.trim())
+                .filter(Boolean);
+            return normalizePerspectiveList(paragraphs);
+        }
+
+        return normalizePerspectiveList(results);
+    }
+
+    /**
+     * Pauses between Phase 2 and 3 and hands the list to
+     * onReviewPerspectives, which resolves with the perspectives to
+     * research (reordered, edited, trimmed, or extended). Stopping the run
+     * while paused cancels it as usual.
+     */
+    async requestPerspectiveReview(perspectives, iterations) {
+        await this.log(`Waiting for review of ${perspectives.length} perspectives...`);
+        if (this.uiHooks.onPhaseLabel) {
+            this.uiHooks.onPhaseLabel('Review perspectives');
+        }
+
+        const signal = this.abortController.signal;
+        const reviewed = await new Promise((resolve, reject) => {
+            const onAbort = () => reject(new ResearchCancelledError());
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            const copies = perspectives.map((p) => ({ ...p, methods: p.methods.slice() }));
+            Promise.resolve(this.uiHooks.onReviewPerspectives(copies, { iterations }))
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+        this.ensureActive();
+
+        const result = reviewed ? normalizePerspectiveList(reviewed) : perspectives;
+        if (result.length === 0) {
+            throw new Error('No perspectives left after review.');
+        }
+        await this.log(`Review complete: ${result.length} perspectives selected for deep research.`);
+        return result;
+    }
+
+    async deepResearch(perspectives, depth, iterations) {
+        this.ensureActive();
+        const maxPerspectivesToResearch = Math.min(perspectives.length, iterations);
+        const targets = normalizePerspectiveList(perspectives).slice(0, maxPerspectivesToResearch);
+        const concurrency = Math.min(this.concurrency, Math.max(1, targets.length));
+        await this.log(
+            `Phase 3: Running deep research across perspectives` +
+            `${concurrency > 1 ? ` (${concurrency} in parallel)` : ''}...`
+        );
+
+        const saved = this.checkpoint ? this.checkpoint.deep_research : null;
+        const completed = new Array(targets.length);
+        let completedCount = 0;
+
+        // Results are assembled in perspective order, regardless of which
+        // perspective finished first.
+        const assemble = () => {
+            const ordered = {};
+            targets.forEach((perspective, i) => {
+                if (completed[i]) ordered[perspective.title] = completed[i];
+            });
+            return ordered;
+        };
+
+        const reportProgress = (index, status, step) => {
+            if (typeof this.uiHooks.onPerspectiveProgress === 'function') {
+                this.uiHooks.onPerspectiveProgress({
+                    index,
+                    total: targets.length,
+                    perspective: targets[index].title,
+                    status,
+                    step: step || ''
+                });
+            }
+        };
+
+        const finish = (index, result) => {
+            completed[index] = result;
+            completedCount++;
+            if (this.partialResults) {
+                this.partialResults.deep_research = assemble();
+            }
+            if (typeof this.uiHooks.onPhaseProgress === 'function') {
+                this.uiHooks.onPhaseProgress(2 + completedCount / targets.length, this.phaseCount());
+            }
+        };
+
+        targets.forEach((_, i) => reportProgress(i, 'queued'));
+
+        await runWithConcurrency(targets, concurrency, async (perspective, i) => {
+            const labelPrefix = `Perspective ${i + 1}/${targets.length}`;
+            const shortName = truncateForLog(perspective.title, 80);
+
+            const progress = saved ? (saved[perspective.title] = saved[perspective.title] || {}) : {};
+            let result;
+            let status;
+            if (isPerspectiveComplete(progress)) {
+                await this.log(`${labelPrefix}: Reusing checkpointed research for "${shortName}"`);
+                result = pickPerspectiveSteps(progress);
+                status = 'reused';
+            } else {
+                await this.log(`${labelPrefix}: Deep research for "${shortName}"`);
+                reportProgress(i, 'running');
+                try {
+                    result = await this.researchSinglePerspective(
+                        perspective,
+                        depth,
+                        labelPrefix,
+                        progress,
+                        (step) => reportProgress(i, 'running', step),
+                        assignPanelModels(this.panel, i, this.modelId)
+                    );
+                    status = 'done';
+                } catch (err) {
+                    if (err instanceof ResearchCancelledError) {
+                        throw err;
+                    }
+                    await this.log(`${labelPrefix}: Failed - ${truncateForLog(err.message, 160)}`, 'error');
+                    result = failedPerspectiveResult(err);
+                    status = 'failed';
+                }
+            }
+
+            await this.comparePerspective(perspective, i, depth, labelPrefix, (step) => reportProgress(i, 'running', step));
+            reportProgress(i, status, status === 'failed' ? result.error : '');
+            finish(i, result);
+        });
+
+        await this.log('Deep research phase completed.');
+        return assemble();
+    }
+
+    /**
+     * Panel comparison: has every other panel model research the
+     * perspective end to end. Results go to this.comparisons[title] in
+     * panel order; a failed model is recorded with its error.
+     */
+    async comparePerspective(perspective, index, depth, labelPrefix, onStep) {
+        const models = comparisonModelsFor(this.panel, index);
+        if (!models.length) return;
+
+        const title = perspective.title;
+        const saved = this.checkpoint
+            ? ((this.checkpoint.comparisons = this.checkpoint.comparisons || {})[title] =
+                this.checkpoint.comparisons[title] || {})
+            : {};
+        const entries = [];
+        for (const model of models) {
+            const progress = saved[model] = saved[model] || {};
+            if (!isPerspectiveComplete(progress)) {
+                await this.log(`${labelPrefix}: Comparing with ${model}`);
+            }
+            const stepModels = {};
+            PERSPECTIVE_STEPS.forEach((step) => {
+                stepModels[step] = model;
+            });
+            try {
+                const result = isPerspectiveComplete(progress)
+                    ? pickPerspectiveSteps(progress)
+                    : await this.researchSinglePerspective(
+                        perspective,
+                        depth,
+                        `${labelPrefix} [${model}]`,
+                        progress,
+                        (step) => onStep(`${model}: ${step}`),
+                        stepModels
+                    );
+                entries.push({ model, ...result });
+            } catch (err) {
+                if (err instanceof ResearchCancelledError) {
+                    throw err;
+                }
+                await this.log(`${labelPrefix} [${model}]: Comparison failed - ${truncateForLog(err.message, 160)}`, 'error');
+                entries.push({ model, ...failedPerspectiveResult(err) });
+            }
+        }
+        this.comparisons[title] = entries;
+        if (this.partialResults) {
+            this.partialResults.comparisons = { ...this.comparisons };
+        }
+    }
+
+    /**
+     * Runs the four per-perspective steps. `progress` holds outputs of steps
+     * already completed (e.g. from a checkpoint); those steps are skipped and
+     * each newly completed step is written back and checkpointed.
+     * `stepModels` maps steps to models other than the run's own.
+     */
+    async researchSinglePerspective(perspective, depth, labelPrefix, progress = {}, onStep = null, stepModels = {}) {
+        this.ensureActive();
+        const subject = normalizePerspective(perspective) || { title: 'Unnamed perspective', rationale: '', methods: [] };
+        const perspectiveValues = {
+            perspective: subject.title,
+            perspective_rationale: subject.rationale,
+            perspective_methods: subject.methods.join(', '),
+            perspective_details: formatPerspectiveDetails(subject)
+        };
+        // Excerpts are picked once and kept in `progress`, so a resumed
+        // perspective sees the same ones
+        if (this.sourceIndex && !progress.sources) {
+            const query = [this.topic, subject.title, subject.rationale, ...subject.methods].join(' ');
+            progress.sources = {
+                provided: selectSourceChunks(this.sourceIndex, query, CONFIG.SOURCE_CHUNKS_PER_PERSPECTIVE)
+                    .map((chunk) => chunk.id)
+            };
+        }
+        const provided = progress.sources ? progress.sources.provided : [];
+        perspectiveValues.sources_section = formatSourcesSection(
+            this.sourceIndex ? this.sourceIndex.chunks.filter((chunk) => provided.includes(chunk.id)) : []
+        );
+        const reportStep = (step) => {
+            if (typeof onStep === 'function') onStep(step);
+        };
+
+        const maxTokens =
+            depth === 'extreme' ? 6000 :
+            depth === 'advanced' ? 4000 :
+            3000;
+
+        const temperature =
+            depth === 'extreme' ? 0.12 :
+            depth === 'advanced' ? 0.18 :
+            0.22;
+
+        // 1) Initial research
+        if (typeof progress.initial_research !== 'string') {
+            reportStep('Initial research');
+            const initialPrompt = this.buildPrompt('initial_research', perspectiveValues);
+
+            const initialResearch = await this.callWithAttribution(
+                [{ role: 'user', content: initialPrompt }],
+                {
+                    maxTokens,
+                    temperature,
+                    label: `${labelPrefix} – Initial research`,
+                    phase: 'Deep research',
+                    model: stepModels.initial_research
+                }
+            );
+            this.recordStep(progress, 'initial_research', initialResearch);
+        }
+        const initialResearch = progress.initial_research;
+
+        // 2) Critical analysis
+        if (typeof progress.critical_analysis !== 'string') {
+            reportStep('Critical analysis');
+            const criticalPrompt = await this.buildBudgetedPrompt(
+                'critical_analysis',
+                perspectiveValues,
+                [{ key: 'initial_research', text: initialResearch, section: 'research overview' }],
+                { maxTokens: 2500, label: `${labelPrefix} – Critical analysis`, model: stepModels.critical_analysis }
+            );
+
+            const criticalAnalysis = await this.callWithAttribution(
+                [{ role: 'user', content: criticalPrompt }],
+                {
+                    maxTokens: 2500,
+                    temperature: 0.15,
+                    label: `${labelPrefix} – Critical analysis`,
+                    phase: 'Deep research',
+                    model: stepModels.critical_analysis
+                }
+            );
+            this.recordStep(progress, 'critical_analysis', criticalAnalysis);
+        }
+        const criticalAnalysis = progress.critical_analysis;
+
+        // 3) Gap identification
+        if (typeof progress.identified_gaps !== 'string') {
+            reportStep('Gap analysis');
+            const gapPrompt = await this.buildBudgetedPrompt(
+                'identified_gaps',
+                perspectiveValues,
+                [
+                    { key: 'initial_research', text: initialResearch, section: 'research overview' },
+                    { key: 'critical_analysis', text: criticalAnalysis, section: 'critical analysis' }
+                ],
+                { maxTokens: 2500, label: `${labelPrefix} – Gap analysis`, model: stepModels.identified_gaps }
+            );
+
+            const identifiedGaps = await this.callWithAttribution(
+                [{ role: 'user', content: gapPrompt }],
+                {
+                    maxTokens: 2500,
+                    temperature: 0.25,
+                    label: `${labelPrefix} – Gap analysis`,
+                    phase: 'Deep research',
+                    model: stepModels.identified_gaps
+                }
+            );
+            this.recordStep(progress, 'identified_gaps', identifiedGaps);
+        }
+        const identifiedGaps = progress.identified_gaps;
+
+        // 4) Synthesis per perspective
+        if (typeof progress.synthesis !== 'string') {
+            reportStep('Perspective synthesis');
+            const synthesisPrompt = await this.buildBudgetedPrompt(
+                'perspective_synthesis',
+                perspectiveValues,
+                [
+                    { key: 'initial_research', text: initialResearch, weight: 3, section: 'research overview' },
+                    { key: 'critical_analysis', text: criticalAnalysis, weight: 2, section: 'critical analysis' },
+                    { key: 'identified_gaps', text: identifiedGaps, weight: 2, section: 'gap analysis' }
+                ],
+                { maxTokens: 3000, label: `${labelPrefix} – Perspective synthesis`, model: stepModels.synthesis }
+            );
+
+            const synthesis = await this.callWithAttribution(
+                [{ role: 'user', content: synthesisPrompt }],
+                {
+                    maxTokens: 3000,
+                    temperature: 0.14,
+                    label: `${labelPrefix} – Perspective synthesis`,
+                    phase: 'Deep research',
+                    model: stepModels.synthesis
+                }
+            );
+            this.recordStep(progress, 'synthesis', synthesis);
+        }
+
+        return pickPerspectiveSteps(progress);
+    }
+
+    /**
+     * Phase 4. With a model panel (or `attributeModels`), each finding is
+     * labelled with the model that produced it, and panel comparisons are
+     * included so the synthesis can weigh agreement between models. A
+     * claims matrix adds its agreements and contradictions up front.
+     * Each perspective's findings share the context budget, with the
+     * primary findings weighted above panel alternatives.
+     */
+    async synthesizeFindings(research, topic, { comparisons = null, attributeModels = !!this.panel, claims = null } = {}) {
+        this.ensureActive();
+        await this.log('Phase 4: Synthesizing cross-perspective findings...');
+
+        let preamble = `Topic: ${topic}\n\n`;
+        const alternatives = comparisons || {};
+        const claimCheck = formatClaimCheck(claims);
+        if (claimCheck) {
+            preamble += 'Claim check across perspectives (address contradictions explicitly and match ' +
+                `stated confidence to the level of agreement):\n${claimCheck}\n\n`;
+        }
+        if (attributeModels) {
+            preamble += 'These findings come from a panel of different models; each is labelled with the model ' +
+                'that produced it. Note where models agree or disagree, and do not favour one model\'s claims ' +
+                'without supporting evidence.\n\n';
+        }
+
+        const perspectives = Object.keys(research || {});
+        const parts = [];
+        perspectives.forEach((perspective, index) => {
+            const findings = research[perspective] || {};
+            const text = findings.synthesis || findings.initial_research || '';
+            if (text) {
+                parts.push({ key: `p${index}`, text, weight: 2, section: `findings of "${perspective}"` });
+            }
+            (alternatives[perspective] || [])
+                .filter((entry) => entry && !entry.error && entry.synthesis)
+                .forEach((entry, i) => {
+                    parts.push({ key: `p${index}.${i}`, text: entry.synthesis, section: `${entry.model} findings of "${perspective}"` });
+                });
+        });
+
+        const summarize = (texts) => {
+            if (perspectives.length === 0) {
+                return `${preamble}No detailed per-perspective results available; synthesize based on topic-level reasoning only.\n`;
+            }
+            return preamble + perspectives.map((perspective, index) => {
+                const findings = research[perspective] || {};
+                const model = attributeModels ? findingsModel(findings) : '';
+                let block = `Perspective ${index + 1}: ${perspective}${model ? ` (model: ${model})` : ''}\n`;
+                if (texts[`p${index}`]) {
+                    block += `Key findings: ${texts[`p${index}`]}\n\n`;
+                } else if (findings.error) {
+                    block += `Error for this perspective: ${findings.error}\n\n`;
+                }
+                (alternatives[perspective] || [])
+                    .filter((entry) => entry && !entry.error && entry.synthesis)
+                    .forEach((entry, i) => {
+                        block += `Alternative findings from ${entry.model}: ${texts[`p${index}.${i}`]}\n\n`;
+                    });
+                return block;
+            }).join('');
+        };
+
+        const sourcesSection = formatSourcesSection(this.selectSynthesisSources(research, topic));
+        const prompt = await this.fitPromptParts(
+            (texts) => this.buildPrompt('synthesis', {
+                topic,
+                research_summary: summarize(texts),
+                sources_section: sourcesSection
+            }),
+            parts,
+            { maxTokens: 5000, label: 'Global synthesis' }
+        );
+
+        const synthesis = await this.callModel(
+            [{ role: 'user', content: prompt }],
+            { maxTokens: 5000, temperature: 0.16, label: 'Global synthesis', phase: 'Synthesis' }
+        );
+
+        await this.log('Global synthesis completed.');
+        return synthesis || 'No synthesis returned by the model.';
+    }
+
+    /**
+     * Claim analysis at the end of Phase 3: reads up to
+     * CONFIG.CLAIMS_PER_PERSPECTIVE atomic claims from each perspective's
+     * synthesis, then clusters equivalent or opposing claims across
+     * perspectives in one call. A perspective whose extraction fails is
+     * recorded and left out until the next attempt. Progress lives in
+     * checkpoint.claims unless `reuse` supplies the extractions to start
+     * from (see reanalyzeClaims). Returns the claims matrix (see
+     * buildClaimMatrix) with per-step models and extraction errors.
+     */
+    async analyzeClaims(research, topic, reuse = null) {
+        this.ensureActive();
+        const checkpoint = reuse ? {} : this.checkpoint || {};
+        const state = checkpoint.claims || { extracted: { ...(reuse || {}) }, clusters: null, models: {} };
+        checkpoint.claims = state;
+
+        const titles = Object.keys(research || {})
+            .filter((title) => research[title] && !research[title].error && research[title].synthesis);
+        // Failed extractions are retried
+        const pending = titles.filter((title) => !state.extracted[title] || state.extracted[title].error);
+        if (pending.length) {
+            await this.log(`Phase 3: Extracting claims from ${pending.length} perspective(s)...`);
+            // A new extraction changes the claim IDs the clusters refer to
+            state.clusters = null;
+        } else {
+            await this.log('Phase 3: Reusing checkpointed claims.');
+        }
+        await runWithConcurrency(pending, this.concurrency, async (title) => {
+            const label = `Claims – ${truncateForLog(title, 60)}`;
+            try {
+                const prompt = await this.buildBudgetedPrompt(
+                    'claim_extraction',
+                    { topic, perspective: title, max_claims: CONFIG.CLAIMS_PER_PERSPECTIVE },
+                    [{ key: 'synthesis', text: research[title].synthesis, section: 'perspective synthesis' }],
+                    { maxTokens: 1000, label }
+                );
+                const { content, model } = await this.requestJson(
+                    prompt,
+                    { maxTokens: 1000, temperature: 0.1, label, phase: 'Claims' },
+                    CLAIMS_RESPONSE_FORMAT
+                );
+                state.extracted[title] = { claims: parseExtractedClaims(content), model };
+            } catch (err) {
+                if (err instanceof ResearchCancelledError) {
+                    throw err;
+                }
+                await this.log(`${label}: Failed - ${truncateForLog(err.message, 160)}`, 'error');
+                state.extracted[title] = { claims: [], error: err.message };
+            }
+            this.saveCheckpoint();
+        });
+
+        const claims = listExtractedClaims(titles, state.extracted);
+        if (!Array.isArray(state.clusters)) {
+            const perspectivesWithClaims = new Set(claims.map((claim) => claim.perspective));
+            if (perspectivesWithClaims.size < 2) {
+                state.clusters = [];
+            } else {
+                try {
+                    const { content, model } = await this.requestJson(
+                        this.buildPrompt('claim_clustering', {
+                            topic,
+                            claims: formatClaimsForClustering(claims)
+                        }),
+                        { maxTokens: 3000, temperature: 0.1, label: 'Claim clustering', phase: 'Claims' },
+                        CLAIM_CLUSTERS_RESPONSE_FORMAT
+                    );
+                    state.clusters = parseClaimClusters(content, claims.map((claim) => claim.id));
+                    state.models = { ...state.models, clustering: model };
+                    if (!state.clusters.length) {
+                        await this.log('Claim clustering: no clusters could be read; each claim stands alone.', 'warn');
+                    }
+                } catch (err) {
+                    if (err instanceof ResearchCancelledError) {
+                        throw err;
+                    }
+                    await this.log(`Claim clustering: Failed - ${truncateForLog(err.message, 160)}; each claim stands alone.`, 'error');
+                    state.clusters = [];
+                    state.clustering_error = err.message;
+                }
+            }
+            this.saveCheckpoint();
+        }
+
+        const matrix = buildClaimMatrix(titles, state.extracted, state.clusters);
+        const errors = {};
+        const extraction = {};
+        titles.forEach((title) => {
+            const entry = state.extracted[title];
+            if (entry.error) errors[title] = entry.error;
+            if (entry.model) extraction[title] = entry.model;
+        });
+        matrix.errors = errors;
+        matrix.models = { extraction, clustering: state.models.clustering || null };
+        if (this.partialResults) {
+            this.partialResults.claims = matrix;
+        }
+        await this.log(`Claim analysis: ${describeClaimMatrix(matrix)}.`);
+        return matrix;
+    }
+
+    /**
+     * Refinement rounds after Phase 4: the top-priority open gaps become
+     * sub-questions, each is researched, and the findings are folded into
+     * a revised synthesis. Stops early when the model reports no open
+     * gaps. Progress lives in checkpoint.refinement so a resumed run
+     * continues mid-round. Returns null when no rounds were requested.
+     */
+    async refineSynthesis(research, topic, initialSynthesis) {
+        const total = this.refinementRounds;
+        if (!total) return null;
+
+        const checkpoint = this.checkpoint || {};
+        // Saved rounds only apply to the synthesis they started from
+        const saved = checkpoint.refinement;
+        const state = saved && saved.initial_synthesis === initialSynthesis
+            ? saved
+            : { requested: total, initial_synthesis: initialSynthesis, stopped_early: false, rounds: [] };
+        checkpoint.refinement = state;
+        if (this.partialResults) {
+            this.partialResults.refinement = state;
+        }
+
+        let current = initialSynthesis;
+        for (let round = 1; round <= total && !state.stopped_early; round++) {
+            const label = `Refinement round ${round}/${total}`;
+            if (this.uiHooks.onPhaseLabel) {
+                this.uiHooks.onPhaseLabel(label);
+            }
+
+            let entry = state.rounds[round - 1];
+            if (entry && typeof entry.synthesis === 'string') {
+                await this.log(`${label}: Reusing checkpointed revision.`);
+                current = entry.synthesis;
+                continue;
+            }
+
+            if (!entry) {
+                const asked = state.rounds.flatMap((previous) => previous.questions.map((item) => item.question));
+                const prompt = await this.fitPromptParts(
+                    (texts) => this.buildPrompt('refinement_questions', {
+                        topic,
+                        round,
+                        synthesis: texts.synthesis,
+                        identified_gaps: formatGapsForRefinement(research, texts),
+                        asked_questions: asked.length ? asked.map((question) => `- ${question}`).join('\n') : 'None yet.',
+                        max_questions: CONFIG.REFINEMENT_QUESTIONS_PER_ROUND
+                    }),
+                    [{ key: 'synthesis', text: current, weight: 2, section: 'current synthesis' }, ...gapContextBlocks(research)],
+                    { maxTokens: 800, label: `${label} – Sub-questions` }
+                );
+                const reply = await this.callModel(
+                    [{ role: 'user', content: prompt }],
+                    { maxTokens: 800, temperature: 0.2, label: `${label} – Sub-questions`, phase: 'Refinement' }
+                );
+                const questions = parseRefinementQuestions(reply, asked);
+                if (!questions.length) {
+                    state.stopped_early = true;
+                    this.saveCheckpoint();
+                    await this.log(`${label}: No open gaps left to research; stopping refinement.`);
+                    break;
+                }
+                entry = { round, questions: questions.map((question) => ({ question })), synthesis: null, model: '' };
+                state.rounds.push(entry);
+                this.saveCheckpoint();
+            }
+
+            await this.log(`${label}: Researching ${entry.questions.length} sub-question(s)...`);
+            await runWithConcurrency(entry.questions, this.concurrency, async (item, i) => {
+                if (typeof item.findings === 'string') return;
+                const stepLabel = `${label} – Sub-question ${i + 1}`;
+                try {
+                    const prompt = await this.buildBudgetedPrompt(
+                        'refinement_research',
+                        { topic, round, question: item.question },
+                        [{ key: 'synthesis', text: current, section: 'current synthesis' }],
+                        { maxTokens: 2500, label: stepLabel }
+                    );
+                    const { content, model } = await this.callWithAttribution(
+                        [{ role: 'user', content: prompt }],
+                        { maxTokens: 2500, temperature: 0.2, label: stepLabel, phase: 'Refinement' }
+                    );
+                    item.findings = content || '';
+                    item.model = model;
+                    delete item.error;
+                } catch (err) {
+                    if (err instanceof ResearchCancelledError) {
+                        throw err;
+                    }
+                    await this.log(`${stepLabel}: Failed - ${truncateForLog(err.message, 160)}`, 'error');
+                    item.error = err.message;
+                }
+                this.saveCheckpoint();
+            });
+
+            const findingBlocks = refinementFindingBlocks(entry.questions);
+            if (!findingBlocks.length) {
+                await this.log(`${label}: No sub-question could be researched; keeping the previous synthesis.`, 'warn');
+                entry.synthesis = current;
+            } else {
+                const prompt = await this.fitPromptParts(
+                    (texts) => this.buildPrompt('refinement_synthesis', {
+                        topic,
+                        round,
+                        synthesis: texts.synthesis,
+                        new_findings: formatRefinementFindings(entry.questions, texts)
+                    }),
+                    [{ key: 'synthesis', text: current, weight: 3, section: 'current synthesis' }, ...findingBlocks],
+                    { maxTokens: 5000, label: `${label} – Revised synthesis` }
+                );
+                const revised = await this.callWithAttribution(
+                    [{ role: 'user', content: prompt }],
+                    { maxTokens: 5000, temperature: 0.16, label: `${label} – Revised synthesis`, phase: 'Refinement' }
+                );
+                entry.synthesis = revised.content || current;
+                entry.model = revised.model;
+            }
+            current = entry.synthesis;
+            this.saveCheckpoint();
+            if (this.partialResults) {
+                this.partialResults.synthesis = current;
+            }
+            await this.log(`${label} completed.`);
+        }
+
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * Phase 5 (optional): a devil's-advocate review of the final synthesis.
+     * Collects contested claims (counter-arguments, unsupported claims,
+     * contradictions between perspectives) and writes a revised synthesis
+     * that answers them; the run's own synthesis is left unchanged. A
+     * failed revision leaves `synthesis` null with `revision_error` set,
+     * so the run keeps its finished synthesis and a resume retries it.
+     * Progress lives in checkpoint.red_team.
+     */
+    async redTeamSynthesis(research, topic, synthesis) {
+        this.ensureActive();
+        const checkpoint = this.checkpoint || {};
+        // A saved review only applies to the synthesis it attacked
+        const saved = checkpoint.red_team;
+        const state = saved && saved.original_synthesis === synthesis
+            ? saved
+            : { original_synthesis: synthesis, critique: null, contested_claims: [], synthesis: null, models: {} };
+        checkpoint.red_team = state;
+        if (this.partialResults) {
+            this.partialResults.red_team = state;
+        }
+
+        if (typeof state.critique === 'string') {
+            await this.log('Phase 5: Reusing checkpointed red-team critique.');
+        } else {
+            await this.log('Phase 5: Red-teaming the global synthesis...');
+            const prompt = await this.fitPromptParts(
+                (texts) => this.buildPrompt('red_team_critique', {
+                    topic,
+                    synthesis: texts.synthesis,
+                    perspective_summaries: formatPerspectiveSummaries(research, texts)
+                }),
+                [{ key: 'synthesis', text: synthesis, weight: 3, section: 'synthesis' }, ...perspectiveSummaryBlocks(research)],
+                { maxTokens: 3000, label: 'Red-team critique' }
+            );
+            const { content, model } = await this.requestJson(
+                prompt,
+                { maxTokens: 3000, temperature: 0.3, label: 'Red-team critique', phase: 'Red team' },
+                RED_TEAM_RESPONSE_FORMAT
+            );
+            state.critique = content || '';
+            state.contested_claims = parseContestedClaims(state.critique);
+            state.models = { ...state.models, critique: model };
+            this.saveCheckpoint();
+            if (state.contested_claims.length) {
+                await this.log(`Red-team critique: ${describeContestedClaims(state.contested_claims)}.`);
+            } else {
+                await this.log('Red-team critique: no contested claims could be read; the revision works from the raw critique.', 'warn');
+            }
+        }
+
+        if (typeof state.synthesis !== 'string') {
+            const critique = state.contested_claims.length
+                ? formatContestedClaims(state.contested_claims)
+                : state.critique || 'The review raised no specific claims.';
+            const prompt = await this.buildBudgetedPrompt(
+                'red_team_revision',
+                { topic },
+                [
+                    { key: 'synthesis', text: synthesis, weight: 3, section: 'synthesis' },
+                    { key: 'critique', text: critique, weight: 2, section: 'red-team critique' }
+                ],
+                { maxTokens: 5000, label: 'Red-team revision' }
+            );
+            try {
+                const revised = await this.callWithAttribution(
+                    [{ role: 'user', content: prompt }],
+                    { maxTokens: 5000, temperature: 0.16, label: 'Red-team revision', phase: 'Red team' }
+                );
+                state.synthesis = revised.content || 'No revised synthesis returned by the model.';
+                state.models = { ...state.models, revision: revised.model };
+                delete state.revision_error;
+            } catch (err) {
+                if (err instanceof ResearchCancelledError) throw err;
+                await this.log(`Red-team revision: Failed - ${truncateForLog(err.message, 160)}; the synthesis stays unrevised.`, 'error');
+                state.revision_error = err.message;
+            }
+            this.saveCheckpoint();
+        }
+
+        await this.log(state.revision_error ? 'Red-team review completed without a revision.' : 'Red-team review completed.');
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    /**
+     * A prompt whose answer should be JSON: sent with `responseFormat`
+     * where structured output is on, and retried without it when the
+     * provider rejects the schema. The prompt itself must describe the
+     * JSON, since some providers ignore response_format.
+     */
+    async requestJson(prompt, options, responseFormat) {
+        const messages = [{ role: 'user', content: prompt }];
+        if (this.structuredOutput) {
+            try {
+                return await this.callWithAttribution(messages, { ...options, responseFormat });
+            } catch (err) {
+                if (err instanceof ResearchCancelledError) throw err;
+                if (!(err instanceof ApiRequestError) || ![400, 404, 422].includes(err.status)) throw err;
+                await this.log(`${options.label}: structured output unavailable (${truncateForLog(err.message, 120)}); asking for plain JSON.`, 'warn');
+            }
+        }
+        return this.callWithAttribution(messages, options);
+    }
+
+    createCheckpoint(topic, depth, iterations) {
+        return {
+            version: CONFIG.CHECKPOINT_VERSION,
+            topic,
+            depth,
+            iterations,
+            provider: this.providerId,
+            model: this.modelId,
+            constraints: this.constraints,
+            template_set: this.templateSet,
+            prompt_templates: { ...this.promptOverrides },
+            sources: this.sourceDocuments.map((doc) => ({ ...doc })),
+            topic_analysis: null,
+            perspectives: null,
+            perspectives_reviewed: false,
+            deep_research: {},
+            panel: this.panel,
+            comparisons: {},
+            synthesis: null,
+            refinement_rounds: this.refinementRounds,
+            refinement: null,
+            red_team_enabled: this.redTeam,
+            red_team: null,
+            claim_analysis_enabled: this.claimAnalysis,
+            claims: null,
+            startedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    saveCheckpoint() {
+        if (!this.checkpoint) return;
+        this.checkpoint.updatedAt = new Date().toISOString();
+        if (typeof this.uiHooks.onCheckpoint === 'function') {
+            this.uiHooks.onCheckpoint(this.checkpoint);
+        }
+    }
+
+    recordStep(progress, key, { content, model }) {
+        progress[key] = content || '';
+        progress.models = { ...(progress.models || {}), [key]: model };
+        this.saveCheckpoint();
+    }
+
+    async conductResearch(topic, depth = 'extreme', iterations = 5) {
+        this.ensureActive();
+        this.checkpoint = this.createCheckpoint(topic, depth, iterations);
+        await this.log('Initializing full research workflow...');
+        return this.runPipeline();
+    }
+
+    /**
+     * Continues a run from a checkpoint produced by onCheckpoint, reusing
+     * every step that already completed.
+     */
+    async resumeResearch(checkpoint) {
+        this.ensureActive();
+        if (!checkpoint || typeof checkpoint.topic !== 'string' || !checkpoint.topic) {
+            throw new Error('Cannot resume: checkpoint is missing its topic.');
+        }
+        if (checkpoint.version !== CONFIG.CHECKPOINT_VERSION) {
+            throw new Error('Cannot resume: checkpoint was created by an incompatible version.');
+        }
+
+        this.checkpoint = JSON.parse(JSON.stringify(checkpoint));
+        this.checkpoint.deep_research = this.checkpoint.deep_research || {};
+        if (this.checkpoint.prompt_templates) {
+            // Keep the wording the run started with
+            this.templateSet = this.checkpoint.template_set || '';
+            this.promptOverrides = { ...this.checkpoint.prompt_templates };
+            this.promptTemplates = resolvePromptTemplates(this.promptOverrides);
+        }
+        if (Array.isArray(this.checkpoint.sources)) {
+            this.setSourceDocuments(this.checkpoint.sources);
+        }
+        if (this.checkpoint.panel) {
+            this.panel = normalizeModelPanel(this.checkpoint.panel);
+        }
+        if (this.checkpoint.refinement_rounds !== undefined) {
+            this.refinementRounds = normalizeRefinementRounds(this.checkpoint.refinement_rounds);
+        }
+        if (this.checkpoint.red_team_enabled !== undefined) {
+            this.redTeam = !!this.checkpoint.red_team_enabled;
+        }
+        if (this.checkpoint.claim_analysis_enabled !== undefined) {
+            this.claimAnalysis = !!this.checkpoint.claim_analysis_enabled;
+        }
+        await this.log('Resuming research workflow from checkpoint...');
+        return this.runPipeline();
+    }
+
+    async runPipeline() {
+        const checkpoint = this.checkpoint;
+        const { topic, depth, iterations } = checkpoint;
+        const phases = this.phaseCount();
+        this.topic = topic;
+        if (this.sourceIndex) {
+            await this.log(
+                `Grounding in ${this.sourceDocumentList.length} attached document(s) ` +
+                `(${this.sourceIndex.chunks.length} chunks).`
+            );
+        }
+
+        this.comparisons = {};
+        this.partialResults = {
+            topic,
+            topic_analysis: null,
+            perspectives: [],
+            deep_research: {},
+            comparisons: {},
+            synthesis: '',
+            claims: null,
+            refinement: null,
+            red_team: null
+        };
+        if (this.panel) {
+            await this.log(`Model panel: ${describeModelPanel(this.panel)}.`);
+        }
+
+        if (this.uiHooks.onPhaseLabel) {
+            this.uiHooks.onPhaseLabel(`Phase 1/${phases}: Topic analysis`);
+        }
+
+        let topicAnalysis = checkpoint.topic_analysis;
+        if (topicAnalysis) {
+            await this.log('Phase 1: Reusing checkpointed topic analysis.');
+        } else {
+            topicAnalysis = await this.analyzeTopic(topic);
+            checkpoint.topic_analysis = topicAnalysis;
+            this.saveCheckpoint();
+        }
+        this.partialResults.topic_analysis = topicAnalysis;
+        if (typeof this.uiHooks.onPhaseProgress === 'function') {
+            this.uiHooks.onPhaseProgress(1, phases);
+        }
+
+        if (this.uiHooks.onPhaseLabel) {
+            this.uiHooks.onPhaseLabel(`Phase 2/${phases}: Perspectives`);
+        }
+
+        // Older checkpoints stored perspectives as plain strings and keyed
+        // deep research by that string; re-key it by title.
+        const stored = Array.isArray(checkpoint.perspectives) ? checkpoint.perspectives : [];
+        stored.forEach((item) => {
+            const migrated = typeof item === 'string' ? normalizePerspective(item) : null;
+            if (migrated && checkpoint.deep_research[item] && !checkpoint.deep_research[migrated.title]) {
+                checkpoint.deep_research[migrated.title] = checkpoint.deep_research[item];
+                delete checkpoint.deep_research[item];
+            }
+        });
+        let perspectives = normalizePerspectiveList(stored);
+        if (perspectives.length > 0) {
+            checkpoint.perspectives = perspectives;
+            await this.log(`Phase 2: Reusing ${perspectives.length} checkpointed perspectives.`);
+        } else {
+            perspectives = await this.gatherPerspectives(topic, topicAnalysis, iterations, {
+                keepAll: this.reviewPerspectives
+            });
+            checkpoint.perspectives = perspectives;
+            this.saveCheckpoint();
+        }
+        if (this.reviewPerspectives && !checkpoint.perspectives_reviewed) {
+            perspectives = await this.requestPerspectiveReview(perspectives, iterations);
+            checkpoint.perspectives = perspectives;
+            checkpoint.perspectives_reviewed = true;
+            this.saveCheckpoint();
+        }
+        // A reviewed list is researched in full; otherwise `iterations` caps it
+        const researchCount = checkpoint.perspectives_reviewed ? perspectives.length : iterations;
+        this.partialResults.perspectives = perspectives;
+        if (typeof this.uiHooks.onPhaseProgress === 'function') {
+            this.uiHooks.onPhaseProgress(2, phases);
+        }
+
+        if (this.uiHooks.onPhaseLabel) {
+            this.uiHooks.onPhaseLabel(`Phase 3/${phases}: Deep research`);
+        }
+
+        // Any perspective that still needs work invalidates a cached synthesis.
+        const savedComparisons = checkpoint.comparisons || {};
+        const hasPendingPerspectives = perspectives
+            .slice(0, Math.min(perspectives.length, researchCount))
+            .some((p, i) => !isPerspectiveComplete(checkpoint.deep_research[p.title]) ||
+                comparisonModelsFor(this.panel, i)
+                    .some((model) => !isPerspectiveComplete((savedComparisons[p.title] || {})[model])));
+        if (hasPendingPerspectives) {
+            checkpoint.synthesis = null;
+            checkpoint.claims = null;
+            checkpoint.refinement = null;
+            checkpoint.red_team = null;
+        }
+
+        const deepResearch = await this.deepResearch(perspectives, depth, researchCount);
+        let claims = null;
+        if (this.claimAnalysis) {
+            if (this.uiHooks.onPhaseLabel) {
+                this.uiHooks.onPhaseLabel(`Phase 3/${phases}: Claim analysis`);
+            }
+            claims = await this.analyzeClaims(deepResearch, topic);
+        }
+        if (typeof this.uiHooks.onPhaseProgress === 'function') {
+            this.uiHooks.onPhaseProgress(3, phases);
+        }
+
+        if (this.uiHooks.onPhaseLabel) {
+            this.uiHooks.onPhaseLabel(`Phase 4/${phases}: Global synthesis`);
+        }
+
+        let synthesis = checkpoint.synthesis;
+        if (synthesis) {
+            await this.log('Phase 4: Reusing checkpointed global synthesis.');
+        } else {
+            synthesis = await this.synthesizeFindings(deepResearch, topic, { comparisons: this.comparisons, claims });
+            checkpoint.synthesis = synthesis;
+            this.saveCheckpoint();
+        }
+        this.partialResults.synthesis = synthesis;
+
+        const refinement = await this.refineSynthesis(deepResearch, topic, synthesis);
+        if (refinement && refinement.rounds.length) {
+            synthesis = refinement.rounds[refinement.rounds.length - 1].synthesis;
+        }
+        if (typeof this.uiHooks.onPhaseProgress === 'function') {
+            this.uiHooks.onPhaseProgress(4, phases);
+        }
+
+        let redTeam = null;
+        if (this.redTeam) {
+            if (this.uiHooks.onPhaseLabel) {
+                this.uiHooks.onPhaseLabel(`Phase 5/${phases}: Red-team review`);
+            }
+            redTeam = await this.redTeamSynthesis(deepResearch, topic, synthesis);
+            if (typeof this.uiHooks.onPhaseProgress === 'function') {
+                this.uiHooks.onPhaseProgress(5, phases);
+            }
+        }
+
+        const citations = await this.checkCitations({
+            deep_research: deepResearch,
+            synthesis,
+            refinement,
+            red_team: redTeam
+        });
+        const sources = this.describeSources(deepResearch, synthesis, topic);
+
+        await this.log('Research workflow completed successfully.');
+
+        return {
+            topic,
+            topic_analysis: topicAnalysis,
+            perspectives,
+            deep_research: deepResearch,
+            synthesis,
+            panel: this.panel ? { ...this.panel, models: this.panel.models.slice() } : null,
+            comparisons: this.panel && this.panel.compare ? this.orderedComparisons(deepResearch) : null,
+            claims,
+            refinement,
+            red_team: redTeam,
+            citations,
+            sources,
+            usage: this.getUsage(),
+            research_log: this.researchLog.slice()
+        };
+    }
+
+    orderedComparisons(deepResearch) {
+        const ordered = {};
+        Object.keys(deepResearch || {}).forEach((title) => {
+            if (this.comparisons[title]) ordered[title] = this.comparisons[title];
+        });
+        return ordered;
+    }
+
+    // ---- Revisions ----
+
+    /**
+     * Re-runs the four steps for one perspective of a finished run and
+     * returns a copy of `results` with the new output spliced in. The
+     * replaced output is kept in results.revisions.deep_research[title].
+     * `model`, when given, runs every step; otherwise panel runs use the
+     * perspective's assigned panel models. The perspective's comparisons
+     * are redone, or dropped when the panel no longer compares.
+     */
+    async regeneratePerspective(results, title, depth = 'extreme', { model = null } = {}) {
+        this.ensureActive();
+        const perspectives = normalizePerspectiveList(results.perspectives);
+        const index = perspectives.findIndex((p) => p.title === title);
+        const perspective = index !== -1 ? perspectives[index] : normalizePerspective(title);
+        if (!perspective) {
+            throw new Error('Cannot regenerate: perspective has no title.');
+        }
+
+        this.topic = results.topic;
+        this.adoptRunSources(results);
+        this.panel = normalizeModelPanel(results.panel);
+        this.comparisons = {};
+        // Nothing from an earlier run's checkpoint applies to the new research
+        this.checkpoint = null;
+        const position = index !== -1 ? index : perspectives.length;
+        const stepModels = assignPanelModels(this.panel, position, this.modelId);
+        if (model) {
+            PERSPECTIVE_STEPS.forEach((step) => {
+                stepModels[step] = model;
+            });
+        }
+        const models = PERSPECTIVE_STEPS.map((step) => stepModels[step] || this.modelId)
+            .filter((stepModel, i, list) => list.indexOf(stepModel) === i);
+        await this.log(`Regenerating "${truncateForLog(title, 80)}" with ${models.join(', ')} (${depth} depth)...`);
+        const labelPrefix = `Perspective ${position + 1}/${Math.max(perspectives.length, position + 1)}`;
+        const fresh = await this.researchSinglePerspective(perspective, depth, labelPrefix, {}, null, stepModels);
+        await this.comparePerspective(perspective, position, depth, labelPrefix, () => {});
+        await this.log(`Regenerated "${truncateForLog(title, 80)}".`);
+
+        const deep = results.deep_research || {};
+        const revisions = cloneRevisions(results.revisions);
+        if (deep[title]) {
+            revisions.deep_research[title] = (revisions.deep_research[title] || [])
+                .concat({ ...deep[title], replaced_at: new Date().toISOString() });
+        }
+        const changes = { deep_research: { ...deep, [title]: fresh }, revisions };
+        if (this.comparisons[title]) {
+            changes.comparisons = { ...(results.comparisons || {}), [title]: this.comparisons[title] };
+        } else if (results.comparisons && results.comparisons[title]) {
+            changes.comparisons = { ...results.comparisons };
+            delete changes.comparisons[title];
+        }
+        if (results.claims) {
+            changes.claims = await this.reanalyzeClaims(results.claims, changes.deep_research, title);
+        }
+        changes.citations = await this.checkCitations({ ...results, ...changes });
+        if (this.sourceIndex) {
+            changes.sources = this.describeSources(changes.deep_research, results.synthesis, results.topic);
+        }
+        return this.withUpdates(results, changes);
+    }
+
+    /**
+     * Re-extracts the claims of one regenerated perspective (and of any
+     * whose extraction failed), keeps the others, and re-clusters.
+     */
+    async reanalyzeClaims(matrix, research, title) {
+        const reuse = {};
+        const failed = matrix.errors || {};
+        (matrix.perspectives || []).filter((name) => name !== title && !failed[name]).forEach((name) => {
+            reuse[name] = {
+                claims: matrix.claims.filter((claim) => claim.perspective === name).map((claim) => claim.text),
+                model: (matrix.models && matrix.models.extraction && matrix.models.extraction[name]) || ''
+            };
+        });
+        return this.analyzeClaims(research, this.topic, reuse);
+    }
+
+    /**
+     * Re-runs the global synthesis over the current deep research and
+     * returns a copy of `results` with it replaced. The previous synthesis
+     * is kept in results.revisions.synthesis.
+     */
+    async resynthesize(results) {
+        this.ensureActive();
+        this.topic = results.topic;
+        this.adoptRunSources(results);
+        await this.log(`Re-synthesizing with ${this.modelId}...`);
+        const synthesis = await this.synthesizeFindings(results.deep_research || {}, results.topic, {
+            comparisons: results.comparisons,
+            attributeModels: !!results.panel,
+            claims: results.claims
+        });
+
+        const revisions = cloneRevisions(results.revisions);
+        if (typeof results.synthesis === 'string' && results.synthesis.trim()) {
+            revisions.synthesis.push({ synthesis: results.synthesis, replaced_at: new Date().toISOString() });
+        }
+        const changes = { synthesis, revisions };
+        changes.citations = await this.checkCitations({ ...results, synthesis });
+        if (this.sourceIndex) {
+            changes.sources = this.describeSources(results.deep_research, synthesis, results.topic);
+        }
+        return this.withUpdates(results, changes);
+    }
+
+    /**
+     * Extracts the references cited across the perspectives and synthesis
+     * and runs them past the configured citation verifier.
+     */
+    async checkCitations(results) {
+        this.ensureActive();
+        const report = buildCitationReport(results);
+        if (this.citationVerifier !== UNVERIFIED_CITATION_VERIFIER && report.references.length) {
+            await this.log(`Citation check: verifying ${report.references.length} reference(s) with ${this.citationVerifier.name || 'custom verifier'}...`);
+        }
+        const verified = await verifyCitationReport(report, this.citationVerifier, {
+            signal: this.abortController.signal
+        });
+        this.ensureActive();
+        await this.log(
+            `Citation check: ${describeCitationCounts(verified.counts)}.`,
+            verified.counts.malformed ? 'warn' : 'info'
+        );
+        return verified;
+    }
+
+    /**
+     * Answers a follow-up question about a finished run, grounded in its
+     * topic analysis, perspective syntheses, and global synthesis. Returns
+     * a copy of `results` with both turns appended to results.conversation.
+     */
+    async askFollowUp(results, question) {
+        this.ensureActive();
+        const text = typeof question === 'string' ? question.trim() : '';
+        if (!text) {
+            throw new Error('Enter a question to ask.');
+        }
+
+        const conversation = Array.isArray(results.conversation) ? results.conversation : [];
+        const turn = { role: 'user', content: text };
+        const contextTokens = Math.min(
+            CONFIG.FOLLOWUP_MAX_CONTEXT_TOKENS,
+            promptTokenBudget(this.getModelChain(), CONFIG.FOLLOWUP_MAX_TOKENS, this.contextTable)
+        ) - estimateMessagesTokens([turn]);
+        // History gets up to 30% of the budget; the run context gets the rest
+        const history = selectChatHistory(conversation, Math.floor(Math.max(0, contextTokens) * 0.3));
+        const system = await this.fitPromptParts(
+            (texts) =>
+                'You are answering follow-up questions about a completed research run. ' +
+                'Ground your answers in the research below; say so when it does not cover the question, ' +
+                'and distinguish your own reasoning from the run\'s findings.\n\n' + buildFollowUpContext(results, texts),
+            followUpContextBlocks(results),
+            {
+                maxTokens: CONFIG.FOLLOWUP_MAX_TOKENS,
+                label: 'Follow-up',
+                // The system message's own overhead, as in estimateMessagesTokens
+                limitTokens: contextTokens - estimateMessagesTokens(history) - 4
+            }
+        );
+
+        const messages = [{ role: 'system', content: system }, ...history, turn];
+
+        this.topic = results.topic;
+        const asked = new Date().toISOString();
+        const { content, model } = await this.callWithAttribution(messages, {
+            maxTokens: CONFIG.FOLLOWUP_MAX_TOKENS,
+            temperature: 0.3,
+            label: 'Follow-up',
+            phase: 'Follow-up'
+        });
+
+        return this.withUpdates(results, {
+            conversation: conversation.concat(
+                { role: 'user', content: text, at: asked },
+                {
+                    role: 'assistant',
+                    content: content || 'No answer returned by the model.',
+                    model,
+                    at: new Date().toISOString()
+                }
+            )
+        });
+    }
+
+    /** Merges changes plus this researcher's usage and log into `results`. */
+    withUpdates(results, changes) {
+        const previousUsage = results.usage || {};
+        const calls = (Array.isArray(previousUsage.calls) ? previousUsage.calls : []).concat(this.usageCalls);
+        return {
+            ...results,
+            ...changes,
+            usage: {
+                ...summarizeUsage(calls),
+                calls,
+                budget_usd: previousUsage.budget_usd || null
+            },
+            research_log: (results.research_log || []).concat(this.researchLog)
+        };
+    }
+
+    /**
+     * Returns whatever the current run has completed so far, in the same
+     * shape as conductResearch's result. Used to render partial output
+     * after a cancellation or failure.
+     */
+    getPartialResults() {
+        const partial = this.partialResults || {};
+        return {
+            topic: partial.topic || '',
+            topic_analysis: partial.topic_analysis || null,
+            perspectives: (partial.perspectives || []).map((p) => ({ ...p })),
+            deep_research: { ...(partial.deep_research || {}) },
+            comparisons: partial.comparisons && Object.keys(partial.comparisons).length
+                ? { ...partial.comparisons }
+                : null,
+            synthesis: partial.synthesis || '',
+            claims: partial.claims ? JSON.parse(JSON.stringify(partial.claims)) : null,
+            refinement: partial.refinement ? JSON.parse(JSON.stringify(partial.refinement)) : null,
+            red_team: partial.red_team ? JSON.parse(JSON.stringify(partial.red_team)) : null,
+            usage: this.getUsage(),
+            research_log: this.researchLog.slice(),
+            partial: true
+        };
+    }
+
+    /**
+     * Stops the run: marks it inactive and aborts any in-flight request.
+     * When a reason is given (user-initiated stop), it is recorded in the log.
+     */
+    cancel(reason) {
+        if (this.active && reason) {
+            const entry = `[${new Date().toLocaleTimeString()}] [WARN] ${reason}`;
+            this.researchLog.push(entry);
+            if (typeof this.uiHooks.onLog === 'function') {
+                this.uiHooks.onLog(entry);
+            }
+        }
+        this.active = false;
+        this.abortController.abort();
+    }
+}
+
+// ---- DOM & Application Logic ----
+
+document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('researchForm');
+    const apiKeyInput = document.getElementById('apiKey');
+    const apiKeyLabel = document.getElementById('apiKeyLabel');
+    const modelIdSelect = document.getElementById('modelId');
+    const customModelGroup = document.getElementById('customModelGroup');
+    const customModelInput = document.getElementById('customModel');
+    const topicInput = document.getElementById('topic');
+    const depthSelect = document.getElementById('depth');
+    const iterationsSelect = document.getElementById('iterations');
+    const refinementRoundsSelect = document.getElementById('refinementRounds');
+    const constraintsInput = document.getElementById('constraints');
+    const budgetInput = document.getElementById('budgetCap');
+    const templateSetSelect = document.getElementById('templateSet');
+    const attachSourcesButton = document.getElementById('attachSources');
+    const sourceFileInput = document.getElementById('sourceFileInput');
+    const sourceListEl = document.getElementById('sourceList');
+    const toggleReviewPerspectives = document.getElementById('toggleReviewPerspectives');
+    const panelModelsInput = document.getElementById('panelModels');
+    const panelAssignSelect = document.getElementById('panelAssign');
+    const toggleComparePanel = document.getElementById('toggleComparePanel');
+    const toggleRedTeam = document.getElementById('toggleRedTeam');
+    const toggleClaimAnalysis = document.getElementById('toggleClaimAnalysis');
+
+    const startButton = document.getElementById('startResearch');
+    const stopButton = document.getElementById('stopResearch');
+    const resumeButton = document.getElementById('resumeResearch');
+    const openSettingsFromForm = document.getElementById('openSettingsFromForm');
+
+    const progressContainer = document.getElementById('progressContainer');
+    const progressFill = document.getElementById('progressFill');
+    const progressText = document.getElementById('progressText');
+    const perspectiveProgressList = document.getElementById('perspectiveProgress');
+    const perspectiveReview = document.getElementById('perspectiveReview');
+    const perspectiveReviewList = document.getElementById('perspectiveReviewList');
+    const perspectiveReviewHint = document.getElementById('perspectiveReviewHint');
+    const perspectiveReviewAdd = document.getElementById('perspectiveReviewAdd');
+    const perspectiveReviewContinue = document.getElementById('perspectiveReviewContinue');
+    const perspectiveReviewContinueLabel = document.getElementById('perspectiveReviewContinueLabel');
+    const usageMeter = document.getElementById('usageMeter');
+    const statusPhase = document.getElementById('statusPhase');
+
+    const resultsContainer = document.getElementById('resultsContainer');
+    const errorMessage = document.getElementById('errorMessage');
+    const successMessage = document.getElementById('successMessage');
+    const topicAnalysisDiv = document.getElementById('topicAnalysis');
+    const perspectivesDiv = document.getElementById('perspectives');
+    const deepResearchDiv = document.getElementById('deepResearch');
+    const synthesisDiv = document.getElementById('synthesis');
+    const synthesisRevisionsDiv = document.getElementById('synthesisRevisions');
+    const resynthesizeButton = document.getElementById('resynthesizeButton');
+    const citationReportDiv = document.getElementById('citationReport');
+    const sourceExcerptsDiv = document.getElementById('sourceExcerpts');
+    const synthesisSourcesDiv = document.getElementById('synthesisSources');
+    const synthesisRefinementDiv = document.getElementById('synthesisRefinement');
+    const claimsSection = document.getElementById('claimsSection');
+    const claimsMatrixDiv = document.getElementById('claimsMatrix');
+    const redTeamSection = document.getElementById('redTeamSection');
+    const redTeamReviewDiv = document.getElementById('redTeamReview');
+    const chatThread = document.getElementById('chatThread');
+    const chatForm = document.getElementById('chatForm');
+    const chatInput = document.getElementById('chatInput');
+    const chatAskButton = document.getElementById('chatAskButton');
+    const revisionModelInput = document.getElementById('revisionModel');
+    const revisionModelList = document.getElementById('revisionModelList');
+    const revisionDepthSelect = document.getElementById('revisionDepth');
+    const usageSummaryDiv = document.getElementById('usageSummary');
+    const researchLogDiv = document.getElementById('researchLog');
+
+    const rawTextToggle = document.getElementById('rawTextToggle');
+    const exportToggle = document.getElementById('exportToggle');
+    const exportMenu = document.getElementById('exportMenu');
+    const exportTxtBtn = document.getElementById('exportTxt');
+    const exportPdfBtn = document.getElementById('exportPdf');
+    const exportMdBtn = document.getElementById('exportMd');
+    const exportJsonBtn = document.getElementById('exportJson');
+
+    const settingsButton = document.getElementById('settingsButton');
+    const settingsDrawer = document.getElementById('settingsDrawer');
+    const settingsBackdrop = document.getElementById('settingsBackdrop');
+    const settingsClose = document.getElementById('settingsClose');
+    const settingsSave = document.getElementById('settingsSave');
+    const settingsReset = document.getElementById('settingsReset');
+
+    const settingsProvider = document.getElementById('settingsProvider');
+    const settingsBaseUrlGroup = document.getElementById('settingsBaseUrlGroup');
+    const settingsProviderBaseUrl = document.getElementById('settingsProviderBaseUrl');
+    const settingsApiKey = document.getElementById('settingsApiKey');
+    const settingsModel = document.getElementById('settingsModel');
+    const settingsCustomModel = document.getElementById('settingsCustomModel');
+    const settingsIterations = document.getElementById('settingsIterations');
+    const settingsConstraints = document.getElementById('settingsConstraints');
+    const toggleDarkTheme = document.getElementById('toggleDarkTheme');
+    const toggleCompact = document.getElementById('toggleCompact');
+    const toggleReducedMotion = document.getElementById('toggleReducedMotion');
+    const toggleStreaming = document.getElementById('toggleStreaming');
+    const settingsRetryAttempts = document.getElementById('settingsRetryAttempts');
+    const settingsRetryDelay = document.getElementById('settingsRetryDelay');
+    const settingsFallbackModels = document.getElementById('settingsFallbackModels');
+    const settingsConcurrency = document.getElementById('settingsConcurrency');
+    const settingsPriceTable = document.getElementById('settingsPriceTable');
+    const settingsContextTable = document.getElementById('settingsContextTable');
+    const settingsTemplateSet = document.getElementById('settingsTemplateSet');
+    const settingsTemplateNew = document.getElementById('settingsTemplateNew');
+    const settingsTemplateDelete = document.getElementById('settingsTemplateDelete');
+    const settingsTemplatePhase = document.getElementById('settingsTemplatePhase');
+    const settingsTemplateText = document.getElementById('settingsTemplateText');
+    const settingsTemplatePlaceholders = document.getElementById('settingsTemplatePlaceholders');
+    const settingsTemplateReset = document.getElementById('settingsTemplateReset');
+
+    const historySearchInput = document.getElementById('historySearch');
+    const historyListDiv = document.getElementById('historyList');
+    const openRunFileButton = document.getElementById('openRunFile');
+    const runFileInput = document.getElementById('runFileInput');
+
+    const docsButton = document.getElementById('docsButton');
+    const themeToggleButton = document.getElementById('themeToggleButton');
+    const themeToggleLabel = document.getElementById('themeToggleLabel');
+
+    let currentResearcher = null;
+    let isRunning = false;
+    let liveStreamTargets = new Map();
+    let livePerspectiveSections = new Map();
+    let currentSettings = SettingsManager.load();
+    let historyRuns = [];
+    let currentResults = null;
+    let currentRunMeta = null;
+    let showRawText = false;
+    // Working copy of template sets while the settings drawer is open
+    let templateDraft = [];
+    revisionModelList.innerHTML = Array.from(modelIdSelect.options)
+        .filter((opt) => opt.value.includes('/'))
+        .map((opt) => `<option value="${escapeHtml(opt.value)}">${escapeHtml(opt.textContent)}</option>`)
+        .join('');
+    settingsTemplatePhase.innerHTML = PROMPT_TEMPLATE_PHASES
+        .map((phase) => `<option value="${phase.key}">${escapeHtml(phase.label)}</option>`)
+        .join('');
+    applySettingsToDOM(currentSettings, { initial: true });
+    refreshHistoryList();
+    updateResumeButton();
+
+    // ----- Settings UI integration -----
+
+    function setToggleEl(toggleEl, on) {
+        toggleEl.dataset.on = on ? 'true' : 'false';
+        toggleEl.setAttribute('aria-checked', on ? 'true' : 'false');
+    }
+
+    function openSettings() {
+        populateSettingsForm(currentSettings);
+        settingsDrawer.classList.add('open');
+        settingsBackdrop.classList.add('open');
+        settingsButton.setAttribute('aria-expanded', 'true');
+        const firstFocusable = settingsDrawer.querySelector('input, select, textarea, button, [tabindex]:not([tabindex="-1"])');
+        if (firstFocusable) firstFocusable.focus();
+        trapFocus(settingsDrawer);
+    }
+
+    function closeSettings() {
+        settingsDrawer.classList.remove('open');
+        settingsBackdrop.classList.remove('open');
+        settingsButton.setAttribute('aria-expanded', 'false');
+        releaseFocusTrap();
+        settingsButton.focus();
+    }
+
+    function updateProviderFields() {
+        const providerId = settingsProvider.value;
+        settingsBaseUrlGroup.style.display = providerId === 'openrouter' ? 'none' : 'block';
+        settingsProviderBaseUrl.placeholder = providerId === 'anthropic'
+            ? `${CONFIG.ANTHROPIC_URL} (optional)`
+            : 'http://localhost:11434/v1';
+    }
+
+    function populateSettingsForm(settings) {
+        settingsProvider.value = LLM_PROVIDERS[settings.provider] ? settings.provider : 'openrouter';
+        settingsProviderBaseUrl.value = settings.providerBaseUrl || '';
+        updateProviderFields();
+        settingsApiKey.value = settings.apiKey || '';
+        settingsModel.value = settings.defaultModel || '';
+        settingsCustomModel.value = settings.defaultCustomModel || '';
+        settingsIterations.value = settings.defaultIterations ? String(settings.defaultIterations) : '';
+        settingsConstraints.value = settings.defaultConstraints || '';
+
+        setToggleEl(toggleDarkTheme, settings.theme === 'dark');
+        setToggleEl(toggleCompact, !!settings.compact);
+        setToggleEl(toggleReducedMotion, !!settings.reducedMotion);
+        setToggleEl(toggleStreaming, settings.streaming !== false);
+        settingsRetryAttempts.value = String(settings.retryMaxAttempts || CONFIG.DEFAULT_RETRY.maxAttempts);
+        settingsRetryDelay.value = String(settings.retryBaseDelayMs || CONFIG.DEFAULT_RETRY.baseDelayMs);
+        settingsFallbackModels.value = (settings.fallbackModels || []).join('\n');
+        settingsConcurrency.value = String(settings.concurrency || 1);
+        settingsPriceTable.value = formatPriceTable(settings.priceTable || CONFIG.MODEL_PRICES);
+        settingsContextTable.value = formatContextTable(settings.contextTable || CONFIG.MODEL_CONTEXT_TOKENS);
+        templateDraft = JSON.parse(JSON.stringify(settings.promptTemplateSets || []));
+        populateTemplateEditor(templateSetSelect.value);
+    }
+
+    function collectSettingsFromForm(prev) {
+        const next = { ...(prev || CONFIG.DEFAULT_SETTINGS) };
+
+        next.provider = settingsProvider.value || 'openrouter';
+        next.providerBaseUrl = settingsProviderBaseUrl.value.trim();
+        next.apiKey = settingsApiKey.value || '';
+        next.defaultModel = settingsModel.value || '';
+        next.defaultCustomModel = settingsCustomModel.value || '';
+        const iterVal = settingsIterations.value ? parseInt(settingsIterations.value, 10) : null;
+        if (iterVal && iterVal >= 1 && iterVal <= 10) {
+            next.defaultIterations = iterVal;
+        }
+        next.defaultConstraints = settingsConstraints.value || '';
+
+        const darkOn = toggleDarkTheme.dataset.on === 'true';
+        next.theme = darkOn ? 'dark' : 'light';
+
+        next.compact = toggleCompact.dataset.on === 'true';
+        next.reducedMotion = toggleReducedMotion.dataset.on === 'true';
+        next.streaming = toggleStreaming.dataset.on === 'true';
+        const attemptsVal = parseInt(settingsRetryAttempts.value, 10);
+        if (attemptsVal >= 1 && attemptsVal <= 8) {
+            next.retryMaxAttempts = attemptsVal;
+        }
+        const delayVal = parseInt(settingsRetryDelay.value, 10);
+        if (delayVal > 0) {
+            next.retryBaseDelayMs = delayVal;
+        }
+        next.fallbackModels = parseModelList(settingsFallbackModels.value);
+        const concurrencyVal = parseInt(settingsConcurrency.value, 10);
+        if (concurrencyVal >= 1 && concurrencyVal <= CONFIG.MAX_CONCURRENCY) {
+            next.concurrency = concurrencyVal;
+        }
+        next.priceTable = parsePriceTable(settingsPriceTable.value).table;
+        next.contextTable = parseContextTable(settingsContextTable.value).table;
+        next.promptTemplateSets = templateDraft.map((set) => ({ name: set.name, templates: { ...set.templates } }));
+
+        return next;
+    }
+
+    function applySettingsToDOM(settings, { initial = false } = {}) {
+        setBodyTheme(settings.theme === 'auto' ? 'auto' : settings.theme);
+        const isDark = document.body.classList.contains('theme-dark');
+        themeToggleLabel.textContent = isDark ? 'Dark' : 'Light';
+
+        setBodyDensity(!!settings.compact);
+        setBodyMotion(!!settings.reducedMotion);
+
+        const provider = getProvider(LLM_PROVIDERS[settings.provider] ? settings.provider : 'openrouter');
+        apiKeyLabel.textContent = provider.requiresApiKey
+            ? `${provider.label} API Key`
+            : `${provider.label} API Key (optional)`;
+        apiKeyInput.required = provider.requiresApiKey;
+        apiKeyInput.setAttribute('aria-required', provider.requiresApiKey ? 'true' : 'false');
+
+        if (initial || settings.apiKey) {
+            if (settings.apiKey) {
+                apiKeyInput.value = settings.apiKey;
+            }
+        }
+
+        const modelToApply = settings.defaultModel || '';
+        if (initial && modelToApply) {
+            if (modelToApply === 'custom') {
+                modelIdSelect.value = 'custom';
+                customModelGroup.style.display = 'block';
+                customModelInput.value = settings.defaultCustomModel || '';
+            } else {
+                modelIdSelect.value = modelToApply;
+            }
+        }
+
+        if (initial && settings.defaultIterations) {
+            if ([3, 5, 7].includes(settings.defaultIterations)) {
+                iterationsSelect.value = String(settings.defaultIterations);
+            }
+        }
+
+        if (initial && settings.defaultConstraints) {
+            constraintsInput.value = settings.defaultConstraints;
+        }
+
+        refreshTemplateSetOptions();
+    }
+
+    settingsButton.addEventListener('click', openSettings);
+    openSettingsFromForm.addEventListener('click', openSettings);
+    settingsClose.addEventListener('click', closeSettings);
+    settingsProvider.addEventListener('change', updateProviderFields);
+    settingsBackdrop.addEventListener('click', closeSettings);
+
+    settingsSave.addEventListener('click', () => {
+        const next = collectSettingsFromForm(currentSettings);
+        const provider = getProvider(next.provider);
+        const modelIdRule = next.provider === 'openrouter' ? 'use provider/model format' : 'be a model ID without spaces';
+
+        if (provider.requiresBaseUrl && !next.providerBaseUrl) {
+            alert(`${provider.label} needs a base URL.`);
+            return;
+        }
+        if (next.providerBaseUrl && !/^https?:\/\/\S+$/i.test(next.providerBaseUrl)) {
+            alert('Base URL must start with http:// or https://.');
+            return;
+        }
+
+        if (next.defaultModel && next.defaultModel === 'custom' && !provider.isModelId(next.defaultCustomModel)) {
+            alert(`Custom default model must ${modelIdRule}.`);
+            return;
+        }
+
+        const priceErrors = parsePriceTable(settingsPriceTable.value).errors;
+        if (priceErrors.length) {
+            alert(`Could not parse price table line: "${priceErrors[0]}". Use "provider/model: prompt, completion".`);
+            return;
+        }
+
+        const contextErrors = parseContextTable(settingsContextTable.value).errors;
+        if (contextErrors.length) {
+            alert(`Could not parse context window line: "${contextErrors[0]}". Use "provider/model: tokens".`);
+            return;
+        }
+
+        const invalidFallback = next.fallbackModels.find((model) => !provider.isModelId(model));
+        if (invalidFallback) {
+            alert(`Fallback model "${invalidFallback}" must ${modelIdRule}.`);
+            return;
+        }
+
+        for (const set of next.promptTemplateSets) {
+            const templateErrors = validatePromptTemplates(set.templates);
+            if (templateErrors.length) {
+                alert(`Template set "${set.name}" – ${templateErrors[0]}.`);
+                return;
+            }
+        }
+
+        currentSettings = SettingsManager.save(next);
+        applySettingsToDOM(currentSettings, { initial: false });
+
+        if (currentSettings.apiKey) {
+            apiKeyInput.value = currentSettings.apiKey;
+        }
+
+        if (currentSettings.defaultConstraints && !constraintsInput.value) {
+            constraintsInput.value = currentSettings.defaultConstraints;
+        }
+
+        closeSettings();
+    });
+
+    settingsReset.addEventListener('click', () => {
+        currentSettings = SettingsManager.reset();
+        populateSettingsForm(currentSettings);
+        applySettingsToDOM(currentSettings, { initial: false });
+    });
+
+    // ----- Prompt templates -----
+
+    function findTemplateSet(sets, name) {
+        return (sets || []).find((set) => set.name === name) || null;
+    }
+
+    function templateSetOptionsHtml(sets, defaultLabel) {
+        return [`<option value="">${defaultLabel}</option>`]
+            .concat((sets || []).map((set) =>
+                `<option value="${escapeHtml(set.name)}">${escapeHtml(set.name)}</option>`))
+            .join('');
+    }
+
+    /** Keeps the per-run selector in sync with saved sets. */
+    function refreshTemplateSetOptions() {
+        const selected = templateSetSelect.value;
+        const sets = currentSettings.promptTemplateSets || [];
+        templateSetSelect.innerHTML = templateSetOptionsHtml(sets, 'Default');
+        templateSetSelect.value = findTemplateSet(sets, selected) ? selected : '';
+    }
+
+    function populateTemplateEditor(selectedName) {
+        settingsTemplateSet.innerHTML = templateSetOptionsHtml(templateDraft, 'Default (built-in)');
+        settingsTemplateSet.value = findTemplateSet(templateDraft, selectedName) ? selectedName : '';
+        renderTemplateEditor();
+    }
+
+    function currentTemplatePhase() {
+        return PROMPT_TEMPLATE_PHASES.find((phase) => phase.key === settingsTemplatePhase.value)
+            || PROMPT_TEMPLATE_PHASES[0];
+    }
+
+    function renderTemplateEditor() {
+        const set = findTemplateSet(templateDraft, settingsTemplateSet.value);
+        const phase = currentTemplatePhase();
+        const override = set && set.templates[phase.key];
+
+        settingsTemplateText.value = override || DEFAULT_PROMPT_TEMPLATES[phase.key];
+        settingsTemplateText.readOnly = !set;
+        settingsTemplateDelete.disabled = !set;
+        settingsTemplateReset.disabled = !override;
+        renderTemplatePlaceholders();
+    }
+
+    function renderTemplatePlaceholders() {
+        const phase = currentTemplatePhase();
+        const allowed = phase.placeholders.map((name) => `<code>{${name}}</code>`).join(' ');
+        const unknown = findUnknownPlaceholders(settingsTemplateText.value, phase.placeholders);
+        settingsTemplatePlaceholders.innerHTML = `Placeholders: ${allowed}`
+            + (unknown.length
+                ? `<br><strong>Unknown:</strong> ${unknown.map((name) => `<code>{${escapeHtml(name)}}</code>`).join(' ')}`
+                : '');
+    }
+
+    settingsTemplateSet.addEventListener('change', renderTemplateEditor);
+    settingsTemplatePhase.addEventListener('change', renderTemplateEditor);
+
+    settingsTemplateText.addEventListener('input', () => {
+        const set = findTemplateSet(templateDraft, settingsTemplateSet.value);
+        if (!set) return;
+        const phase = currentTemplatePhase();
+        const value = settingsTemplateText.value;
+        if (!value.trim() || value === DEFAULT_PROMPT_TEMPLATES[phase.key]) {
+            delete set.templates[phase.key];
+        } else {
+            set.templates[phase.key] = value;
+        }
+        settingsTemplateReset.disabled = !set.templates[phase.key];
+        renderTemplatePlaceholders();
+    });
+
+    settingsTemplateNew.addEventListener('click', () => {
+        const name = (prompt('Name for the new template set (e.g. "Clinical"):') || '').trim();
+        if (!name) return;
+        if (findTemplateSet(templateDraft, name)) {
+            alert(`A template set named "${name}" already exists.`);
+            return;
+        }
+        // Start from whatever set is currently shown
+        const source = findTemplateSet(templateDraft, settingsTemplateSet.value);
+        templateDraft.push({ name, templates: { ...(source ? source.templates : {}) } });
+        populateTemplateEditor(name);
+    });
+
+    settingsTemplateDelete.addEventListener('click', () => {
+        const name = settingsTemplateSet.value;
+        if (!name || !confirm(`Delete template set "${name}"?`)) return;
+        templateDraft = templateDraft.filter((set) => set.name !== name);
+        populateTemplateEditor('');
+    });
+
+    settingsTemplateReset.addEventListener('click', () => {
+        const set = findTemplateSet(templateDraft, settingsTemplateSet.value);
+        if (!set) return;
+        delete set.templates[currentTemplatePhase().key];
+        renderTemplateEditor();
+    });
+
+    function toggleSwitchClickHandler(ev) {
+        const target = ev.currentTarget;
+        if (target.getAttribute('aria-disabled') === 'true') return;
+        const on = target.dataset.on === 'true';
+        setToggleEl(target, !on);
+    }
+
+    function toggleSwitchKeyHandler(ev) {
+        if (ev.key === ' ' || ev.key === 'Enter') {
+            ev.preventDefault();
+            const target = ev.currentTarget;
+            if (target.getAttribute('aria-disabled') === 'true') return;
+            const on = target.dataset.on === 'true';
+            setToggleEl(target, !on);
+        }
+    }
+
+    [
+        toggleDarkTheme,
+        toggleCompact,
+        toggleReducedMotion,
+        toggleStreaming,
+        toggleReviewPerspectives,
+        toggleComparePanel,
+        toggleRedTeam,
+        toggleClaimAnalysis
+    ].forEach((el) => {
+        el.addEventListener('click', toggleSwitchClickHandler);
+        el.addEventListener('keydown', toggleSwitchKeyHandler);
+    });
+
+    // Theme quick toggle
+    themeToggleButton.addEventListener('click', () => {
+        const isDark = document.body.classList.contains('theme-dark');
+        const nextTheme = isDark ? 'light' : 'dark';
+        setBodyTheme(nextTheme);
+        themeToggleLabel.textContent = nextTheme === 'dark' ? 'Dark' : 'Light';
+
+        currentSettings = SettingsManager.save({
+            ...currentSettings,
+            theme: nextTheme
+        });
+        setToggleEl(toggleDarkTheme, nextTheme === 'dark');
+    });
+
+    // Docs button: scroll to workflow section
+    docsButton.addEventListener('click', () => {
+        const sidePanels = document.querySelectorAll('.side-card');
+        if (sidePanels.length > 0) {
+            scrollIntoView(sidePanels[0]);
+        }
+    });
+
+    // Model selection: show/hide custom field
+    modelIdSelect.addEventListener('change', () => {
+        if (modelIdSelect.value === 'custom') {
+            customModelGroup.style.display = 'block';
+            customModelInput.setAttribute('aria-hidden', 'false');
+        } else {
+            customModelGroup.style.display = 'none';
+            customModelInput.setAttribute('aria-hidden', 'true');
+        }
+    });
+
+    // Form submission handler
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (isRunning) return;
+
+        hideMessage(errorMessage);
+        hideMessage(successMessage);
+        clearResults();
+
+        const apiKey = sanitizeText(apiKeyInput.value || currentSettings.apiKey || '');
+        const topicRaw = topicInput.value || '';
+        const topic = sanitizeText(topicRaw);
+
+        let modelId = modelIdSelect.value;
+        if (modelId === 'custom') {
+            modelId = sanitizeText(customModelInput.value);
+        } else if (!modelId && currentSettings.defaultModel) {
+            modelId = currentSettings.defaultModel === 'custom'
+                ? (currentSettings.defaultCustomModel || '')
+                : currentSettings.defaultModel;
+        }
+
+        const depth = depthSelect.value || 'extreme';
+
+        let iterations = parseInt(iterationsSelect.value, 10);
+        if (!iterations && currentSettings.defaultIterations) {
+            iterations = currentSettings.defaultIterations;
+        }
+        iterations = iterations || 3;
+
+        const constraints = sanitizeText(constraintsInput.value || currentSettings.defaultConstraints || '');
+        const budgetUsd = budgetInput.value ? parseFloat(budgetInput.value) : null;
+        const templateSet = findTemplateSet(currentSettings.promptTemplateSets, templateSetSelect.value);
+
+        const provider = currentSettings.provider;
+        const panel = readPanelFromForm();
+        const validationError = validateInputs({ provider, apiKey, modelId, topic, iterations, budgetUsd, panel });
+        if (validationError) {
+            showMessage(errorMessage, validationError);
+            return;
+        }
+
+        await executeRun({
+            apiKey,
+            runMeta: {
+                provider,
+                model: modelId,
+                depth,
+                iterations,
+                constraints,
+                budgetUsd,
+                templateSet: templateSet ? templateSet.name : '',
+                promptTemplates: templateSet ? templateSet.templates : {},
+                reviewPerspectives: toggleReviewPerspectives.dataset.on === 'true',
+                panel,
+                refinementRounds: normalizeRefinementRounds(refinementRoundsSelect.value),
+                redTeam: toggleRedTeam.dataset.on === 'true',
+                claimAnalysis: toggleClaimAnalysis.dataset.on === 'true',
+                sources: attachedSources.slice(),
+                startedAt: new Date().toISOString()
+            },
+            invoke: (researcher) => researcher.conductResearch(topic, depth, iterations)
+        });
+    });
+
+    resumeButton.addEventListener('click', async () => {
+        if (isRunning) return;
+
+        const checkpoint = CheckpointManager.load();
+        if (!checkpoint) {
+            updateResumeButton();
+            return;
+        }
+
+        hideMessage(errorMessage);
+        hideMessage(successMessage);
+        clearResults();
+
+        const apiKey = sanitizeText(apiKeyInput.value || currentSettings.apiKey || '');
+        // Checkpoints from before provider selection were all OpenRouter runs
+        const provider = checkpoint.provider || 'openrouter';
+        const setupError = checkProviderSetup(provider, apiKey, 'resume research');
+        if (setupError) {
+            showMessage(errorMessage, setupError);
+            return;
+        }
+
+        populateFormFromRun(checkpoint);
+        if (Array.isArray(checkpoint.sources)) {
+            attachedSources = checkpoint.sources.slice();
+            renderSourceList();
+        }
+
+        await executeRun({
+            apiKey,
+            runMeta: {
+                provider,
+                model: checkpoint.model,
+                depth: checkpoint.depth,
+                iterations: checkpoint.iterations,
+                constraints: checkpoint.constraints,
+                budgetUsd: budgetInput.value ? parseFloat(budgetInput.value) : null,
+                templateSet: checkpoint.template_set || '',
+                reviewPerspectives: toggleReviewPerspectives.dataset.on === 'true',
+                startedAt: checkpoint.startedAt || new Date().toISOString()
+            },
+            invoke: (researcher) => researcher.resumeResearch(checkpoint)
+        });
+    });
+
+    async function executeRun({ apiKey, runMeta, invoke }) {
+        isRunning = true;
+        startButton.disabled = true;
+        startButton.innerHTML = '<span class="icon" aria-hidden="true">🔄</span><span>Running research...</span>';
+
+        lockRunInputs(true);
+        progressContainer.style.display = 'block';
+        updateProgressBar(2);
+        updateProgressText('Starting research workflow...');
+        updatePhaseLabel('Initializing workflow');
+        resultsContainer.style.display = 'none';
+        researchLogDiv.textContent = '';
+        perspectiveProgressList.innerHTML = '';
+        usageMeter.textContent = '';
+        updateLiveStatus('Research started.');
+
+        currentResearcher = new AdvancedResearcher(apiKey, runMeta.model, runMeta.constraints, {
+            onLog: (entry) => appendLogEntry(entry),
+            onProgressText: (text) => updateProgressText(text),
+            onPhaseProgress: (phaseIndex, totalPhases) => {
+                const ratio = Math.max(0, Math.min(1, phaseIndex / totalPhases));
+                updateProgressBar(Math.round(ratio * 100));
+            },
+            onPhaseLabel: (label) => {
+                updatePhaseLabel(label);
+            },
+            onStreamStart: (label) => startLiveStream(label),
+            onToken: (label, delta) => appendLiveToken(label, delta),
+            onPerspectiveProgress: (update) => updatePerspectiveProgress(update),
+            onUsage: (usage) => updateUsageMeter(usage),
+            onReviewPerspectives: (perspectives, info) => openPerspectiveReview(perspectives, info),
+            onCheckpoint: (checkpoint) => CheckpointManager.save(checkpoint)
+        }, {
+            provider: runMeta.provider,
+            baseUrl: currentSettings.providerBaseUrl,
+            stream: currentSettings.streaming !== false,
+            retry: {
+                maxAttempts: currentSettings.retryMaxAttempts,
+                baseDelayMs: currentSettings.retryBaseDelayMs
+            },
+            fallbackModels: currentSettings.fallbackModels || [],
+            concurrency: currentSettings.concurrency || 1,
+            priceTable: currentSettings.priceTable || CONFIG.MODEL_PRICES,
+            contextTable: currentSettings.contextTable || CONFIG.MODEL_CONTEXT_TOKENS,
+            budgetUsd: runMeta.budgetUsd,
+            templateSet: runMeta.templateSet,
+            promptTemplates: runMeta.promptTemplates,
+            reviewPerspectives: runMeta.reviewPerspectives,
+            panel: runMeta.panel,
+            refinementRounds: runMeta.refinementRounds,
+            redTeam: runMeta.redTeam,
+            claimAnalysis: runMeta.claimAnalysis,
+            sources: runMeta.sources
+        });
+
+        try {
+            const results = await invoke(currentResearcher);
+            const finishedMeta = { ...runMeta, finishedAt: new Date().toISOString() };
+            renderResults(results, finishedMeta);
+            const failed = Object.values(results.deep_research || {}).filter((r) => r && r.error).length;
+            if (failed > 0) {
+                showMessage(
+                    successMessage,
+                    `Research completed with ${failed} failed perspective(s). Use Resume or Regenerate to retry them.`
+                );
+            } else {
+                CheckpointManager.clear();
+                showMessage(successMessage, 'Research completed successfully.');
+            }
+            updateLiveStatus('Research completed successfully.');
+            scrollIntoView(resultsContainer);
+            saveRunToHistory(results, finishedMeta);
+        } catch (err) {
+            if (err instanceof BudgetExceededError) {
+                renderResults(currentResearcher.getPartialResults(), { ...runMeta, finishedAt: new Date().toISOString() });
+                showMessage(errorMessage, `${err.message} Showing partial results; raise the cap and use Resume to continue.`);
+                updateLiveStatus('Research halted by budget cap.');
+            } else if (err instanceof ResearchCancelledError) {
+                renderResults(currentResearcher.getPartialResults(), { ...runMeta, finishedAt: new Date().toISOString() });
+                showMessage(errorMessage, 'Research stopped. Showing partial results completed before the stop. Use Resume to continue.');
+                updateLiveStatus('Research stopped.');
+            } else {
+                const msg = `Research failed: ${err.message}`;
+                console.error('[Advanced Research Tool]', err);
+                showMessage(errorMessage, msg);
+                updateLiveStatus('Research failed.');
+            }
+        } finally {
+            isRunning = false;
+            if (currentResearcher) {
+                currentResearcher.cancel();
+            }
+            closePerspectiveReview();
+            startButton.disabled = false;
+            startButton.innerHTML = '<span class="icon" aria-hidden="true">🚀</span><span>Run Advanced Research</span>';
+            lockRunInputs(false);
+            setRevisionControlsDisabled(false);
+            setChatDisabled(false);
+            updateResumeButton();
+        }
+    }
+
+    function updateResumeButton() {
+        const checkpoint = CheckpointManager.load();
+        const canResume = !isRunning && !!checkpoint && typeof checkpoint.topic === 'string';
+        resumeButton.style.display = canResume ? 'inline-flex' : 'none';
+        resumeButton.title = canResume ? `Resume: ${truncateForLog(checkpoint.topic, 120)}` : '';
+    }
+
+    stopButton.addEventListener('click', () => {
+        if (!isRunning || !currentResearcher) return;
+        stopButton.disabled = true;
+        updateProgressText('Stopping research...');
+        currentResearcher.cancel('Research stopped by user.');
+    });
+
+    function lockRunInputs(lock) {
+        apiKeyInput.readOnly = lock;
+        modelIdSelect.disabled = lock;
+        customModelInput.readOnly = lock;
+        topicInput.readOnly = lock;
+        depthSelect.disabled = lock;
+        iterationsSelect.disabled = lock;
+        refinementRoundsSelect.disabled = lock;
+        toggleRedTeam.setAttribute('aria-disabled', lock ? 'true' : 'false');
+        toggleClaimAnalysis.setAttribute('aria-disabled', lock ? 'true' : 'false');
+        constraintsInput.readOnly = lock;
+        budgetInput.readOnly = lock;
+        templateSetSelect.disabled = lock;
+        attachSourcesButton.disabled = lock;
+        sourceListEl.querySelectorAll('button').forEach((button) => {
+            button.disabled = lock;
+        });
+        toggleReviewPerspectives.setAttribute('aria-disabled', lock ? 'true' : 'false');
+        panelModelsInput.readOnly = lock;
+        panelAssignSelect.disabled = lock;
+        toggleComparePanel.setAttribute('aria-disabled', lock ? 'true' : 'false');
+        openSettingsFromForm.disabled = lock;
+        settingsButton.disabled = lock;
+        openRunFileButton.disabled = lock;
+        stopButton.style.display = lock ? 'inline-flex' : 'none';
+        stopButton.disabled = !lock;
+        if (lock) {
+            resumeButton.style.display = 'none';
+        }
+    }
+
+    // ----- Run history -----
+
+    /**
+     * Saves a finished run, or updates its existing entry when `meta`
+     * carries a historyId (e.g. after Regenerate). Records the entry's id
+     * on `meta` so later revisions update the same entry.
+     */
+    async function saveRunToHistory(results, meta) {
+        try {
+            const existing = meta.historyId ? await RunHistoryStore.get(meta.historyId) : null;
+            const record = await RunHistoryStore.save({
+                ...(existing || {}),
+                topic: results.topic,
+                provider: meta.provider || '',
+                model: meta.model,
+                depth: meta.depth,
+                iterations: meta.iterations,
+                constraints: meta.constraints,
+                templateSet: meta.templateSet || '',
+                startedAt: meta.startedAt,
+                finishedAt: meta.finishedAt,
+                result: results,
+                research_log: Array.isArray(results.research_log) ? results.research_log.slice() : []
+            });
+            meta.historyId = record.id;
+            await refreshHistoryList();
+        } catch (err) {
+            console.warn('[Advanced Research Tool] Could not save run to history', err);
+            appendLogEntry(`[${new Date().toLocaleTimeString()}] [WARN] Could not save run to history: ${err.message}`);
+        }
+    }
+
+    async function refreshHistoryList() {
+        try {
+            historyRuns = await RunHistoryStore.list();
+        } catch (err) {
+            historyRuns = [];
+            historyListDiv.innerHTML = `<p class="hint">History unavailable: ${escapeHtml(err.message)}</p>`;
+            return;
+        }
+        renderHistoryList();
+    }
+
+    function renderHistoryList() {
+        const query = (historySearchInput.value || '').trim().toLowerCase();
+        const runs = query
+            ? historyRuns.filter((run) =>
+                [run.title, run.topic, run.model, run.constraints]
+                    .some((field) => typeof field === 'string' && field.toLowerCase().includes(query)))
+            : historyRuns;
+
+        if (runs.length === 0) {
+            historyListDiv.innerHTML = `<p class="hint">${historyRuns.length ? 'No runs match your search.' : 'Completed runs will appear here.'}</p>`;
+            return;
+        }
+
+        historyListDiv.innerHTML = runs
+            .map((run) => {
+                const created = run.createdAt ? new Date(run.createdAt).toLocaleString() : '';
+                const meta = [run.model, run.depth, created].filter(Boolean).join(' · ');
+                return `
+                    <div class="history-item" data-id="${escapeHtml(run.id)}">
+                        <div class="history-item-title">${escapeHtml(run.title || run.topic || 'Untitled run')}</div>
+                        <div class="history-item-meta">${escapeHtml(meta)}</div>
+                        <div class="history-item-actions">
+                            <button type="button" data-action="open">Open</button>
+                            <button type="button" data-action="rename">Rename</button>
+                            <button type="button" data-action="delete">Delete</button>
+                        </div>
+                    </div>
+                `;
+            })
+            .join('');
+    }
+
+    function populateFormFromRun(run) {
+        topicInput.value = run.topic || '';
+        if (run.depth && ['normal', 'advanced', 'extreme'].includes(run.depth)) {
+            depthSelect.value = run.depth;
+        }
+        if ([3, 5, 7].includes(run.iterations)) {
+            iterationsSelect.value = String(run.iterations);
+        }
+        constraintsInput.value = run.constraints || '';
+        if (findTemplateSet(currentSettings.promptTemplateSets, run.templateSet)) {
+            templateSetSelect.value = run.templateSet;
+        }
+
+        if (run.model) {
+            const hasOption = Array.from(modelIdSelect.options).some((opt) => opt.value === run.model);
+            if (hasOption) {
+                modelIdSelect.value = run.model;
+                customModelGroup.style.display = 'none';
+            } else {
+                modelIdSelect.value = 'custom';
+                customModelInput.value = run.model;
+                customModelGroup.style.display = 'block';
+            }
+        }
+
+        const panel = normalizeModelPanel(run.panel || (run.result && run.result.panel));
+        panelModelsInput.value = panel ? panel.models.join(', ') : '';
+        panelAssignSelect.value = panel ? panel.assign : 'perspective';
+        setToggleEl(toggleComparePanel, !!(panel && panel.compare));
+
+        // Checkpoints record the requested rounds; finished runs carry them on the result
+        const refinement = run.refinement || (run.result && run.result.refinement);
+        refinementRoundsSelect.value = String(normalizeRefinementRounds(
+            run.refinement_rounds !== undefined ? run.refinement_rounds : refinement && refinement.requested
+        ));
+        setToggleEl(toggleRedTeam, run.red_team_enabled !== undefined
+            ? !!run.red_team_enabled
+            : !!(run.red_team || (run.result && run.result.red_team)));
+        setToggleEl(toggleClaimAnalysis, run.claim_analysis_enabled !== undefined
+            ? !!run.claim_analysis_enabled
+            : !!(run.claims || (run.result && run.result.claims)));
+    }
+
+    function readPanelFromForm() {
+        return normalizeModelPanel({
+            models: parseModelList(panelModelsInput.value),
+            assign: panelAssignSelect.value,
+            compare: toggleComparePanel.dataset.on === 'true'
+        });
+    }
+
+    async function openHistoryRun(id) {
+        if (isRunning) return;
+        const run = await RunHistoryStore.get(id);
+        if (!run || !run.result) {
+            showMessage(errorMessage, 'This run could not be loaded from history.');
+            return;
+        }
+        hideMessage(errorMessage);
+        hideMessage(successMessage);
+        clearResults();
+        populateFormFromRun(run);
+        renderResults(run.result, {
+            historyId: run.id,
+            provider: run.provider,
+            model: run.model,
+            depth: run.depth,
+            iterations: run.iterations,
+            constraints: run.constraints,
+            templateSet: run.templateSet,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt
+        });
+        showMessage(successMessage, `Loaded "${run.title || run.topic}" from history.`);
+        scrollIntoView(resultsContainer);
+    }
+
+    // ---- Run File Import ----
+
+    async function openRunFile(file) {
+        let text;
+        try {
+            text = await file.text();
+        } catch (err) {
+            showMessage(errorMessage, `Could not read "${file.name}": ${err.message}`);
+            return;
+        }
+
+        const { bundle, errors } = parseRunBundle(text);
+        if (!bundle) {
+            const shown = errors.slice(0, 5).join('; ');
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            showMessage(errorMessage, `"${file.name}" is not a valid run file: ${shown}${more}`);
+            return;
+        }
+
+        const meta = bundle.metadata || {};
+        const run = {
+            topic: meta.topic || bundle.result.topic,
+            provider: meta.provider,
+            model: meta.model,
+            panel: bundle.result.panel,
+            refinement: bundle.result.refinement,
+            red_team: bundle.result.red_team,
+            claims: bundle.result.claims,
+            depth: meta.depth,
+            iterations: meta.iterations,
+            constraints: meta.constraints,
+            templateSet: meta.template_set
+        };
+
+        hideMessage(errorMessage);
+        hideMessage(successMessage);
+        clearResults();
+        populateFormFromRun(run);
+        renderResults(bundle.result, {
+            ...run,
+            startedAt: meta.started_at,
+            finishedAt: meta.finished_at
+        });
+        showMessage(successMessage, `Opened run file "${file.name}".`);
+        scrollIntoView(resultsContainer);
+    }
+
+    openRunFileButton.addEventListener('click', () => {
+        if (isRunning) return;
+        runFileInput.click();
+    });
+
+    runFileInput.addEventListener('change', async () => {
+        const file = runFileInput.files && runFileInput.files[0];
+        // Reset so choosing the same file again still fires change
+        runFileInput.value = '';
+        if (file) {
+            await openRunFile(file);
+        }
+    });
+
+    historySearchInput.addEventListener('input', renderHistoryList);
+
+    historyListDiv.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const item = button.closest('.history-item');
+        const id = item && item.dataset.id;
+        if (!id) return;
+
+        try {
+            if (button.dataset.action === 'open') {
+                await openHistoryRun(id);
+            } else if (button.dataset.action === 'rename') {
+                const run = historyRuns.find((r) => r.id === id);
+                const title = prompt('Rename run:', run ? (run.title || run.topic) : '');
+                if (title && title.trim()) {
+                    await RunHistoryStore.rename(id, title.trim());
+                    await refreshHistoryList();
+                }
+            } else if (button.dataset.action === 'delete') {
+                if (confirm('Delete this run from history? This cannot be undone.')) {
+                    await RunHistoryStore.remove(id);
+                    await refreshHistoryList();
+                }
+            }
+        } catch (err) {
+            showMessage(errorMessage, `History action failed: ${err.message}`);
+        }
+    });
+
+    // ----- Export dropdown behavior -----
+
+    function closeExportMenu() {
+        exportMenu.classList.remove('open');
+        exportToggle.setAttribute('aria-expanded', 'false');
+    }
+
+    exportToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const isOpen = exportMenu.classList.contains('open');
+        if (isOpen) {
+            closeExportMenu();
+        } else {
+            exportMenu.classList.add('open');
+            exportToggle.setAttribute('aria-expanded', 'true');
+            const firstItem = exportMenu.querySelector('button');
+            if (firstItem) firstItem.focus();
+        }
+    });
+
+    // Close on outside click
+    document.addEventListener('click', (e) => {
+        if (!exportMenu.classList.contains('open')) return;
+        if (!exportMenu.contains(e.target) && e.target !== exportToggle) {
+            closeExportMenu();
+        }
+    });
+
+    // Close on Escape
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && exportMenu.classList.contains('open')) {
+            e.stopPropagation();
+            closeExportMenu();
+            exportToggle.focus();
+        }
+    });
+
+    // TXT export
+    function downloadFile(content, extension, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `research_results_${new Date().toISOString().slice(0, 10)}.${extension}`;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    exportTxtBtn.addEventListener('click', () => {
+        const visibleResultsText = collectResultsAsText();
+        if (!visibleResultsText.trim()) {
+            showMessage(errorMessage, 'No results available to export yet.');
+            closeExportMenu();
+            return;
+        }
+        downloadFile(visibleResultsText, 'txt', 'text/plain');
+        closeExportMenu();
+    });
+
+    // Markdown export: keeps section and per-perspective structure
+    exportMdBtn.addEventListener('click', () => {
+        if (!currentResults) {
+            showMessage(errorMessage, 'No results available to export yet.');
+            closeExportMenu();
+            return;
+        }
+        downloadFile(buildMarkdownReport(currentResults, currentRunMeta || {}), 'md', 'text/markdown');
+        closeExportMenu();
+    });
+
+    // JSON export: full result object plus run metadata
+    exportJsonBtn.addEventListener('click', () => {
+        if (!currentResults) {
+            showMessage(errorMessage, 'No results available to export yet.');
+            closeExportMenu();
+            return;
+        }
+        const bundle = buildRunBundle(currentResults, currentRunMeta || {});
+        downloadFile(JSON.stringify(bundle, null, 2), 'json', 'application/json');
+        closeExportMenu();
+    });
+
+    // PDF export via print view
+    exportPdfBtn.addEventListener('click', () => {
+        const textContent = collectResultsAsText();
+        if (!textContent.trim()) {
+            showMessage(errorMessage, 'No results available to export yet.');
+            closeExportMenu();
+            return;
+        }
+
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            showMessage(errorMessage, 'Popup blocked. Allow popups to export as PDF.');
+            closeExportMenu();
+            return;
+        }
+
+        const topicTitle = (document.getElementById('topic').value || '').trim() || 'Advanced Research Report';
+        const now = new Date();
+        const formattedDate = now.toLocaleString();
+
+        const sections = buildResultSectionsText(currentResults);
+        const safeTopicAnalysis = escapeHtml(sections.topicAnalysis);
+        const safePerspectives = escapeHtml(sections.perspectives);
+        const safeDeep = escapeHtml(sections.deep);
+        const safeSynthesis = escapeHtml(sections.synthesis);
+        const safeRefinement = escapeHtml(sections.refinement);
+        const safeClaims = escapeHtml(sections.claims);
+        const safeRedTeam = escapeHtml(sections.redTeam);
+        const safeReferences = escapeHtml(sections.references);
+        const safeFollowUp = escapeHtml(sections.followUp);
+        const html = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(topicTitle)} - Research Report</title>
+    <style>
+        body {
+            margin: 0;
+            padding: 24px;
+            font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+            color: #111827;
+            line-height: 1.6;
+            background: #ffffff;
+        }
+        h1 {
+            font-size: 20px;
+            margin: 0 0 8px;
+        }
+        .meta {
+            font-size: 10px;
+            color: #6b7280;
+            margin-bottom: 16px;
+        }
+        h2 {
+            font-size: 14px;
+            margin: 16px 0 6px;
+            border-bottom: 1px solid #e5e7eb;
+            padding-bottom: 2px;
+        }
+        h3 {
+            font-size: 12px;
+            margin: 10px 0 4px;
+        }
+        p,
+        li,
+        pre {
+            font-size: 10px;
+        }
+        ul {
+            padding-left: 16px;
+            margin: 4px 0 8px;
+        }
+        pre {
+            white-space: pre-wrap;
+            background: #f9fafb;
+            padding: 6px;
+            border-radius: 4px;
+            border: 1px solid #e5e7eb;
+        }
+        .section {
+            margin-bottom: 12px;
+        }
+    </style>
+</head>
+<body class="print-report-root">
+    <h1>Advanced Research Report</h1>
+    <div class="meta">
+        <div><strong>Topic:</strong> ${escapeHtml(topicTitle)}</div>
+        <div><strong>Generated:</strong> ${escapeHtml(formattedDate)}</div>
+    </div>
+
+    ${safeTopicAnalysis ? `
+    <div class="section">
+        <h2>1. Topic Analysis</h2>
+        <pre>${safeTopicAnalysis}</pre>
+    </div>` : ''}
+
+    ${safePerspectives ? `
+    <div class="section">
+        <h2>2. Research Perspectives</h2>
+        <pre>${safePerspectives}</pre>
+    </div>` : ''}
+
+    ${safeDeep ? `
+    <div class="section">
+        <h2>3. Deep Research Findings</h2>
+        <pre>${safeDeep}</pre>
+    </div>` : ''}
+
+    ${safeClaims ? `
+    <div class="section">
+        <h2>Claims Matrix</h2>
+        <pre>${safeClaims}</pre>
+    </div>` : ''}
+
+    ${safeSynthesis ? `
+    <div class="section">
+        <h2>4. Synthesis & Conclusions</h2>
+        <pre>${safeSynthesis}</pre>
+        ${safeRefinement ? `<h3>Refinement Rounds</h3>
+        <pre>${safeRefinement}</pre>` : ''}
+    </div>` : ''}
+
+    ${safeRedTeam ? `
+    <div class="section">
+        <h2>Red-Team Review</h2>
+        <pre>${safeRedTeam}</pre>
+    </div>` : ''}
+
+    ${safeReferences ? `
+    <div class="section">
+        <h2>5. Reference Check</h2>
+        <pre>${safeReferences}</pre>
+    </div>` : ''}
+
+    ${safeFollowUp ? `
+    <div class="section">
+        <h2>6. Follow-up Q&A</h2>
+        <pre>${safeFollowUp}</pre>
+    </div>` : ''}
+
+</body>
+</html>
+        `;
+
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+
+        printWindow.addEventListener('load', () => {
+            printWindow.print();
+        });
+
+        closeExportMenu();
+    });
+
+    function appendLogEntry(entry) {
+        const logLine = document.createElement('div');
+        logLine.className = 'log-entry';
+        logLine.textContent = entry;
+        researchLogDiv.appendChild(logLine);
+        researchLogDiv.scrollTop = researchLogDiv.scrollHeight;
+    }
+
+    // ----- Live streaming output -----
+
+    function getLivePerspectiveSection(prefix) {
+        if (livePerspectiveSections.has(prefix)) {
+            return livePerspectiveSections.get(prefix);
+        }
+        const section = document.createElement('section');
+        section.className = 'live-perspective';
+        section.setAttribute('aria-label', `Live output for ${prefix}`);
+        const heading = document.createElement('h4');
+        heading.textContent = prefix;
+        section.appendChild(heading);
+        deepResearchDiv.appendChild(section);
+        livePerspectiveSections.set(prefix, section);
+        return section;
+    }
+
+    function getLiveStreamTarget(label) {
+        if (liveStreamTargets.has(label)) {
+            return liveStreamTargets.get(label);
+        }
+
+        let target = null;
+        if (label === 'Topic analysis') {
+            target = topicAnalysisDiv;
+        } else if (label === 'Global synthesis' || /^Refinement round \d+\/\d+ – Revised synthesis$/.test(label)) {
+            target = synthesisDiv;
+        } else if (label === 'Red-team revision') {
+            redTeamSection.style.display = '';
+            target = redTeamReviewDiv;
+        } else {
+            const match = label.match(/^(Perspective \d+\/\d+) – (.+)$/);
+            if (match) {
+                const section = getLivePerspectiveSection(match[1]);
+                const stepHeading = document.createElement('h6');
+                stepHeading.textContent = match[2];
+                target = document.createElement('div');
+                target.className = 'live-stream-text';
+                section.appendChild(stepHeading);
+                section.appendChild(target);
+            }
+        }
+
+        if (target) {
+            liveStreamTargets.set(label, target);
+        }
+        return target;
+    }
 
-        setToggleEl(toggleDarkTheme, settings.theme === 'dark');
-        setToggleEl(toggleCompact, !!settings.compact);
-        setToggleEl(toggleReducedMotion, !!settings.reducedMotion);
+    function startLiveStream(label) {
+        const target = getLiveStreamTarget(label);
+        if (!target) return;
+        target.textContent = '';
+        resultsContainer.style.display = 'block';
     }
 
-    function collectSettingsFromForm(prev) {
-        const next = { ...(prev || CONFIG.DEFAULT_SETTINGS) };
+    function appendLiveToken(label, delta) {
+        const target = getLiveStreamTarget(label);
+        if (!target) return;
+        target.textContent += delta;
+    }
 
-        next.apiKey = settingsApiKey.value || '';
-        next.defaultModel = settingsModel.value || '';
-        next.defaultCustomModel = settingsCustomModel.value || '';
-        const iterVal = settingsIterations.value ? parseInt(settingsIterations.value, 10) : null;
-        if (iterVal && iterVal >= 1 && iterVal <= 10) {
-            next.defaultIterations = iterVal;
+    function updateProgressBar(percent) {
+        progressFill.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+    }
+
+    const PERSPECTIVE_STATUS_LABELS = {
+        queued: 'Queued',
+        running: 'Running',
+        done: 'Done',
+        reused: 'Reused from checkpoint',
+        failed: 'Failed'
+    };
+
+    function updatePerspectiveProgress({ index, total, perspective, status, step }) {
+        let row = perspectiveProgressList.querySelector(`[data-index="${index}"]`);
+        if (!row) {
+            row = document.createElement('li');
+            row.dataset.index = String(index);
+            row.innerHTML = '<span class="perspective-progress-name"></span><span class="perspective-progress-status"></span>';
+            const following = Array.from(perspectiveProgressList.children)
+                .find((el) => Number(el.dataset.index) > index);
+            perspectiveProgressList.insertBefore(row, following || null);
         }
-        next.defaultConstraints = settingsConstraints.value || '';
+        row.className = `perspective-progress-row status-${status}`;
+        row.querySelector('.perspective-progress-name').textContent =
+            `${index + 1}/${total} ${truncateForLog(perspective, 60)}`;
+        const statusLabel = PERSPECTIVE_STATUS_LABELS[status] || status;
+        row.querySelector('.perspective-progress-status').textContent =
+            step && status === 'running' ? `${statusLabel}: ${step}` : statusLabel;
+        row.title = status === 'failed' && step ? step : '';
+    }
 
-        const darkOn = toggleDarkTheme.dataset.on === 'true';
-        next.theme = darkOn ? 'dark' : 'light';
+    function updateUsageMeter(usage) {
+        const { totals } = usage;
+        const budget = usage.budget_usd ? ` of ${formatUsd(usage.budget_usd)} budget` : '';
+        const unpriced = totals.unpriced_calls ? ` (${totals.unpriced_calls} unpriced call(s))` : '';
+        usageMeter.textContent =
+            `Tokens: ${totals.prompt_tokens.toLocaleString()} in / ${totals.completion_tokens.toLocaleString()} out · ` +
+            `≈ ${formatUsd(totals.cost)}${budget}${unpriced}`;
+    }
 
-        next.compact = toggleCompact.dataset.on === 'true';
-        next.reducedMotion = toggleReducedMotion.dataset.on === 'true';
+    // ----- Source documents -----
 
-        return next;
-    }
+    let attachedSources = [];
 
-    function applySettingsToDOM(settings, { initial = false } = {}) {
-        setBodyTheme(settings.theme === 'auto' ? 'auto' : settings.theme);
-        const isDark = document.body.classList.contains('theme-dark');
-        themeToggleLabel.textContent = isDark ? 'Dark' : 'Light';
+    function formatCharCount(chars) {
+        return chars >= 1000 ? `${(chars / 1000).toFixed(1)}k chars` : `${chars} chars`;
+    }
 
-        setBodyDensity(!!settings.compact);
-        setBodyMotion(!!settings.reducedMotion);
+    function renderSourceList() {
+        sourceListEl.innerHTML = attachedSources
+            .map((doc, i) => `
+                <li class="source-item">
+                    <span class="source-id">S${i + 1}</span>
+                    <span class="source-name" title="${escapeHtml(doc.name)}">${escapeHtml(doc.name)}</span>
+                    <span class="source-size">${formatCharCount(doc.text.length)} · ${chunkSourceDocument(doc, i).length} chunk(s)</span>
+                    <button type="button" data-index="${i}" aria-label="Remove ${escapeHtml(doc.name)}" ${isRunning ? 'disabled' : ''}>Remove</button>
+                </li>
+            `)
+            .join('');
+    }
 
-        if (initial || settings.apiKey) {
-            if (settings.apiKey) {
-                apiKeyInput.value = settings.apiKey;
+    /**
+     * Reads the chosen files as text and adds them to the attached
+     * sources, replacing any with the same name. Files that are not
+     * text/Markdown/CSV, or that would exceed the size limit, are skipped.
+     */
+    async function attachSourceFiles(files) {
+        const skipped = [];
+        for (const file of files) {
+            if (!SOURCE_FILE_PATTERN.test(file.name)) {
+                skipped.push(`${file.name} (not a .txt, .md, or .csv file)`);
+                continue;
             }
-        }
-
-        const modelToApply = settings.defaultModel || '';
-        if (initial && modelToApply) {
-            if (modelToApply === 'custom') {
-                modelIdSelect.value = 'custom';
-                customModelGroup.style.display = 'block';
-                customModelInput.value = settings.defaultCustomModel || '';
+            let text;
+            try {
+                text = await file.text();
+            } catch (err) {
+                skipped.push(`${file.name} (${err.message})`);
+                continue;
+            }
+            const others = attachedSources.filter((doc) => doc.name !== file.name);
+            const used = others.reduce((sum, doc) => sum + doc.text.length, 0);
+            if (used + text.length > CONFIG.SOURCE_MAX_TOTAL_CHARS) {
+                skipped.push(`${file.name} (attachments are limited to ${formatCharCount(CONFIG.SOURCE_MAX_TOTAL_CHARS)} in total)`);
+                continue;
+            }
+            if (!text.trim()) {
+                skipped.push(`${file.name} (empty)`);
+                continue;
+            }
+            const existing = attachedSources.findIndex((doc) => doc.name === file.name);
+            if (existing !== -1) {
+                attachedSources[existing] = { name: file.name, text };
             } else {
-                modelIdSelect.value = modelToApply;
+                attachedSources.push({ name: file.name, text });
             }
         }
-
-        if (initial && settings.defaultIterations) {
-            if ([3, 5, 7].includes(settings.defaultIterations)) {
-                iterationsSelect.value = String(settings.defaultIterations);
-            }
+        renderSourceList();
+        if (skipped.length) {
+            showMessage(errorMessage, `Some files were not attached: ${skipped.join('; ')}.`);
         }
+    }
 
-        if (initial && settings.defaultConstraints) {
-            constraintsInput.value = settings.defaultConstraints;
+    attachSourcesButton.addEventListener('click', () => {
+        if (isRunning) return;
+        sourceFileInput.click();
+    });
+
+    sourceFileInput.addEventListener('change', async () => {
+        const files = Array.from(sourceFileInput.files || []);
+        sourceFileInput.value = '';
+        if (files.length) {
+            hideMessage(errorMessage);
+            await attachSourceFiles(files);
         }
-    }
+    });
 
-    settingsButton.addEventListener('click', openSettings);
-    openSettingsFromForm.addEventListener('click', openSettings);
-    settingsClose.addEventListener('click', closeSettings);
-    settingsBackdrop.addEventListener('click', closeSettings);
+    sourceListEl.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-index]');
+        if (!button || isRunning) return;
+        attachedSources.splice(Number(button.dataset.index), 1);
+        renderSourceList();
+    });
 
-    settingsSave.addEventListener('click', () => {
-        const next = collectSettingsFromForm(currentSettings);
+    function sourceChipsHtml(used, chunksById) {
+        if (!used || !Array.isArray(used.provided)) return '';
+        if (!used.provided.length) {
+            return '<div class="source-usage"><span class="hint">No attached excerpts matched.</span></div>';
+        }
+        const cited = used.cited || [];
+        const chips = used.provided
+            .map((id) => {
+                const chunk = chunksById[id];
+                const title = chunk ? `${chunk.name || chunk.document}, part ${chunk.index}` : id;
+                return `<span class="source-chip${cited.includes(id) ? ' cited' : ''}" title="${escapeHtml(title)}">${escapeHtml(id)}${cited.includes(id) ? ' ✓' : ''}</span>`;
+            })
+            .join('');
+        return `<div class="source-usage"><span class="hint">Source excerpts:</span> ${chips}</div>`;
+    }
 
-        if (next.defaultModel && next.defaultModel === 'custom' && !next.defaultCustomModel.includes('/')) {
-            alert('Custom default model must include provider/model.');
+    function renderSourceExcerpts(results) {
+        const excerpts = summarizeSourceUsage(results);
+        if (!excerpts.length) {
+            sourceExcerptsDiv.innerHTML = '';
             return;
         }
+        sourceExcerptsDiv.innerHTML = `
+            <details class="source-excerpts">
+                <summary>Local source excerpts given to the model (${excerpts.length})</summary>
+                ${excerpts.map((chunk) => `
+                    <div class="revision-entry">
+                        <div class="revision-meta">
+                            <strong>[${escapeHtml(chunk.id)}]</strong> ${escapeHtml(chunk.name || chunk.document)}, part ${escapeHtml(String(chunk.index))}
+                            · ${chunk.cited_in.length ? `cited in ${escapeHtml(chunk.cited_in.join(', '))}` : 'not cited'}
+                        </div>
+                        <div class="raw-text">${escapeHtml(chunk.text)}</div>
+                    </div>
+                `).join('')}
+            </details>
+        `;
+    }
 
-        currentSettings = SettingsManager.save(next);
-        applySettingsToDOM(currentSettings, { initial: false });
+    // ----- Regenerate & re-synthesize -----
 
-        if (currentSettings.apiKey) {
-            apiKeyInput.value = currentSettings.apiKey;
-        }
+    function revisionMetaLine(version) {
+        const when = version.replaced_at ? new Date(version.replaced_at).toLocaleString() : 'unknown time';
+        const models = version.models
+            ? Array.from(new Set(Object.values(version.models).filter(Boolean))).join(', ')
+            : '';
+        return `Replaced ${escapeHtml(when)}${models ? ` · ${escapeHtml(models)}` : ''}`;
+    }
 
-        if (currentSettings.defaultConstraints && !constraintsInput.value) {
-            constraintsInput.value = currentSettings.defaultConstraints;
-        }
+    function perspectiveRevisionsHtml(versions) {
+        if (!versions || !versions.length) return '';
+        const entries = versions
+            .slice()
+            .reverse()
+            .map((version) => `
+                <div class="revision-entry">
+                    <div class="revision-meta">${revisionMetaLine(version)}</div>
+                    ${version.error
+                        ? `<p><strong>Warning:</strong> ${escapeHtml(version.error)}</p>`
+                        : richTextHtml(version.synthesis || version.initial_research || 'No data.')}
+                </div>
+            `)
+            .join('');
+        return `
+            <details class="revision-history">
+                <summary>Previous versions (${versions.length})</summary>
+                ${entries}
+            </details>
+        `;
+    }
 
-        closeSettings();
-    });
+    // ----- Refinement rounds -----
 
-    settingsReset.addEventListener('click', () => {
-        currentSettings = SettingsManager.reset();
-        populateSettingsForm(currentSettings);
-        applySettingsToDOM(currentSettings, { initial: false });
-    });
+    /**
+     * Unified view of a synthesis diff: unchanged stretches longer than
+     * twice the context are collapsed to a "n unchanged lines" marker.
+     */
+    function synthesisDiffHtml(diff, context = 2) {
+        const lineHtml = (line) => {
+            const sign = line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' ';
+            return `<div class="diff-line diff-${line.type}"><span class="diff-sign" aria-hidden="true">${sign}</span>${escapeHtml(line.text) || '&nbsp;'}</div>`;
+        };
+        const parts = [];
+        let run = [];
+        const flush = (atStart, atEnd) => {
+            const keepBefore = atStart ? 0 : context;
+            const keepAfter = atEnd ? 0 : context;
+            if (run.length > keepBefore + keepAfter + 1) {
+                parts.push(...run.slice(0, keepBefore).map(lineHtml));
+                parts.push(`<div class="diff-skip">… ${run.length - keepBefore - keepAfter} unchanged lines …</div>`);
+                parts.push(...run.slice(run.length - keepAfter).map(lineHtml));
+            } else {
+                parts.push(...run.map(lineHtml));
+            }
+            run = [];
+        };
+        diff.forEach((line) => {
+            if (line.type === 'same') {
+                run.push(line);
+                return;
+            }
+            flush(parts.length === 0, false);
+            parts.push(lineHtml(line));
+        });
+        flush(parts.length === 0, true);
+        return `<div class="synthesis-diff">${parts.join('')}</div>`;
+    }
 
-    function toggleSwitchClickHandler(ev) {
-        const target = ev.currentTarget;
-        const on = target.dataset.on === 'true';
-        setToggleEl(target, !on);
+    function refinementQuestionHtml(item) {
+        const model = item.model ? ` <span class="model-attribution">· ${escapeHtml(item.model)}</span>` : '';
+        return `
+            <li>
+                <strong>${escapeHtml(item.question)}</strong>${model}
+                ${item.error
+                    ? `<p class="refinement-error"><strong>Warning:</strong> ${escapeHtml(item.error)}</p>`
+                    : `<details><summary>Findings</summary>${richTextHtml(item.findings || 'No data.')}</details>`}
+            </li>
+        `;
     }
 
-    function toggleSwitchKeyHandler(ev) {
-        if (ev.key === ' ' || ev.key === 'Enter') {
-            ev.preventDefault();
-            const target = ev.currentTarget;
-            const on = target.dataset.on === 'true';
-            setToggleEl(target, !on);
+    function renderRefinementRounds(refinement, synthesis) {
+        if (!hasRefinementRounds(refinement)) {
+            synthesisRefinementDiv.innerHTML = '';
+            return;
         }
+        synthesisRefinementDiv.innerHTML = `
+            <div class="refinement-rounds">
+                <h4 class="refinement-title">Refinement rounds</h4>
+                <p class="refinement-summary">${escapeHtml(describeRefinement(refinement, synthesis))}</p>
+                ${refinementRoundDiffs(refinement).map(({ round, diff, counts }) => `
+                    <details class="refinement-round">
+                        <summary>
+                            Round ${round.round}: ${round.questions.length} sub-question(s) ·
+                            <span class="diff-count-added">+${counts.added}</span>
+                            <span class="diff-count-removed">−${counts.removed}</span> lines${round.model ? ` · ${escapeHtml(round.model)}` : ''}
+                        </summary>
+                        <ol class="refinement-questions">${round.questions.map(refinementQuestionHtml).join('')}</ol>
+                        <h5 class="refinement-diff-title">Changes to the synthesis</h5>
+                        ${counts.added || counts.removed ? synthesisDiffHtml(diff) : '<p><em>No changes.</em></p>'}
+                    </details>
+                `).join('')}
+            </div>
+        `;
     }
 
-    [toggleDarkTheme, toggleCompact, toggleReducedMotion].forEach((el) => {
-        el.addEventListener('click', toggleSwitchClickHandler);
-        el.addEventListener('keydown', toggleSwitchKeyHandler);
-    });
+    // ----- Claims matrix -----
+
+    const CLAIM_STANCE_TITLES = {
+        supports: 'supports',
+        contradicts: 'contradicts',
+        mixed: 'both supports and contradicts'
+    };
+    // Filter, sort and expanded rows survive re-rendering the same matrix
+    const claimsView = { matrix: null, filter: 'all', sort: 'status', open: new Set() };
+
+    function claimStanceCellHtml(cluster, title) {
+        const stance = cluster.stances[title];
+        if (!stance) return '<td class="claim-stance"></td>';
+        return `<td class="claim-stance stance-${stance}" title="${escapeHtml(`${title} ${CLAIM_STANCE_TITLES[stance]} this claim`)}">` +
+            `${CLAIM_STANCE_MARKS[stance]}</td>`;
+    }
 
-    // Theme quick toggle
-    themeToggleButton.addEventListener('click', () => {
-        const isDark = document.body.classList.contains('theme-dark');
-        const nextTheme = isDark ? 'light' : 'dark';
-        setBodyTheme(nextTheme);
-        themeToggleLabel.textContent = nextTheme === 'dark' ? 'Dark' : 'Light';
+    function claimClusterRowsHtml(cluster, matrix) {
+        const open = claimsView.open.has(cluster.id);
+        const claimsById = new Map(matrix.claims.map((claim) => [claim.id, claim]));
+        const row = `
+            <tr class="claims-row" data-cluster="${escapeHtml(cluster.id)}" tabindex="0" aria-expanded="${open}">
+                <td>${escapeHtml(cluster.id)}</td>
+                <td>${escapeHtml(cluster.statement)}</td>
+                ${matrix.perspectives.map((title) => claimStanceCellHtml(cluster, title)).join('')}
+                <td><span class="claim-status status-${cluster.status}">${escapeHtml(CLAIM_STATUS_LABELS[cluster.status])}</span></td>
+                <td><span class="claim-confidence confidence-${cluster.confidence}">${escapeHtml(CLAIM_CONFIDENCE_LABELS[cluster.confidence])}</span></td>
+            </tr>`;
+        if (!open) return row;
+        return `${row}
+            <tr class="claims-detail">
+                <td colspan="${matrix.perspectives.length + 4}">
+                    <ul>${cluster.members.map((member) => {
+                        const claim = claimsById.get(member.claim) || { perspective: '', text: '' };
+                        return `<li>
+                            <span class="claim-stance stance-${member.stance}">${CLAIM_STANCE_MARKS[member.stance]}</span>
+                            <strong>${escapeHtml(claim.perspective)}</strong> (${escapeHtml(member.claim)}): ${escapeHtml(claim.text)}
+                        </li>`;
+                    }).join('')}</ul>
+                </td>
+            </tr>`;
+    }
 
-        currentSettings = SettingsManager.save({
-            ...currentSettings,
-            theme: nextTheme
-        });
-        setToggleEl(toggleDarkTheme, nextTheme === 'dark');
-    });
+    function drawClaimsTable() {
+        const matrix = claimsView.matrix;
+        const wrap = claimsMatrixDiv.querySelector('.claims-table-wrap');
+        if (!matrix || !wrap) return;
+        const clusters = sortClaimClusters(matrix.clusters, claimsView.sort)
+            .filter((cluster) => claimsView.filter === 'all' || cluster.status === claimsView.filter);
+        wrap.innerHTML = clusters.length
+            ? `<table class="usage-table claims-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Claim</th>
+                        ${matrix.perspectives.map((title, i) => `<th class="claim-stance" title="${escapeHtml(title)}">P${i + 1}</th>`).join('')}
+                        <th>Status</th>
+                        <th>Confidence</th>
+                    </tr>
+                </thead>
+                <tbody>${clusters.map((cluster) => claimClusterRowsHtml(cluster, matrix)).join('')}</tbody>
+            </table>`
+            : '<p><em>No claims match this filter.</em></p>';
+    }
 
-    // Docs button: scroll to workflow section
-    docsButton.addEventListener('click', () => {
-        const sidePanels = document.querySelectorAll('.side-card');
-        if (sidePanels.length > 0) {
-            scrollIntoView(sidePanels[0]);
+    function renderClaimsMatrix(matrix) {
+        if (!matrix) {
+            claimsView.matrix = null;
+            claimsMatrixDiv.innerHTML = '';
+            claimsSection.style.display = 'none';
+            return;
         }
-    });
+        if (claimsView.matrix !== matrix) {
+            claimsView.open = new Set();
+        }
+        claimsView.matrix = matrix;
+        claimsSection.style.display = '';
+        const errors = Object.keys(matrix.errors || {});
+        const models = matrix.models || {};
+        const counts = countClaimClusters(matrix);
+        claimsMatrixDiv.innerHTML = `
+            <p class="hint">
+                ${escapeHtml(describeClaimMatrix(matrix))}.
+                ${models.clustering ? `Clustered by ${escapeHtml(models.clustering)}.` : ''}
+                Select a row to see the claims behind it.
+            </p>
+            ${errors.length
+                ? `<p class="hint">No claims could be extracted from: ${escapeHtml(errors.join(', '))}.</p>`
+                : ''}
+            ${hasClaimMatrix(matrix)
+                ? `<div class="claims-controls">
+                    <select data-claims-control="filter" aria-label="Show claims">
+                        <option value="all">All claims (${matrix.clusters.length})</option>
+                        ${Object.entries(CLAIM_STATUS_LABELS)
+                            .map(([status, label]) => `<option value="${status}">${escapeHtml(label)} (${counts[status]})</option>`)
+                            .join('')}
+                    </select>
+                    <select data-claims-control="sort" aria-label="Sort claims">
+                        ${Object.entries(CLAIM_SORT_ORDERS)
+                            .map(([order, label]) => `<option value="${order}">${escapeHtml(label)}</option>`)
+                            .join('')}
+                    </select>
+                </div>
+                <div class="claims-table-wrap"></div>
+                <ol class="claims-legend">
+                    ${matrix.perspectives.map((title, i) => `<li><strong>P${i + 1}</strong> ${escapeHtml(title)}</li>`).join('')}
+                </ol>
+                <p class="hint">✓ supports · ✗ contradicts · ± both, in different claims</p>`
+                : '<p><em>No claims could be extracted.</em></p>'}
+        `;
+        claimsMatrixDiv.querySelectorAll('[data-claims-control]').forEach((select) => {
+            select.value = claimsView[select.dataset.claimsControl];
+        });
+        drawClaimsTable();
+    }
 
-    // Model selection: show/hide custom field
-    modelIdSelect.addEventListener('change', () => {
-        if (modelIdSelect.value === 'custom') {
-            customModelGroup.style.display = 'block';
-            customModelInput.setAttribute('aria-hidden', 'false');
+    function toggleClaimRow(row) {
+        const id = row.dataset.cluster;
+        if (claimsView.open.has(id)) {
+            claimsView.open.delete(id);
         } else {
-            customModelGroup.style.display = 'none';
-            customModelInput.setAttribute('aria-hidden', 'true');
+            claimsView.open.add(id);
         }
+        drawClaimsTable();
+        const again = claimsMatrixDiv.querySelector(`.claims-row[data-cluster="${id}"]`);
+        if (again) again.focus();
+    }
+
+    claimsMatrixDiv.addEventListener('change', (ev) => {
+        const control = ev.target.dataset && ev.target.dataset.claimsControl;
+        if (!control) return;
+        claimsView[control] = ev.target.value;
+        drawClaimsTable();
     });
 
-    // Form submission handler
-    form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        if (isRunning) return;
+    claimsMatrixDiv.addEventListener('click', (ev) => {
+        const row = ev.target.closest('.claims-row');
+        if (row) toggleClaimRow(row);
+    });
 
-        hideMessage(errorMessage);
-        hideMessage(successMessage);
-        clearResults();
+    claimsMatrixDiv.addEventListener('keydown', (ev) => {
+        const row = ev.target.closest('.claims-row');
+        if (row && (ev.key === 'Enter' || ev.key === ' ')) {
+            ev.preventDefault();
+            toggleClaimRow(row);
+        }
+    });
 
-        const apiKey = sanitizeText(apiKeyInput.value || currentSettings.apiKey || '');
-        const topicRaw = topicInput.value || '';
-        const topic = sanitizeText(topicRaw);
+    // ----- Red-team review -----
+
+    function contestedClaimRowHtml(item, i) {
+        return `
+            <tr>
+                <td>${i + 1}</td>
+                <td>
+                    ${escapeHtml(item.claim)}
+                    ${item.perspectives.length
+                        ? `<div class="claim-perspectives">Perspectives: ${escapeHtml(item.perspectives.join(', '))}</div>`
+                        : ''}
+                </td>
+                <td><span class="claim-kind">${escapeHtml(CONTESTED_CLAIM_KINDS[item.kind])}</span></td>
+                <td>${escapeHtml(item.challenge)}</td>
+                <td><span class="claim-severity severity-${escapeHtml(item.severity)}">${escapeHtml(item.severity)}</span></td>
+            </tr>`;
+    }
 
-        let modelId = modelIdSelect.value;
-        if (modelId === 'custom') {
-            modelId = sanitizeText(customModelInput.value);
-        } else if (!modelId && currentSettings.defaultModel) {
-            modelId = currentSettings.defaultModel === 'custom'
-                ? (currentSettings.defaultCustomModel || '')
-                : currentSettings.defaultModel;
+    function renderRedTeamReview(review, synthesis) {
+        if (!review) {
+            redTeamReviewDiv.innerHTML = '';
+            redTeamSection.style.display = 'none';
+            return;
         }
+        redTeamSection.style.display = '';
+        const claims = review.contested_claims || [];
+        const models = review.models || {};
+        const stale = review.original_synthesis !== synthesis
+            ? '<p class="hint">This review attacked an earlier synthesis; the synthesis above was re-generated since.</p>'
+            : '';
+        const diff = typeof review.synthesis === 'string' ? diffLines(review.original_synthesis, review.synthesis) : null;
+        const counts = diff ? countDiffLines(diff) : null;
+        redTeamReviewDiv.innerHTML = `
+            ${stale}
+            <p class="hint">
+                ${escapeHtml(claims.length ? describeContestedClaims(claims) : 'No contested claims could be read from the critique')}.
+                ${models.critique ? `Critique by ${escapeHtml(models.critique)}.` : ''}
+            </p>
+            ${claims.length
+                ? `<table class="usage-table red-team-table">
+                    <thead>
+                        <tr><th>#</th><th>Contested claim</th><th>Kind</th><th>Challenge</th><th>Severity</th></tr>
+                    </thead>
+                    <tbody>${claims.map(contestedClaimRowHtml).join('')}</tbody>
+                </table>`
+                : review.critique ? richTextHtml(review.critique) : ''}
+            ${typeof review.synthesis === 'string'
+                ? `<div class="red-team-revision">
+                    <h4 class="refinement-title">Revised synthesis${models.revision ? ` <span class="model-attribution">· ${escapeHtml(models.revision)}</span>` : ''}</h4>
+                    ${richTextHtml(review.synthesis)}
+                    ${counts.added || counts.removed
+                        ? `<details class="refinement-round">
+                            <summary>Changes from the synthesis: <span class="diff-count-added">+${counts.added}</span> <span class="diff-count-removed">−${counts.removed}</span> lines</summary>
+                            ${synthesisDiffHtml(diff)}
+                        </details>`
+                        : ''}
+                </div>`
+                : review.revision_error
+                    ? `<p class="refinement-error"><strong>Warning:</strong> The revision failed (${escapeHtml(review.revision_error)}); the synthesis above is unrevised.</p>`
+                    : ''}
+        `;
+    }
 
-        const depth = depthSelect.value || 'extreme';
+    // ----- Model comparison -----
+
+    function comparisonColumnHtml(label, research) {
+        const r = research || {};
+        const steps = PERSPECTIVE_STEPS.map((step) => `
+            <div class="model-compare-step" data-step="${step}" ${step === 'synthesis' ? '' : 'hidden'}>
+                ${r.error
+                    ? `<p class="model-compare-error"><strong>Warning:</strong> ${escapeHtml(r.error)}</p>`
+                    : richTextHtml(r[step] || 'No data.')}
+            </div>
+        `).join('');
+        return `
+            <div class="model-compare-column">
+                <div class="model-compare-model">${label}</div>
+                ${steps}
+            </div>
+        `;
+    }
 
-        let iterations = parseInt(iterationsSelect.value, 10);
-        if (!iterations && currentSettings.defaultIterations) {
-            iterations = currentSettings.defaultIterations;
+    /**
+     * Side-by-side view of the run's own output for a perspective and
+     * each panel model's, switchable between the four steps.
+     */
+    function modelComparisonHtml(research, comparisons) {
+        if (!comparisons || !comparisons.length) return '';
+        const ownModels = Array.from(new Set(Object.values((research && research.models) || {}).filter(Boolean)));
+        const ownLabel = `${escapeHtml(ownModels.join(' + ') || 'Run model')} <span class="model-compare-tag">assigned</span>`;
+        const columns = [comparisonColumnHtml(ownLabel, research)]
+            .concat(comparisons.map((entry) => comparisonColumnHtml(escapeHtml(entry.model), entry)));
+        const stepOptions = PERSPECTIVE_STEPS
+            .map((step) => `<option value="${step}" ${step === 'synthesis' ? 'selected' : ''}>${escapeHtml(PERSPECTIVE_STEP_TITLES[step])}</option>`)
+            .join('');
+        return `
+            <details class="model-compare">
+                <summary>Compare models (${columns.length})</summary>
+                <label class="model-compare-controls">
+                    Step
+                    <select data-action="compare-step">${stepOptions}</select>
+                </label>
+                <div class="model-compare-grid" style="--compare-columns:${columns.length};">
+                    ${columns.join('')}
+                </div>
+            </details>
+        `;
+    }
+
+    function renderSynthesisRevisions(versions) {
+        if (!versions || !versions.length) {
+            synthesisRevisionsDiv.innerHTML = '';
+            return;
         }
-        iterations = iterations || 3;
+        synthesisRevisionsDiv.innerHTML = `
+            <details class="revision-history">
+                <summary>Previous syntheses (${versions.length})</summary>
+                ${versions
+                    .slice()
+                    .reverse()
+                    .map((version) => `
+                        <div class="revision-entry">
+                            <div class="revision-meta">${revisionMetaLine(version)}</div>
+                            ${richTextHtml(version.synthesis)}
+                        </div>
+                    `)
+                    .join('')}
+            </details>
+        `;
+    }
 
-        const constraints = sanitizeText(constraintsInput.value || currentSettings.defaultConstraints || '');
+    /**
+     * Researcher for work on an already-finished run (regenerate,
+     * re-synthesize, follow-up), configured from the current settings and
+     * the run's own constraints and template set.
+     */
+    function createFollowOnResearcher(apiKey, model, meta, hooks = {}) {
+        const templateSet = findTemplateSet(currentSettings.promptTemplateSets, meta.templateSet);
+        return new AdvancedResearcher(apiKey, model, meta.constraints || '', {
+            onLog: (entry) => appendLogEntry(entry),
+            onStreamStart: (label) => startLiveStream(label),
+            onToken: (label, delta) => appendLiveToken(label, delta),
+            onUsage: (usage) => updateUsageMeter(usage),
+            ...hooks
+        }, {
+            provider: currentSettings.provider,
+            baseUrl: currentSettings.providerBaseUrl,
+            stream: currentSettings.streaming !== false,
+            retry: {
+                maxAttempts: currentSettings.retryMaxAttempts,
+                baseDelayMs: currentSettings.retryBaseDelayMs
+            },
+            fallbackModels: currentSettings.fallbackModels || [],
+            priceTable: currentSettings.priceTable || CONFIG.MODEL_PRICES,
+            contextTable: currentSettings.contextTable || CONFIG.MODEL_CONTEXT_TOKENS,
+            templateSet: templateSet ? templateSet.name : '',
+            promptTemplates: templateSet ? templateSet.templates : {}
+        });
+    }
 
-        const validationError = validateInputs({ apiKey, modelId, topic, iterations });
-        if (validationError) {
-            showMessage(errorMessage, validationError);
+    /**
+     * Runs a single regenerate/re-synthesize call against the displayed
+     * result, using the model and depth from the revision options (or the
+     * run's own), then re-renders and updates the history entry.
+     */
+    async function runRevision(description, invoke) {
+        if (isRunning || !currentResults) return;
+
+        const apiKey = sanitizeText(apiKeyInput.value || currentSettings.apiKey || '');
+        const setupError = checkProviderSetup(currentSettings.provider, apiKey, 'regenerate results');
+        if (setupError) {
+            showMessage(errorMessage, setupError);
+            return;
+        }
+        const meta = currentRunMeta || {};
+        // Left blank, panel runs regenerate with each perspective's panel model
+        const chosenModel = sanitizeText(revisionModelInput.value);
+        const model = chosenModel || meta.model || '';
+        if (!getProvider(currentSettings.provider).isModelId(model)) {
+            showMessage(errorMessage, `Choose a ${getProviderLabel(currentSettings.provider)} model ID to regenerate with.`);
             return;
         }
+        const depth = revisionDepthSelect.value || meta.depth || 'extreme';
 
+        hideMessage(errorMessage);
+        hideMessage(successMessage);
         isRunning = true;
-        startButton.disabled = true;
-        startButton.innerHTML = '<span class="icon" aria-hidden="true">🔄</span><span>Running research...</span>';
-
         lockRunInputs(true);
+        setRevisionControlsDisabled(true);
         progressContainer.style.display = 'block';
-        updateProgressBar(2);
-        updateProgressText('Starting research workflow...');
-        updatePhaseLabel('Initializing workflow');
-        resultsContainer.style.display = 'none';
-        researchLogDiv.textContent = '';
-        updateLiveStatus('Research started.');
+        updateProgressBar(0);
+        updatePhaseLabel(description);
+        updateProgressText(`${description}...`);
+        perspectiveProgressList.innerHTML = '';
+        usageMeter.textContent = '';
+        liveStreamTargets = new Map();
+        livePerspectiveSections = new Map();
+
+        const previousResults = currentResults;
+        currentResearcher = createFollowOnResearcher(apiKey, model, meta, {
+            onProgressText: (text) => updateProgressText(text)
+        });
 
-        currentResearcher = new AdvancedResearcher(apiKey, modelId, constraints, {
-            onLog: (entry) => appendLogEntry(entry),
-            onProgressText: (text) => updateProgressText(text),
-            onPhaseProgress: (phaseIndex, totalPhases) => {
-                const ratio = Math.max(0, Math.min(1, phaseIndex / totalPhases));
-                updateProgressBar(Math.round(ratio * 100));
-            },
-            onPhaseLabel: (label) => {
-                updatePhaseLabel(label);
+        try {
+            const updated = await invoke(currentResearcher, previousResults, depth, chosenModel || null);
+            updateProgressBar(100);
+            renderResults(updated, meta);
+            const usedModels = currentResearcher.getUsage().calls.map((call) => call.model)
+                .filter((usedModel, i, list) => list.indexOf(usedModel) === i);
+            showMessage(
+                successMessage,
+                `${description} finished with ${usedModels.join(', ') || model}. The previous version is kept below it.`
+            );
+            updateLiveStatus(`${description} finished.`);
+            saveRunToHistory(updated, meta);
+        } catch (err) {
+            renderResults(previousResults, meta);
+            if (err instanceof ResearchCancelledError) {
+                showMessage(errorMessage, `${description} stopped. The previous version is unchanged.`);
+            } else {
+                console.error('[Advanced Research Tool]', err);
+                showMessage(errorMessage, `${description} failed: ${err.message}`);
+            }
+            updateLiveStatus(`${description} did not complete.`);
+        } finally {
+            isRunning = false;
+            if (currentResearcher) {
+                currentResearcher.cancel();
             }
+            lockRunInputs(false);
+            setRevisionControlsDisabled(false);
+            updatePhaseLabel('Idle');
+            updateResumeButton();
+        }
+    }
+
+    function setRevisionControlsDisabled(disabled) {
+        const deep = (currentResults && currentResults.deep_research) || {};
+        resynthesizeButton.disabled = disabled || Object.keys(deep).length === 0;
+        revisionModelInput.readOnly = disabled;
+        revisionDepthSelect.disabled = disabled;
+        deepResearchDiv.querySelectorAll('button[data-action="regenerate"]').forEach((button) => {
+            button.disabled = disabled;
+        });
+    }
+
+    deepResearchDiv.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="regenerate"]');
+        if (!button) return;
+        const title = button.dataset.title;
+        runRevision(
+            `Regenerating "${truncateForLog(title, 60)}"`,
+            (researcher, results, depth, model) => researcher.regeneratePerspective(results, title, depth, { model })
+        );
+    });
+
+    deepResearchDiv.addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-action="compare-step"]');
+        if (!select) return;
+        const view = select.closest('.model-compare');
+        view.querySelectorAll('.model-compare-step').forEach((el) => {
+            el.hidden = el.dataset.step !== select.value;
         });
+    });
+
+    resynthesizeButton.addEventListener('click', () => {
+        runRevision('Re-synthesizing', (researcher, results) => researcher.resynthesize(results));
+    });
+
+    // ----- Follow-up chat -----
+
+    function chatMessageHtml(turn) {
+        if (turn.role === 'user') {
+            return `<div class="chat-message chat-user">${escapeHtml(turn.content)}</div>`;
+        }
+        const when = turn.at ? new Date(turn.at).toLocaleString() : '';
+        const meta = [turn.model, when].filter(Boolean).map(escapeHtml).join(' · ');
+        return `
+            <div class="chat-message chat-assistant">
+                ${meta ? `<div class="chat-meta">${meta}</div>` : ''}
+                ${richTextHtml(turn.content || '')}
+            </div>
+        `;
+    }
+
+    function renderChatThread(conversation) {
+        const turns = Array.isArray(conversation) ? conversation : [];
+        chatThread.innerHTML = turns.length
+            ? turns.map(chatMessageHtml).join('')
+            : '<p class="hint">No follow-up questions yet.</p>';
+    }
+
+    function setChatDisabled(disabled) {
+        chatInput.readOnly = disabled;
+        chatAskButton.disabled = disabled || !currentResults;
+    }
+
+    /**
+     * Sends a follow-up question to the run's model, streaming the answer
+     * into a pending bubble, then re-renders and saves the conversation
+     * with the run's history entry.
+     */
+    async function askFollowUpQuestion() {
+        if (isRunning || !currentResults) return;
+        const question = chatInput.value.trim();
+        if (!question) return;
+
+        const apiKey = sanitizeText(apiKeyInput.value || currentSettings.apiKey || '');
+        const setupError = checkProviderSetup(currentSettings.provider, apiKey, 'ask follow-up questions');
+        if (setupError) {
+            showMessage(errorMessage, setupError);
+            return;
+        }
+        const meta = currentRunMeta || {};
+        const model = meta.model || '';
+        if (!getProvider(currentSettings.provider).isModelId(model)) {
+            showMessage(errorMessage, 'This run has no recorded model to answer follow-up questions with.');
+            return;
+        }
 
+        hideMessage(errorMessage);
+        isRunning = true;
+        lockRunInputs(true);
+        setRevisionControlsDisabled(true);
+        setChatDisabled(true);
+
+        const previousResults = currentResults;
+        const emptyHint = chatThread.querySelector('.hint');
+        if (emptyHint) emptyHint.remove();
+        chatThread.insertAdjacentHTML('beforeend', chatMessageHtml({ role: 'user', content: question }));
+        const pending = document.createElement('div');
+        pending.className = 'chat-message chat-assistant chat-pending';
+        pending.textContent = 'Thinking...';
+        chatThread.appendChild(pending);
+        liveStreamTargets = new Map([['Follow-up', pending]]);
+
+        currentResearcher = createFollowOnResearcher(apiKey, model, meta);
         try {
-            const results = await currentResearcher.conductResearch(topic, depth, iterations);
-            renderResults(results);
-            showMessage(successMessage, 'Research completed successfully.');
-            updateLiveStatus('Research completed successfully.');
-            scrollIntoView(resultsContainer);
+            const updated = await currentResearcher.askFollowUp(previousResults, question);
+            chatInput.value = '';
+            renderResults(updated, meta);
+            updateLiveStatus('Follow-up answer received.');
+            saveRunToHistory(updated, meta);
         } catch (err) {
-            const msg = `Research failed: ${err.message}`;
-            console.error('[Advanced Research Tool]', err);
-            showMessage(errorMessage, msg);
-            updateLiveStatus('Research failed.');
+            renderChatThread(previousResults.conversation);
+            if (err instanceof ResearchCancelledError) {
+                showMessage(errorMessage, 'Follow-up question stopped.');
+            } else {
+                console.error('[Advanced Research Tool]', err);
+                showMessage(errorMessage, `Follow-up question failed: ${err.message}`);
+            }
         } finally {
             isRunning = false;
             if (currentResearcher) {
                 currentResearcher.cancel();
             }
-            startButton.disabled = false;
-            startButton.innerHTML = '<span class="icon" aria-hidden="true">🚀</span><span>Run Advanced Research</span>';
+            liveStreamTargets = new Map();
             lockRunInputs(false);
+            setRevisionControlsDisabled(false);
+            setChatDisabled(false);
+            updateResumeButton();
         }
+    }
+
+    chatForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        askFollowUpQuestion();
     });
 
-    function lockRunInputs(lock) {
-        apiKeyInput.readOnly = lock;
-        modelIdSelect.disabled = lock;
-        customModelInput.readOnly = lock;
-        topicInput.readOnly = lock;
-        depthSelect.disabled = lock;
-        iterationsSelect.disabled = lock;
-        constraintsInput.readOnly = lock;
-        openSettingsFromForm.disabled = lock;
-        settingsButton.disabled = lock;
+    chatInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            askFollowUpQuestion();
+        }
+    });
+
+    // ----- Perspective review -----
+
+    let reviewItems = [];
+    let pendingReview = null;
+
+    /**
+     * onReviewPerspectives hook: shows the editable list and resolves with
+     * the included perspectives once the user continues. The first
+     * `iterations` perspectives start out included.
+     */
+    function openPerspectiveReview(perspectives, { iterations }) {
+        reviewItems = perspectives.map((p, i) => ({
+            title: p.title,
+            rationale: p.rationale,
+            methods: p.methods.join(', '),
+            include: i < iterations
+        }));
+        renderPerspectiveReview();
+        perspectiveReview.hidden = false;
+        updateProgressText('Waiting for your review of the perspectives...');
+        updateLiveStatus('Perspectives ready for review.');
+        scrollIntoView(perspectiveReview);
+
+        return new Promise((resolve) => {
+            pendingReview = { resolve };
+        });
     }
 
-    // ----- Export dropdown behavior -----
+    function closePerspectiveReview() {
+        perspectiveReview.hidden = true;
+        perspectiveReviewList.innerHTML = '';
+        reviewItems = [];
+        pendingReview = null;
+    }
 
-    function closeExportMenu() {
-        exportMenu.classList.remove('open');
-        exportToggle.setAttribute('aria-expanded', 'false');
+    function updateReviewSummary() {
+        const included = reviewItems.filter((item) => item.include).length;
+        perspectiveReviewContinueLabel.textContent =
+            `Continue with ${included} perspective${included === 1 ? '' : 's'}`;
+        perspectiveReviewContinue.disabled = included === 0;
+        perspectiveReviewHint.textContent =
+            'Reorder, edit, exclude, or add perspectives. Each included perspective costs four deep-research calls.';
     }
 
-    exportToggle.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const isOpen = exportMenu.classList.contains('open');
-        if (isOpen) {
-            closeExportMenu();
+    function renderPerspectiveReview() {
+        perspectiveReviewList.innerHTML = reviewItems.map((item, i) => `
+            <li class="perspective-review-item${item.include ? '' : ' excluded'}" data-index="${i}">
+                <input type="checkbox" data-field="include" ${item.include ? 'checked' : ''} aria-label="Include perspective ${i + 1}">
+                <div class="perspective-review-fields">
+                    <input type="text" data-field="title" value="${escapeHtml(item.title)}" placeholder="Title" aria-label="Title of perspective ${i + 1}">
+                    <textarea data-field="rationale" rows="2" placeholder="Rationale (optional)" aria-label="Rationale of perspective ${i + 1}">${escapeHtml(item.rationale)}</textarea>
+                    <input type="text" data-field="methods" value="${escapeHtml(item.methods)}" placeholder="Methods, comma-separated (optional)" aria-label="Methods of perspective ${i + 1}">
+                </div>
+                <div class="perspective-review-actions">
+                    <button type="button" data-action="up" ${i === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                    <button type="button" data-action="down" ${i === reviewItems.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                    <button type="button" data-action="delete" aria-label="Delete perspective">✕</button>
+                </div>
+            </li>
+        `).join('');
+        updateReviewSummary();
+    }
+
+    perspectiveReviewList.addEventListener('input', (e) => {
+        const field = e.target.dataset.field;
+        const row = e.target.closest('.perspective-review-item');
+        if (!field || !row) return;
+        const item = reviewItems[Number(row.dataset.index)];
+        if (field === 'include') {
+            item.include = e.target.checked;
+            row.classList.toggle('excluded', !item.include);
+            updateReviewSummary();
         } else {
-            exportMenu.classList.add('open');
-            exportToggle.setAttribute('aria-expanded', 'true');
-            const firstItem = exportMenu.querySelector('button');
-            if (firstItem) firstItem.focus();
+            item[field] = e.target.value;
         }
     });
 
-    // Close on outside click
-    document.addEventListener('click', (e) => {
-        if (!exportMenu.classList.contains('open')) return;
-        if (!exportMenu.contains(e.target) && e.target !== exportToggle) {
-            closeExportMenu();
+    perspectiveReviewList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const row = button && button.closest('.perspective-review-item');
+        if (!row) return;
+        const index = Number(row.dataset.index);
+        const action = button.dataset.action;
+        if (action === 'delete') {
+            reviewItems.splice(index, 1);
+        } else {
+            const target = action === 'up' ? index - 1 : index + 1;
+            if (target < 0 || target >= reviewItems.length) return;
+            [reviewItems[index], reviewItems[target]] = [reviewItems[target], reviewItems[index]];
         }
+        renderPerspectiveReview();
     });
 
-    // Close on Escape
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && exportMenu.classList.contains('open')) {
-            e.stopPropagation();
-            closeExportMenu();
-            exportToggle.focus();
-        }
+    perspectiveReviewAdd.addEventListener('click', () => {
+        reviewItems.push({ title: '', rationale: '', methods: '', include: true });
+        renderPerspectiveReview();
+        const inputs = perspectiveReviewList.querySelectorAll('input[data-field="title"]');
+        if (inputs.length) inputs[inputs.length - 1].focus();
     });
 
-    // TXT export
-    exportTxtBtn.addEventListener('click', () => {
-        const visibleResultsText = collectResultsAsText();
-        if (!visibleResultsText.trim()) {
-            showMessage(errorMessage, 'No results available to export yet.');
-            closeExportMenu();
+    perspectiveReviewContinue.addEventListener('click', () => {
+        if (!pendingReview) return;
+        const included = reviewItems.filter((item) => item.include);
+        if (included.some((item) => !item.title.trim())) {
+            alert('Every included perspective needs a title.');
             return;
         }
-        const blob = new Blob([visibleResultsText], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `research_results_${new Date().toISOString().slice(0, 10)}.txt`;
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        URL.revokeObjectURL(url);
-        closeExportMenu();
-    });
-
-    // PDF export via print view
-    exportPdfBtn.addEventListener('click', () => {
-        const textContent = collectResultsAsText();
-        if (!textContent.trim()) {
-            showMessage(errorMessage, 'No results available to export yet.');
-            closeExportMenu();
+        const titles = included.map((item) => item.title.trim().toLowerCase());
+        if (new Set(titles).size !== titles.length) {
+            alert('Included perspectives must have distinct titles.');
             return;
         }
+        const { resolve } = pendingReview;
+        const selected = included.map((item) => ({
+            title: item.title,
+            rationale: item.rationale,
+            methods: item.methods.split(',').map((m) => m.trim()).filter(Boolean)
+        }));
+        closePerspectiveReview();
+        updateLiveStatus('Perspectives confirmed; continuing with deep research.');
+        resolve(selected);
+    });
 
-        const printWindow = window.open('', '_blank');
-        if (!printWindow) {
-            showMessage(errorMessage, 'Popup blocked. Allow popups to export as PDF.');
-            closeExportMenu();
+    function renderUsageSummary(usage) {
+        if (!usage || !usage.totals || !usage.totals.calls) {
+            usageSummaryDiv.innerHTML = '<em>No usage recorded for this run.</em>';
             return;
         }
-
-        const topicTitle = (document.getElementById('topic').value || '').trim() || 'Advanced Research Report';
-        const now = new Date();
-        const formattedDate = now.toLocaleString();
-
-        const safeTopicAnalysis = escapeHtml((topicAnalysisDiv.textContent || '').trim());
-        const safePerspectives = escapeHtml((perspectivesDiv.textContent || '').trim());
-        const safeDeep = escapeHtml((deepResearchDiv.textContent || '').trim());
-        const safeSynthesis = escapeHtml((synthesisDiv.textContent || '').trim());
-        const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>${escapeHtml(topicTitle)} - Research Report</title>
-    <style>
-        body {
-            margin: 0;
-            padding: 24px;
-            font-family: system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
-            color: #111827;
-            line-height: 1.6;
-            background: #ffffff;
-        }
-        h1 {
-            font-size: 20px;
-            margin: 0 0 8px;
-        }
-        .meta {
-            font-size: 10px;
-            color: #6b7280;
-            margin-bottom: 16px;
-        }
-        h2 {
-            font-size: 14px;
-            margin: 16px 0 6px;
-            border-bottom: 1px solid #e5e7eb;
-            padding-bottom: 2px;
-        }
-        h3 {
-            font-size: 12px;
-            margin: 10px 0 4px;
-        }
-        p,
-        li,
-        pre {
-            font-size: 10px;
-        }
-        ul {
-            padding-left: 16px;
-            margin: 4px 0 8px;
+        const row = (name, bucket) => `
+            <tr>
+                <td>${escapeHtml(name)}</td>
+                <td>${bucket.calls}</td>
+                <td>${bucket.prompt_tokens.toLocaleString()}</td>
+                <td>${bucket.completion_tokens.toLocaleString()}</td>
+                <td>${formatUsd(bucket.cost)}</td>
+            </tr>`;
+        const phases = Object.entries(usage.by_phase || {}).map(([name, bucket]) => row(name, bucket)).join('');
+        const notes = [];
+        if (usage.totals.unpriced_calls) {
+            notes.push(`${usage.totals.unpriced_calls} call(s) used a model without a price entry and are not included in the cost.`);
         }
-        pre {
-            white-space: pre-wrap;
-            background: #f9fafb;
-            padding: 6px;
-            border-radius: 4px;
-            border: 1px solid #e5e7eb;
+        if ((usage.calls || []).some((call) => call.estimated)) {
+            notes.push('Some token counts are estimated because the provider did not report usage.');
         }
-        .section {
-            margin-bottom: 12px;
+        if (usage.budget_usd) {
+            notes.push(`Budget cap: ${formatUsd(usage.budget_usd)}.`);
         }
-    </style>
-</head>
-<body class="print-report-root">
-    <h1>Advanced Research Report</h1>
-    <div class="meta">
-        <div><strong>Topic:</strong> ${escapeHtml(topicTitle)}</div>
-        <div><strong>Generated:</strong> ${escapeHtml(formattedDate)}</div>
-    </div>
-
-    ${safeTopicAnalysis ? `
-    <div class="section">
-        <h2>1. Topic Analysis</h2>
-        <pre>${safeTopicAnalysis}</pre>
-    </div>` : ''}
-
-    ${safePerspectives ? `
-    <div class="section">
-        <h2>2. Research Perspectives</h2>
-        <pre>${safePerspectives}</pre>
-    </div>` : ''}
-
-    ${safeDeep ? `
-    <div class="section">
-        <h2>3. Deep Research Findings</h2>
-        <pre>${safeDeep}</pre>
-    </div>` : ''}
-
-    ${safeSynthesis ? `
-    <div class="section">
-        <h2>4. Synthesis & Conclusions</h2>
-        <pre>${safeSynthesis}</pre>
-    </div>` : ''}
-
-</body>
-</html>
+        usageSummaryDiv.innerHTML = `
+            <table class="usage-table">
+                <thead>
+                    <tr><th>Phase</th><th>Calls</th><th>Prompt tokens</th><th>Completion tokens</th><th>Est. cost</th></tr>
+                </thead>
+                <tbody>${phases}</tbody>
+                <tfoot>${row('Total', usage.totals)}</tfoot>
+            </table>
+            ${notes.map((note) => `<p class="hint">${escapeHtml(note)}</p>`).join('')}
         `;
-
-        printWindow.document.write(html);
-        printWindow.document.close();
-        printWindow.focus();
-
-        printWindow.addEventListener('load', () => {
-            printWindow.print();
-        });
-
-        closeExportMenu();
-    });
-
-    function appendLogEntry(entry) {
-        const logLine = document.createElement('div');
-        logLine.className = 'log-entry';
-        logLine.textContent = entry;
-        researchLogDiv.appendChild(logLine);
-        researchLogDiv.scrollTop = researchLogDiv.scrollHeight;
     }
 
-    function updateProgressBar(percent) {
-        progressFill.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+    function renderCitationReport(report) {
+        if (!report.references.length) {
+            citationReportDiv.innerHTML = '<em>No citations, DOIs, arXiv IDs, or URLs were found in the output.</em>';
+            return;
+        }
+        const rows = report.references.map((ref, i) => `
+            <tr class="${ref.malformed ? 'citation-malformed' : ''}">
+                <td>${i + 1}</td>
+                <td>${escapeHtml(CITATION_TYPE_LABELS[ref.type] || ref.type)}</td>
+                <td class="citation-id">${escapeHtml(ref.id)}</td>
+                <td>
+                    <span class="citation-status status-${escapeHtml(ref.status)}">${escapeHtml(ref.status.replace('_', ' '))}</span>
+                    ${ref.malformed ? `<div class="citation-problem">Malformed: ${escapeHtml(ref.problem)}</div>` : ''}
+                    ${ref.detail ? `<div class="citation-problem">${escapeHtml(ref.detail)}</div>` : ''}
+                </td>
+                <td>${escapeHtml(ref.sources.join(', '))}</td>
+            </tr>`).join('');
+        const verifierNote = report.verifier === UNVERIFIED_CITATION_VERIFIER.name
+            ? 'No lookup service is configured, so nothing has been checked against a real source.'
+            : `Checked with ${report.verifier}.`;
+        citationReportDiv.innerHTML = `
+            <p class="hint">${escapeHtml(describeCitationCounts(report.counts))}. Extracted automatically from model output. ${escapeHtml(verifierNote)}</p>
+            <table class="usage-table citation-table">
+                <thead>
+                    <tr><th>#</th><th>Type</th><th>Reference</th><th>Status</th><th>Found in</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
     }
 
     function updateProgressText(text) {
@@ -1137,31 +7864,87 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function clearResults() {
+        currentResults = null;
+        currentRunMeta = null;
+        topicAnalysisDiv.classList.remove('markdown-body');
+        synthesisDiv.classList.remove('markdown-body');
         topicAnalysisDiv.textContent = '';
         perspectivesDiv.innerHTML = '';
         deepResearchDiv.innerHTML = '';
         synthesisDiv.textContent = '';
+        synthesisRevisionsDiv.innerHTML = '';
+        citationReportDiv.innerHTML = '';
+        sourceExcerptsDiv.innerHTML = '';
+        synthesisSourcesDiv.innerHTML = '';
+        synthesisRefinementDiv.innerHTML = '';
+        claimsMatrixDiv.innerHTML = '';
+        claimsSection.style.display = 'none';
+        redTeamReviewDiv.innerHTML = '';
+        redTeamSection.style.display = 'none';
+        chatThread.innerHTML = '';
+        usageSummaryDiv.innerHTML = '';
         researchLogDiv.textContent = '';
         resultsContainer.style.display = 'none';
+        liveStreamTargets = new Map();
+        livePerspectiveSections = new Map();
+    }
+
+    function renderRichText(container, text) {
+        container.classList.toggle('markdown-body', !showRawText);
+        if (showRawText) {
+            container.textContent = text;
+        } else {
+            container.innerHTML = renderMarkdown(text);
+        }
+    }
+
+    function richTextHtml(text) {
+        return showRawText
+            ? `<div class="raw-text">${escapeHtml(text)}</div>`
+            : `<div class="markdown-body">${renderMarkdown(text)}</div>`;
     }
 
-    function renderResults(results) {
+    rawTextToggle.addEventListener('click', () => {
+        showRawText = !showRawText;
+        rawTextToggle.setAttribute('aria-pressed', showRawText ? 'true' : 'false');
+        rawTextToggle.querySelector('.raw-toggle-label').textContent = showRawText ? 'Formatted' : 'Raw text';
+        if (currentResults) {
+            renderResults(currentResults, currentRunMeta);
+        }
+    });
+
+    function renderResults(results, runMeta = null) {
         if (!results || typeof results !== 'object') {
             showMessage(errorMessage, 'Internal error: invalid results object.');
             return;
         }
+        // Runs saved before perspectives were structured hold plain strings
+        results = { ...results, perspectives: normalizePerspectiveList(results.perspectives) };
+        currentResults = results;
+        currentRunMeta = runMeta;
+        revisionModelInput.placeholder = results.panel
+            ? 'Same models as the run (panel)'
+            : 'Same model as the run';
 
         const topicAnalysisText =
             results.topic_analysis &&
             typeof results.topic_analysis.analysis === 'string'
                 ? results.topic_analysis.analysis
                 : 'No topic analysis available.';
-        topicAnalysisDiv.textContent = topicAnalysisText;
+        renderRichText(topicAnalysisDiv, topicAnalysisText);
 
-        const perspectives = Array.isArray(results.perspectives) ? results.perspectives : [];
+        const perspectives = results.perspectives;
         perspectivesDiv.innerHTML = perspectives.length
             ? perspectives
-                .map((p, i) => `<div><strong>${i + 1}.</strong> ${escapeHtml(p)}</div>`)
+                .map((p, i) => `
+                    <div class="perspective-item">
+                        <strong>${i + 1}. ${escapeHtml(p.title)}</strong>
+                        ${p.rationale ? `<div class="perspective-rationale">${escapeHtml(p.rationale)}</div>` : ''}
+                        ${p.methods.length
+                            ? `<div class="perspective-methods">Methods: ${p.methods.map(escapeHtml).join(', ')}</div>`
+                            : ''}
+                    </div>
+                `)
                 .join('')
             : '<em>No perspectives were generated.</em>';
 
@@ -1170,6 +7953,11 @@ document.addEventListener('DOMContentLoaded', () => {
             ? results.deep_research
             : {};
 
+        const revisions = cloneRevisions(results.revisions);
+        const chunksById = {};
+        ((results.sources && results.sources.chunks) || []).forEach((chunk) => {
+            chunksById[chunk.id] = chunk;
+        });
         Object.entries(deep).forEach(([perspective, research]) => {
             const safePerspective = escapeHtml(perspective || 'Unnamed perspective');
             const section = document.createElement('section');
@@ -1177,37 +7965,66 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const synthesisSnippet = (research && research.synthesis) ? research.synthesis.slice(0, 800) : '';
             const hasError = research && research.error;
+            const models = (research && research.models) || {};
+            const modelTag = (step) => models[step]
+                ? ` <span class="model-attribution">· ${escapeHtml(models[step])}</span>`
+                : '';
 
             section.innerHTML = `
-                <h4 style="margin:0 0 4px;font-size:var(--text-md);color:var(--text-main);">${safePerspective}</h4>
+                <div class="revision-header">
+                    <h4 style="margin:0 0 4px;font-size:var(--text-md);color:var(--text-main);">${safePerspective}</h4>
+                    <button type="button" class="revision-button" data-action="regenerate" data-title="${safePerspective}" ${isRunning ? 'disabled' : ''}>
+                        <span aria-hidden="true">↻</span> Regenerate
+                    </button>
+                </div>
+                ${sourceChipsHtml(research && research.sources, chunksById)}
                 ${
                     hasError
                         ? `<p style="font-size:var(--text-sm);color:var(--danger);"><strong>Warning:</strong> ${escapeHtml(research.error)}</p>`
                         : synthesisSnippet
-                            ? `<h5 style="margin:0 0 2px;font-size:var(--text-sm);color:var(--text-muted);">Key Synthesis</h5>
-                               <p style="margin:0 0 4px;font-size:var(--text-sm);color:var(--text-muted);">${escapeHtml(synthesisSnippet)}${synthesisSnippet.length === 800 ? '...' : ''}</p>`
+                            ? `<h5 style="margin:0 0 2px;font-size:var(--text-sm);color:var(--text-muted);">Key Synthesis${modelTag('synthesis')}</h5>
+                               <div style="margin:0 0 4px;font-size:var(--text-sm);color:var(--text-muted);">${richTextHtml(`${synthesisSnippet}${synthesisSnippet.length === 800 ? '...' : ''}`)}</div>`
                             : '<p style="font-size:var(--text-sm);color:var(--text-soft);"><em>No synthesis available for this perspective.</em></p>'
                 }
                 <details style="margin-top:2px;font-size:var(--text-sm);color:var(--text-soft);">
                     <summary>View detailed breakdown</summary>
                     <div>
-                        <h6 style="margin:4px 0 2px;font-size:var(--text-xs);color:var(--text-muted);">Initial Research</h6>
-                        <p>${escapeHtml((research && research.initial_research) || 'No data.')}</p>
-                        <h6 style="margin:4px 0 2px;font-size:var(--text-xs);color:var(--text-muted);">Critical Analysis</h6>
-                        <p>${escapeHtml((research && research.critical_analysis) || 'No data.')}</p>
-                        <h6 style="margin:4px 0 2px;font-size:var(--text-xs);color:var(--text-muted);">Identified Gaps</h6>
-                        <p>${escapeHtml((research && research.identified_gaps) || 'No data.')}</p>
+                        <h6 style="margin:4px 0 2px;font-size:var(--text-xs);color:var(--text-muted);">Initial Research${modelTag('initial_research')}</h6>
+                        ${richTextHtml((research && research.initial_research) || 'No data.')}
+                        <h6 style="margin:4px 0 2px;font-size:var(--text-xs);color:var(--text-muted);">Critical Analysis${modelTag('critical_analysis')}</h6>
+                        ${richTextHtml((research && research.critical_analysis) || 'No data.')}
+                        <h6 style="margin:4px 0 2px;font-size:var(--text-xs);color:var(--text-muted);">Identified Gaps${modelTag('identified_gaps')}</h6>
+                        ${richTextHtml((research && research.identified_gaps) || 'No data.')}
                     </div>
                 </details>
+                ${modelComparisonHtml(research, results.comparisons && results.comparisons[perspective])}
+                ${perspectiveRevisionsHtml(revisions.deep_research[perspective])}
             `;
 
             deepResearchDiv.appendChild(section);
         });
 
-        synthesisDiv.textContent =
+        renderRichText(
+            synthesisDiv,
             typeof results.synthesis === 'string' && results.synthesis.trim()
                 ? results.synthesis
-                : 'No synthesis available.';
+                : 'No synthesis available.'
+        );
+
+        synthesisSourcesDiv.innerHTML = sourceChipsHtml(results.sources && results.sources.synthesis, chunksById);
+        renderClaimsMatrix(results.claims);
+        renderRefinementRounds(results.refinement, results.synthesis);
+        renderRedTeamReview(results.red_team, results.synthesis);
+        renderSynthesisRevisions(revisions.synthesis);
+        resynthesizeButton.disabled = isRunning || Object.keys(deep).length === 0;
+
+        renderCitationReport(getCitationReport(results));
+        renderSourceExcerpts(results);
+
+        renderChatThread(results.conversation);
+        chatAskButton.disabled = isRunning;
+
+        renderUsageSummary(results.usage);
 
         const logEntries = Array.isArray(results.research_log) ? results.research_log : [];
         researchLogDiv.textContent = logEntries.join('\n');
@@ -1215,8 +8032,141 @@ document.addEventListener('DOMContentLoaded', () => {
         resultsContainer.style.display = 'block';
     }
 
+    /**
+     * Plain-text versions of each results section, built from the result
+     * object rather than the DOM so rendered Markdown does not lose its
+     * line structure in exports.
+     */
+    function buildResultSectionsText(results) {
+        if (!results) {
+            return {
+                topicAnalysis: '',
+                perspectives: '',
+                deep: '',
+                synthesis: '',
+                refinement: '',
+                claims: '',
+                redTeam: '',
+                references: '',
+                followUp: ''
+            };
+        }
+
+        const deep = results.deep_research && typeof results.deep_research === 'object'
+            ? results.deep_research
+            : {};
+        const comparisonText = (perspective) => ((results.comparisons && results.comparisons[perspective]) || [])
+            .map((entry) => entry.error
+                ? `Compared with ${entry.model}:\nWarning: ${entry.error}`
+                : `Compared with ${entry.model}:\n${entry.synthesis || 'No synthesis available.'}`);
+        const deepText = Object.entries(deep)
+            .map(([perspective, research]) => {
+                const r = research || {};
+                if (r.error) {
+                    return [`${perspective}\nWarning: ${r.error}`, ...comparisonText(perspective)].join('\n\n');
+                }
+                return [
+                    perspective,
+                    ...(r.sources ? [`Source excerpts: ${formatSourceIds(r.sources) || 'none matched'}`] : []),
+                    '',
+                    'Key Synthesis:',
+                    r.synthesis || 'No synthesis available for this perspective.',
+                    '',
+                    'Initial Research:',
+                    r.initial_research || 'No data.',
+                    '',
+                    'Critical Analysis:',
+                    r.critical_analysis || 'No data.',
+                    '',
+                    'Identified Gaps:',
+                    r.identified_gaps || 'No data.',
+                    ...comparisonText(perspective).flatMap((text) => ['', text])
+                ].join('\n');
+            })
+            .join('\n\n');
+
+        return {
+            topicAnalysis: ((results.topic_analysis && results.topic_analysis.analysis) || '').trim(),
+            perspectives: normalizePerspectiveList(results.perspectives)
+                .map((p, i) => [
+                    `${i + 1}. ${p.title}${p.rationale ? `: ${p.rationale}` : ''}`,
+                    p.methods.length ? `   Methods: ${p.methods.join(', ')}` : ''
+                ].filter(Boolean).join('\n'))
+                .join('\n'),
+            deep: deepText.trim(),
+            synthesis: (typeof results.synthesis === 'string' ? results.synthesis : '').trim(),
+            refinement: hasRefinementRounds(results.refinement)
+                ? [describeRefinement(results.refinement, results.synthesis)]
+                    .concat(refinementRoundDiffs(results.refinement).map(({ round, diff, counts }) => [
+                        `Round ${round.round}:`,
+                        ...round.questions.map((item, i) => `Q${i + 1}: ${item.question}\n` +
+                            (item.error ? `Warning: ${item.error}` : item.findings || 'No data.')),
+                        `Changes to the synthesis: +${counts.added} / -${counts.removed} lines`,
+                        ...(counts.added || counts.removed ? [formatDiffLines(diff).join('\n')] : [])
+                    ].join('\n\n')))
+                    .join('\n\n')
+                : '',
+            claims: claimsText(results),
+            redTeam: redTeamText(results),
+            references: getCitationReport(results).references
+                .map((ref, i) => [
+                    `[${i + 1}] ${CITATION_TYPE_LABELS[ref.type]}: ${ref.id} (${ref.status}${ref.malformed ? `, malformed: ${ref.problem}` : ''})`,
+                    ref.sources.length ? `    Found in: ${ref.sources.join(', ')}` : ''
+                ].filter(Boolean).join('\n'))
+                .concat(summarizeSourceUsage(results).map((chunk) =>
+                    `[${chunk.id}] Local excerpt: ${chunk.name || chunk.document}, part ${chunk.index} ` +
+                    `(${chunk.cited_in.length ? `cited in ${chunk.cited_in.join(', ')}` : 'not cited'})`))
+                .join('\n'),
+            followUp: (Array.isArray(results.conversation) ? results.conversation : [])
+                .map((turn) => turn.role === 'user'
+                    ? `Q: ${turn.content}`
+                    : `A${turn.model ? ` (${turn.model})` : ''}: ${turn.content}`)
+                .join('\n\n')
+                .trim()
+        };
+    }
+
+    function claimsText(results) {
+        const matrix = results.claims;
+        if (!matrix) return '';
+        const errors = Object.keys(matrix.errors || {});
+        return [
+            `${describeClaimMatrix(matrix)}.`,
+            ...(errors.length ? [`No claims could be extracted from: ${errors.join(', ')}.`] : []),
+            ...matrix.clusters.map((cluster) => {
+                const sides = claimClusterSides(cluster);
+                return [
+                    `${cluster.id} [${CLAIM_STATUS_LABELS[cluster.status]}, ${cluster.confidence} confidence] ${cluster.statement}`,
+                    `  Supports: ${sides.supports.join(', ') || 'none'}`,
+                    ...(sides.contradicts.length ? [`  Contradicts: ${sides.contradicts.join(', ')}`] : []),
+                    ...(sides.mixed.length ? [`  Both: ${sides.mixed.join(', ')}`] : [])
+                ].join('\n');
+            })
+        ].join('\n\n').trim();
+    }
+
+    function redTeamText(results) {
+        const review = results.red_team;
+        if (!review) return '';
+        const claims = review.contested_claims || [];
+        return [
+            ...(review.original_synthesis !== results.synthesis
+                ? ['This review attacked an earlier synthesis; the synthesis above was re-generated since.']
+                : []),
+            `${claims.length ? describeContestedClaims(claims) : 'No contested claims could be read from the critique'}.`,
+            claims.length
+                ? `Contested claims:\n${formatContestedClaims(claims)}`
+                : review.critique || '',
+            ...(typeof review.synthesis === 'string' ? [`Revised synthesis:\n${review.synthesis}`] : []),
+            ...(typeof review.synthesis !== 'string' && review.revision_error
+                ? [`Warning: The revision failed (${review.revision_error}); the synthesis above is unrevised.`]
+                : [])
+        ].filter(Boolean).join('\n\n').trim();
+    }
+
     function collectResultsAsText() {
         const parts = [];
+        const sections = buildResultSectionsText(currentResults);
 
         const topicTitle = (topicInput.value || '').trim();
         if (topicTitle) {
@@ -1225,42 +8175,97 @@ document.addEventListener('DOMContentLoaded', () => {
             parts.push('');
         }
 
-        const topicText = (topicAnalysisDiv.textContent || '').trim();
+        const topicText = sections.topicAnalysis;
         if (topicText) {
             parts.push('=== Topic Analysis ===');
             parts.push(topicText);
             parts.push('');
         }
 
-        const perspectivesText = (perspectivesDiv.textContent || '').trim();
+        const perspectivesText = sections.perspectives;
         if (perspectivesText) {
             parts.push('=== Research Perspectives ===');
             parts.push(perspectivesText);
             parts.push('');
         }
 
-        const deepText = (deepResearchDiv.textContent || '').trim();
+        const deepText = sections.deep;
         if (deepText) {
             parts.push('=== Deep Research Findings ===');
             parts.push(deepText);
             parts.push('');
         }
 
-        const synthesisText = (synthesisDiv.textContent || '').trim();
+        const claimsMatrixText = sections.claims;
+        if (claimsMatrixText) {
+            parts.push('=== Claims Matrix ===');
+            parts.push(claimsMatrixText);
+            parts.push('');
+        }
+
+        const synthesisText = sections.synthesis;
         if (synthesisText) {
             parts.push('=== Synthesis & Conclusions ===');
             parts.push(synthesisText);
             parts.push('');
         }
 
+        const refinementText = sections.refinement;
+        if (refinementText) {
+            parts.push('=== Refinement Rounds ===');
+            parts.push(refinementText);
+            parts.push('');
+        }
+
+        const redTeamReviewText = sections.redTeam;
+        if (redTeamReviewText) {
+            parts.push('=== Red-Team Review ===');
+            parts.push(redTeamReviewText);
+            parts.push('');
+        }
+
+        const referencesText = sections.references;
+        if (referencesText) {
+            parts.push('=== Reference Check (extracted, unverified unless noted) ===');
+            parts.push(referencesText);
+            parts.push('');
+        }
+
+        const followUpText = sections.followUp;
+        if (followUpText) {
+            parts.push('=== Follow-up Q&A ===');
+            parts.push(followUpText);
+            parts.push('');
+        }
+
         // Intentionally do NOT include researchLogDiv contents in exports.
         // Exports are limited to structured research outputs only.
         return parts.join('\n');
     }
 
-    function validateInputs({ apiKey, modelId, topic, iterations }) {
-        if (!apiKey) return 'Please provide your OpenRouter API key to run research.';
+    /**
+     * Checks that the provider can be called: a base URL for self-hosted
+     * servers and an API key where the provider needs one.
+     */
+    function checkProviderSetup(providerId, apiKey, action) {
+        const provider = getProvider(providerId);
+        if (provider.requiresBaseUrl && !currentSettings.providerBaseUrl) {
+            return `Please set the ${provider.label} base URL in Settings to ${action}.`;
+        }
+        if (provider.requiresApiKey && !apiKey) {
+            return `Please provide your ${provider.label} API key to ${action}.`;
+        }
+        return null;
+    }
+
+    function validateInputs({ provider, apiKey, modelId, topic, iterations, budgetUsd, panel }) {
+        const setupError = checkProviderSetup(provider, apiKey, 'run research');
+        if (setupError) return setupError;
         if (!modelId) return 'Please choose a model.';
+        const invalidPanelModel = panel && panel.models.find((model) => !getProvider(provider).isModelId(model));
+        if (invalidPanelModel) {
+            return `Panel model "${invalidPanelModel}" is not a valid ${getProviderLabel(provider)} model ID.`;
+        }
         if (!topic || topic.length < CONFIG.MIN_TOPIC_LENGTH) {
             return `Research topic must be at least ${CONFIG.MIN_TOPIC_LENGTH} characters long.`;
         }
@@ -1270,6 +8275,9 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!Number.isInteger(iterations) || iterations < 1 || iterations > 8) {
             return 'Perspective coverage must be between 1 and 8.';
         }
+        if (budgetUsd !== null && budgetUsd !== undefined && !(budgetUsd > 0)) {
+            return 'Budget cap must be a positive dollar amount (or left empty).';
+        }
         return null;
     }
 
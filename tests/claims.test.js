@@ -0,0 +1,184 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+const { TOPIC, createResearcher, lastUserMessage, perspectiveOf, pipelineResponses } = require('./helpers/pipeline');
+
+const {
+    createMockProvider,
+    buildRunBundle,
+    parseRunBundle,
+    buildMarkdownReport,
+    parseExtractedClaims,
+    parseClaimClusters,
+    buildClaimMatrix
+} = loadApp();
+
+const CLAIM_ANALYSIS = { claimAnalysis: true };
+
+const EXTRACTED = {
+    'Commercial real estate': ['Office vacancies are rising', 'Property values are falling'],
+    'Municipal finances': ['Downtown vacancies keep climbing', 'Property tax revenue is falling'],
+    'Local services': ['Office occupancy has stabilised', 'Transit ridership is down']
+};
+
+const CLUSTERS = JSON.stringify({
+    clusters: [
+        {
+            statement: 'Downtown office vacancies are rising',
+            members: [
+                { id: 'P1.C1', stance: 'supports' },
+                { id: 'P2.C1', stance: 'supports' },
+                { id: 'P3.C1', stance: 'contradicts' }
+            ]
+        },
+        {
+            statement: 'Property-related values and revenue are falling',
+            members: [{ id: 'P1.C2', stance: 'supports' }, { id: 'P2.C2', stance: 'supports' }, { id: 'P9.C9', stance: 'supports' }]
+        }
+    ]
+});
+
+function claimResponses(extra = []) {
+    return pipelineResponses([
+        ...extra,
+        {
+            match: /^Extract the key factual claims/,
+            content: (r) => JSON.stringify({ claims: EXTRACTED[perspectiveOf(r)] || [] })
+        },
+        { match: /^The claims below were extracted/, content: CLUSTERS }
+    ]);
+}
+
+test('claims are extracted, clustered across perspectives and scored', async () => {
+    const provider = createMockProvider({ responses: claimResponses() });
+    const phases = [];
+    const results = await createResearcher(provider, { onPhaseLabel: (label) => phases.push(label) }, CLAIM_ANALYSIS)
+        .conductResearch(TOPIC, 'normal', 3);
+
+    assert.ok(phases.includes('Phase 3/4: Claim analysis'));
+    const matrix = results.claims;
+    assert.deepEqual(matrix.perspectives, ['Commercial real estate', 'Municipal finances', 'Local services']);
+    assert.equal(matrix.claims.length, 6);
+    assert.deepEqual(matrix.claims[2], { id: 'P2.C1', perspective: 'Municipal finances', text: 'Downtown vacancies keep climbing' });
+    assert.deepEqual(
+        matrix.clusters.map((cluster) => [cluster.id, cluster.status, cluster.confidence, cluster.supporting, cluster.contradicting]),
+        [
+            ['K1', 'contradiction', 'medium', 2, 1],
+            ['K2', 'agreement', 'high', 2, 0],
+            ['K3', 'single', 'low', 1, 0]
+        ]
+    );
+    assert.deepEqual(matrix.clusters[0].stances, {
+        'Commercial real estate': 'supports',
+        'Municipal finances': 'supports',
+        'Local services': 'contradicts'
+    });
+    // Unclustered claims stand alone under their own wording
+    assert.equal(matrix.clusters[2].statement, 'Transit ridership is down');
+    assert.deepEqual(matrix.models, {
+        extraction: { 'Commercial real estate': 'mock/model', 'Municipal finances': 'mock/model', 'Local services': 'mock/model' },
+        clustering: 'mock/model'
+    });
+
+    const clustering = provider.calls.find((r) => /^The claims below/.test(lastUserMessage(r)));
+    assert.equal(clustering.response_format.json_schema.name, 'claim_clusters');
+    assert.match(lastUserMessage(clustering), /P3\.C2 \[Local services\] Transit ridership is down/);
+    const synthesis = provider.calls.map(lastUserMessage).find((text) => /^Synthesize comprehensive/.test(text));
+    assert.match(synthesis, /- \[Contradiction, medium confidence\] Downtown office vacancies are rising \(supported by: Commercial real estate, Municipal finances; contradicted by: Local services\)/);
+    assert.doesNotMatch(synthesis, /Transit ridership/);
+});
+
+test('a failed extraction is recorded and the other perspectives are still clustered', async () => {
+    const provider = createMockProvider({
+        responses: claimResponses([{ match: /^Extract the key factual claims[^\n]*"Local services"/, status: 400, error: 'Bad request' }])
+    });
+    const results = await createResearcher(provider, {}, CLAIM_ANALYSIS).conductResearch(TOPIC, 'normal', 3);
+
+    assert.deepEqual(Object.keys(results.claims.errors), ['Local services']);
+    // Without Local services both clusters are two-perspective agreements
+    assert.deepEqual(results.claims.clusters.map((cluster) => [cluster.id, cluster.status, cluster.confidence]), [
+        ['K1', 'agreement', 'high'],
+        ['K2', 'agreement', 'high']
+    ]);
+    assert.ok(results.research_log.some((entry) => /Claims – Local services: Failed - /.test(entry)));
+});
+
+test('resumeResearch reuses checkpointed claims', async () => {
+    let checkpoint = null;
+    const first = createResearcher(
+        createMockProvider({
+            responses: claimResponses([{ match: /^Synthesize comprehensive/, status: 400, error: 'Bad request' }])
+        }),
+        { onCheckpoint: (saved) => { checkpoint = JSON.parse(JSON.stringify(saved)); } },
+        CLAIM_ANALYSIS
+    );
+    await assert.rejects(first.conductResearch(TOPIC, 'normal', 3), /Bad request|400/);
+    assert.equal(checkpoint.claim_analysis_enabled, true);
+    assert.equal(checkpoint.claims.clusters.length, 2);
+
+    const provider = createMockProvider({ responses: claimResponses() });
+    const results = await createResearcher(provider, {}, { claimAnalysis: false }).resumeResearch(checkpoint);
+
+    assert.equal(provider.calls.length, 1);
+    assert.match(lastUserMessage(provider.calls[0]), /Claim check across perspectives/);
+    assert.equal(results.claims.clusters[0].status, 'contradiction');
+});
+
+test('regenerating a perspective re-extracts only its claims', async () => {
+    const results = await createResearcher(createMockProvider({ responses: claimResponses() }), {}, CLAIM_ANALYSIS)
+        .conductResearch(TOPIC, 'normal', 3);
+
+    const provider = createMockProvider({ responses: claimResponses() });
+    const updated = await createResearcher(provider, {}, CLAIM_ANALYSIS).regeneratePerspective(results, 'Local services', 'normal');
+
+    const extractions = provider.calls.map(lastUserMessage).filter((text) => /^Extract the key factual claims/.test(text));
+    assert.equal(extractions.length, 1);
+    assert.match(extractions[0], /"Local services"/);
+    assert.ok(provider.calls.some((r) => /^The claims below/.test(lastUserMessage(r))));
+    assert.deepEqual(updated.claims.claims, results.claims.claims);
+});
+
+test('claim parsing tolerates lists, unknown IDs and one-sided clusters', () => {
+    assert.deepEqual(parseExtractedClaims('Claims:\n1. **Vacancies rise**\n2. Rents fall\n- Vacancies rise', 5), ['Vacancies rise', 'Rents fall']);
+    assert.deepEqual(parseExtractedClaims('{"claims": [{"claim": "A"}, "B", "C"]}', 2), ['A', 'B']);
+
+    const clusters = parseClaimClusters(
+        '```json\n{"clusters": [{"statement": "X", "members": ["P1.C1", {"id": "P2.C1", "stance": "disagrees"}]},' +
+        ' {"statement": "Y", "members": [{"id": "P1.C1"}, {"id": "P7.C1"}]}]}\n```',
+        ['P1.C1', 'P2.C1']
+    );
+    assert.deepEqual(clusters, [{ statement: 'X', members: [{ id: 'P1.C1', stance: 'supports' }, { id: 'P2.C1', stance: 'contradicts' }] }]);
+
+    const matrix = buildClaimMatrix(['A', 'B'], { A: { claims: ['a1', 'a2'] }, B: { claims: ['b1'] } }, [
+        { statement: 'Flipped', members: [{ id: 'P1.C1', stance: 'contradicts' }, { id: 'P2.C1', stance: 'contradicts' }] },
+        { statement: 'Mixed', members: [{ id: 'P1.C2', stance: 'supports' }] }
+    ]);
+    assert.deepEqual(matrix.clusters.map((cluster) => [cluster.statement, cluster.status, cluster.confidence]), [
+        ['Flipped', 'agreement', 'high'],
+        ['Mixed', 'single', 'low']
+    ]);
+    const mixed = buildClaimMatrix(['A', 'B'], { A: { claims: ['a1', 'a2'] }, B: { claims: ['b1'] } }, [{
+        statement: 'S',
+        members: [{ id: 'P1.C1', stance: 'supports' }, { id: 'P1.C2', stance: 'contradicts' }, { id: 'P2.C1', stance: 'supports' }]
+    }]);
+    assert.deepEqual(mixed.clusters[0].stances, { A: 'mixed', B: 'supports' });
+    assert.equal(mixed.clusters[0].status, 'contradiction');
+});
+
+test('the matrix survives the run bundle and is exported to Markdown', async () => {
+    const results = await createResearcher(createMockProvider({ responses: claimResponses() }), {}, CLAIM_ANALYSIS)
+        .conductResearch(TOPIC, 'normal', 3);
+
+    const { bundle, errors } = parseRunBundle(JSON.stringify(buildRunBundle(results, { model: 'mock/model' })));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(bundle.result.claims, results.claims);
+
+    const markdown = buildMarkdownReport(results, { model: 'mock/model' });
+    assert.match(markdown, /## Claims Matrix\n\n_6 claims in 3 clusters: 1 agreement, 1 contradiction; clustered by mock\/model\._/);
+    assert.match(markdown, /\| # \| Claim \| P1 \| P2 \| P3 \| Status \| Confidence \|\n\|--:\|---\|:-:\|:-:\|:-:\|---\|---\|/);
+    assert.match(markdown, /\| K1 \| Downtown office vacancies are rising \| ✓ \| ✓ \| ✗ \| Contradiction \| Medium \|/);
+    assert.match(markdown, /- \*\*P3:\*\* Local services/);
+    assert.ok(markdown.indexOf('## Claims Matrix') < markdown.indexOf('## 4. Synthesis'));
+});
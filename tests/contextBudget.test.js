@@ -0,0 +1,136 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+const { TOPIC, createResearcher, lastUserMessage, perspectiveOf, pipelineResponses } = require('./helpers/pipeline');
+
+const {
+    CONFIG,
+    createMockProvider,
+    estimateTokens,
+    truncateToTokens,
+    planContextBudget,
+    parseContextTable
+} = loadApp();
+
+const CONTEXT = 8000;
+const SMALL_CONTEXT = { contextTable: { 'mock/model': CONTEXT } };
+
+// About 12k estimated tokens: far more than an 8k window leaves for a prompt
+const longOverview = (request) => `Overview: ${perspectiveOf(request)}\n` +
+    'Office vacancy rose in most large downtowns while suburban retail recovered. '.repeat(800);
+
+function budgetResponses(extra = []) {
+    return pipelineResponses([
+        ...extra,
+        { match: /^Condense the following/, content: 'Condensed overview.' },
+        { match: /^Conduct a thorough investigation/, content: longOverview }
+    ]);
+}
+
+const promptsFor = (provider, pattern) => provider.calls.map(lastUserMessage).filter((text) => pattern.test(text));
+
+test('estimateTokens approximates prose, numbers, symbols and CJK text', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('remote work'), 3);
+    assert.equal(estimateTokens('2023: +12.5%'), 8);
+    assert.equal(estimateTokens('東京都'), 3);
+    const prose = 'The synthesis weighs evidence from several perspectives and notes open questions. '.repeat(50);
+    const tokens = estimateTokens(prose);
+    assert.ok(tokens > prose.length / 6 && tokens < prose.length / 3, `${tokens} tokens for ${prose.length} characters`);
+});
+
+test('truncateToTokens and planContextBudget keep parts within their share', () => {
+    const text = 'alpha beta gamma delta epsilon '.repeat(200);
+    const cut = truncateToTokens(text, 100);
+    assert.ok(estimateTokens(cut) <= 100);
+    assert.match(cut, /\n\[…truncated\]$/);
+    assert.equal(truncateToTokens('short', 100), 'short');
+
+    const plan = planContextBudget([
+        { key: 'a', text },
+        { key: 'b', text: 'tiny' },
+        { key: 'c', text, weight: 3 }
+    ], 401);
+    assert.deepEqual(plan.map((part) => part.allocated), [100, 1, 300]);
+    assert.equal(plan[0].tokens, estimateTokens(text));
+
+    assert.deepEqual(parseContextTable('local/llama: 8192\n# comment\nx/y = 128,000\nbad line'), {
+        table: { 'local/llama': 8192, 'x/y': 128000 },
+        errors: ['bad line']
+    });
+});
+
+test('long sections are condensed to fit the context window and the cuts are logged', async () => {
+    const provider = createMockProvider({ responses: budgetResponses() });
+    const results = await createResearcher(provider, {}, SMALL_CONTEXT).conductResearch(TOPIC, 'normal', 3);
+
+    provider.calls.forEach((request) => {
+        const budget = Math.floor(CONTEXT * (1 - CONFIG.CONTEXT_SAFETY_MARGIN)) - request.max_tokens;
+        assert.ok(estimateTokens(lastUserMessage(request)) <= budget, `prompt over budget: ${lastUserMessage(request).slice(0, 60)}`);
+    });
+    const critiques = promptsFor(provider, /^Critically evaluate/);
+    assert.equal(critiques.length, 3);
+    critiques.forEach((prompt) => {
+        assert.match(prompt, /Condensed overview\./);
+        assert.doesNotMatch(prompt, /Office vacancy rose/);
+    });
+    // The section is longer than the condense prompt's own window, so it is condensed in parts
+    const condensePrompts = promptsFor(provider, /^Condense the following/);
+    assert.match(condensePrompts[0], /^Condense the following research overview \(part 1 of \d+\) from research on/);
+    assert.ok(condensePrompts.some((prompt) => /Office vacancy rose/.test(prompt)));
+    assert.ok(results.research_log.some((entry) =>
+        /Context budget \(Perspective 1\/3 – Critical analysis\): research overview condensed from ~\d+ to ~\d+ tokens\./.test(entry)));
+    assert.ok(results.research_log.some((entry) => /too long to condense in one call; condensing it in \d+ parts\./.test(entry)));
+    assert.ok(results.usage.by_phase.Context.calls > 0);
+});
+
+test('with summarizeContext off, long sections are truncated instead', async () => {
+    const provider = createMockProvider({ responses: budgetResponses() });
+    const results = await createResearcher(provider, {}, { ...SMALL_CONTEXT, summarizeContext: false }).conductResearch(TOPIC, 'normal', 3);
+
+    assert.equal(promptsFor(provider, /^Condense the following/).length, 0);
+    const critique = promptsFor(provider, /^Critically evaluate/)[0];
+    assert.match(critique, /Office vacancy rose/);
+    assert.match(critique, /\[…truncated\]/);
+    assert.ok(results.research_log.some((entry) =>
+        /\[WARN\] Context budget \(Perspective 1\/3 – Critical analysis\): research overview truncated from ~\d+ to ~\d+ tokens\./.test(entry)));
+});
+
+test('a failed condense falls back to truncation', async () => {
+    const provider = createMockProvider({
+        responses: budgetResponses([{ match: /^Condense the following/, status: 400, error: 'Bad request' }])
+    });
+    const results = await createResearcher(provider, {}, SMALL_CONTEXT).conductResearch(TOPIC, 'normal', 3);
+
+    assert.match(promptsFor(provider, /^Critically evaluate/)[0], /\[…truncated\]/);
+    assert.ok(results.research_log.some((entry) => /could not condense research overview .*; truncating instead\./.test(entry)));
+});
+
+test('prompts that fit are sent whole and nothing is logged', async () => {
+    const provider = createMockProvider({ responses: pipelineResponses() });
+    const results = await createResearcher(provider).conductResearch(TOPIC, 'normal', 3);
+
+    assert.ok(!results.research_log.some((entry) => /Context budget/.test(entry)));
+    assert.match(promptsFor(provider, /^Synthesize comprehensive/)[0], /Key findings: Summary: Commercial real estate\n/);
+});
+
+test('follow-up questions share the same context budget', async () => {
+    const results = await createResearcher(createMockProvider({ responses: pipelineResponses() }))
+        .conductResearch(TOPIC, 'normal', 3);
+    const longResults = { ...results, synthesis: 'Remote work reshaped downtown economies. '.repeat(2000) };
+
+    const provider = createMockProvider({ defaultContent: 'Answer.' });
+    const researcher = createResearcher(provider, {}, { ...SMALL_CONTEXT, summarizeContext: false });
+    const chat = await researcher.askFollowUp(longResults, 'Which finding is weakest?');
+
+    const [request] = provider.calls;
+    const promptTokens = request.messages.reduce((sum, m) => sum + estimateTokens(m.content) + 4, 0);
+    const budget = Math.floor(CONTEXT * (1 - CONFIG.CONTEXT_SAFETY_MARGIN)) - CONFIG.FOLLOWUP_MAX_TOKENS;
+    assert.ok(promptTokens <= budget, `${promptTokens} prompt tokens against ${budget}`);
+    assert.match(request.messages[0].content, /## Perspective: Municipal finances\nSummary: Municipal finances/);
+    assert.match(request.messages[0].content, /## Global synthesis\nRemote work[^]*\[…truncated\]$/);
+    assert.ok(chat.research_log.some((entry) =>
+        /Context budget \(Follow-up\): global synthesis truncated from ~\d+ to ~\d+ tokens\./.test(entry)));
+});
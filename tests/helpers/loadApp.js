@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const APP_PATH = path.join(__dirname, '..', '..', 'assets', 'app.js');
+
+// Names from app.js the tests reach for
+const EXPORTS = [
+    'CONFIG',
+    'AdvancedResearcher',
+    'SettingsManager',
+    'createMockProvider',
+    'buildRunBundle',
+    'parseRunBundle',
+    'buildMarkdownReport',
+    'diffLines',
+    'parseExtractedClaims',
+    'parseClaimClusters',
+    'buildClaimMatrix',
+    'estimateTokens',
+    'truncateToTokens',
+    'planContextBudget',
+    'parseContextTable',
+    'ApiRequestError',
+    'ResearchCancelledError',
+    'BudgetExceededError'
+];
+
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key),
+        clear: () => data.clear()
+    };
+}
+
+const quietConsole = { ...console, log() {} };
+
+let app = null;
+
+/**
+ * Runs assets/app.js as the browser would, minus the DOM: `document` only
+ * accepts the DOMContentLoaded listener (which never fires) and
+ * `localStorage` lives in memory. The script shares this realm, so its
+ * objects compare cleanly with assert.deepStrictEqual. It is evaluated
+ * once per test file (node --test runs each file in its own process), so
+ * the shared fixtures in pipeline.js build on the same classes.
+ */
+function loadApp() {
+    if (app) return app;
+    const storage = createMemoryStorage();
+    const document = { addEventListener() {} };
+    const source = `${fs.readFileSync(APP_PATH, 'utf8')}\nreturn { ${EXPORTS.join(', ')} };`;
+    const run = vm.compileFunction(source, ['document', 'localStorage', 'console'], { filename: APP_PATH });
+    app = { ...run(document, storage, quietConsole), storage };
+    return app;
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,60 @@
+'use strict';
+
+const { loadApp } = require('./loadApp');
+
+// Scripted replies for a full pipeline run against createMockProvider
+
+const TOPIC = 'Effects of remote work on urban economies';
+const FAST_RETRY = { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 5, jitter: 0 };
+
+const PERSPECTIVES_JSON = JSON.stringify({
+    perspectives: [
+        { title: 'Commercial real estate', rationale: 'Office vacancy and valuations', methods: ['market data'] },
+        { title: 'Municipal finances', rationale: 'Tax base erosion', methods: ['budget analysis'] },
+        { title: 'Local services', rationale: 'Foot traffic for shops and transit', methods: ['mobility data'] },
+        { title: 'Labour markets', rationale: 'Where people live and work', methods: ['surveys'] }
+    ]
+});
+
+const lastUserMessage = (request) => request.messages.filter((m) => m.role === 'user').pop().content;
+
+// One reply per phase, recognisable by the opening line of its default prompt
+function pipelineResponses(extra = []) {
+    return [
+        ...extra,
+        { match: /^Perform a comprehensive analysis/, content: 'Topic analysis text.' },
+        { match: (request) => !!request.response_format, content: PERSPECTIVES_JSON },
+        { match: /^Conduct a thorough investigation/, content: (r) => `Overview: ${perspectiveOf(r)}` },
+        { match: /^Critically evaluate/, content: (r) => `Critique: ${perspectiveOf(r)}` },
+        { match: /^Using the perspective/, content: (r) => `Gaps: ${perspectiveOf(r)}` },
+        { match: /^Synthesize a cohesive view/, content: (r) => `Summary: ${perspectiveOf(r)}` },
+        { match: /^Synthesize comprehensive research findings/, content: 'Global synthesis.' }
+    ];
+}
+
+function perspectiveOf(request) {
+    const text = lastUserMessage(request);
+    const titles = JSON.parse(PERSPECTIVES_JSON).perspectives.map((p) => p.title);
+    return titles.find((title) => text.includes(title)) || 'unknown';
+}
+
+// A non-streaming researcher on mock/model; `options` switches on the feature under test
+function createResearcher(provider, hooks = {}, options = {}) {
+    const { AdvancedResearcher } = loadApp();
+    return new AdvancedResearcher('', 'mock/model', '', hooks, {
+        provider,
+        stream: false,
+        retry: FAST_RETRY,
+        ...options
+    });
+}
+
+module.exports = {
+    TOPIC,
+    FAST_RETRY,
+    PERSPECTIVES_JSON,
+    createResearcher,
+    lastUserMessage,
+    perspectiveOf,
+    pipelineResponses
+};
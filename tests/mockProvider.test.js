@@ -0,0 +1,121 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+
+const { AdvancedResearcher, createMockProvider, ApiRequestError } = loadApp();
+
+const FAST_RETRY = { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5, jitter: 0 };
+
+function researcherWith(provider, options = {}) {
+    return new AdvancedResearcher('', 'mock/model', '', {}, { provider, stream: false, retry: FAST_RETRY, ...options });
+}
+
+const ask = (researcher, content) =>
+    researcher.callModel([{ role: 'user', content }], { label: 'Test call' });
+
+test('uses the first matching rule and falls back to defaultContent', async () => {
+    const provider = createMockProvider({
+        defaultContent: 'default',
+        responses: [
+            { match: 'alpha', content: 'first' },
+            { match: /^beta/, content: (request) => `model=${request.model}` }
+        ]
+    });
+    const researcher = researcherWith(provider);
+
+    assert.equal(await ask(researcher, 'say alpha'), 'first');
+    assert.equal(await ask(researcher, 'beta please'), 'model=mock/model');
+    assert.equal(await ask(researcher, 'gamma'), 'default');
+    assert.equal(provider.calls.length, 3);
+    assert.equal(provider.calls[2].messages[0].content, 'gamma');
+});
+
+test('retires a rule after `times` uses', async () => {
+    const provider = createMockProvider({
+        responses: [
+            { content: 'once', times: 1 },
+            { content: 'afterwards' }
+        ]
+    });
+    const researcher = researcherWith(provider);
+
+    assert.equal(await ask(researcher, 'a'), 'once');
+    assert.equal(await ask(researcher, 'b'), 'afterwards');
+    assert.equal(await ask(researcher, 'c'), 'afterwards');
+});
+
+test('streams content as SSE chunks with usage', async () => {
+    const tokens = [];
+    const provider = createMockProvider({
+        responses: [{ content: 'one two three', usage: { prompt_tokens: 7, completion_tokens: 3 } }]
+    });
+    const researcher = new AdvancedResearcher('', 'mock/model', '', {
+        onToken: (label, delta) => tokens.push(delta)
+    }, { provider, stream: true });
+
+    assert.equal(await ask(researcher, 'stream it'), 'one two three');
+    assert.deepEqual(tokens, ['one ', 'two ', 'three']);
+    assert.equal(provider.calls[0].stream, true);
+
+    const { totals } = researcher.getUsage();
+    assert.equal(totals.prompt_tokens, 7);
+    assert.equal(totals.completion_tokens, 3);
+});
+
+test('answers with the scripted HTTP error', async () => {
+    const provider = createMockProvider({
+        responses: [{ status: 401, error: 'bad key' }]
+    });
+    const researcher = researcherWith(provider);
+
+    await assert.rejects(ask(researcher, 'hello'), (err) => {
+        assert.ok(err instanceof ApiRequestError);
+        assert.equal(err.status, 401);
+        assert.equal(err.retryable, false);
+        assert.match(err.message, /bad key/);
+        return true;
+    });
+    assert.equal(provider.calls.length, 1);
+});
+
+test('retryable errors and network failures are retried', async () => {
+    const provider = createMockProvider({
+        responses: [
+            { status: 503, times: 1 },
+            { networkError: true, times: 1 },
+            { content: 'recovered' }
+        ]
+    });
+    const researcher = researcherWith(provider);
+
+    assert.equal(await ask(researcher, 'hello'), 'recovered');
+    assert.equal(provider.calls.length, 3);
+    assert.ok(researcher.researchLog.some((entry) => entry.includes('attempt 1/3 failed')));
+});
+
+test('falls back to the next model when the primary is unavailable', async () => {
+    const provider = createMockProvider({
+        responses: [
+            { match: (request) => request.model === 'mock/model', status: 404 },
+            { content: 'from backup' }
+        ]
+    });
+    const researcher = researcherWith(provider, { fallbackModels: ['mock/backup'] });
+
+    const result = await researcher.callWithAttribution([{ role: 'user', content: 'hi' }], { label: 'Test call' });
+    assert.deepEqual(result, { content: 'from backup', model: 'mock/backup' });
+});
+
+test('latency is cut short by cancellation', async () => {
+    const provider = createMockProvider({ latencyMs: 5000, defaultContent: 'too late' });
+    const researcher = researcherWith(provider);
+
+    const started = Date.now();
+    const pending = ask(researcher, 'slow');
+    setTimeout(() => researcher.cancel(), 10);
+
+    await assert.rejects(pending, { name: 'ResearchCancelledError' });
+    assert.ok(Date.now() - started < 2000);
+});
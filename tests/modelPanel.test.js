@@ -0,0 +1,138 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+const { TOPIC, lastUserMessage, pipelineResponses } = require('./helpers/pipeline');
+
+const { AdvancedResearcher, createMockProvider, buildRunBundle, parseRunBundle, buildMarkdownReport } = loadApp();
+
+function runPanel(panel, extraResponses = []) {
+    const provider = createMockProvider({ responses: pipelineResponses(extraResponses) });
+    const researcher = new AdvancedResearcher('', 'mock/primary', '', {}, {
+        provider,
+        stream: false,
+        retry: { maxAttempts: 1 },
+        panel
+    });
+    return researcher.conductResearch(TOPIC, 'normal', 3).then((results) => ({ results, provider }));
+}
+
+const synthesisPrompt = (provider) =>
+    lastUserMessage(provider.calls.find((r) => /^Synthesize comprehensive/.test(lastUserMessage(r))));
+
+test('assigns panel models to whole perspectives round-robin', async () => {
+    const { results, provider } = await runPanel({ models: ['mock/a', 'mock/b'] });
+
+    const modelsUsed = Object.values(results.deep_research).map((r) => Array.from(new Set(Object.values(r.models))));
+    assert.deepEqual(modelsUsed, [['mock/a'], ['mock/b'], ['mock/a']]);
+    assert.deepEqual(results.panel, { models: ['mock/a', 'mock/b'], assign: 'perspective', compare: false });
+    assert.equal(results.comparisons, null);
+
+    // Analysis, perspectives and the global synthesis stay on the run's model
+    const ownCalls = provider.calls.filter((r) => r.model === 'mock/primary');
+    assert.equal(ownCalls.length, 3);
+    const prompt = synthesisPrompt(provider);
+    assert.match(prompt, /panel of different models/);
+    assert.match(prompt, /Perspective 2: Municipal finances \(model: mock\/b\)/);
+});
+
+test('critique assignment only moves the critical analysis', async () => {
+    const { results } = await runPanel({ models: ['mock/primary', 'mock/critic'], assign: 'critique' });
+
+    Object.values(results.deep_research).forEach((research) => {
+        assert.deepEqual(research.models, {
+            initial_research: 'mock/primary',
+            critical_analysis: 'mock/critic',
+            identified_gaps: 'mock/primary',
+            synthesis: 'mock/primary'
+        });
+    });
+});
+
+test('compare mode runs each perspective on the other panel models', async () => {
+    const { results, provider } = await runPanel({ models: ['mock/a', 'mock/b', 'mock/c'], compare: true });
+
+    assert.deepEqual(Object.keys(results.comparisons), Object.keys(results.deep_research));
+    assert.deepEqual(results.comparisons['Municipal finances'].map((entry) => entry.model), ['mock/a', 'mock/c']);
+    const entry = results.comparisons['Municipal finances'][1];
+    assert.equal(entry.synthesis, 'Summary: Municipal finances');
+    assert.equal(entry.models.critical_analysis, 'mock/c');
+
+    // 3 own calls + 3 perspectives × 3 models × 4 steps
+    assert.equal(provider.calls.length, 3 + 36);
+    assert.match(synthesisPrompt(provider), /Alternative findings from mock\/c: Summary: Municipal finances/);
+});
+
+test('a failed comparison model is recorded without failing the perspective', async () => {
+    const { results } = await runPanel(
+        { models: ['mock/a', 'mock/b'], compare: true },
+        [{ match: (request) => request.model === 'mock/b' && /Commercial real estate/.test(lastUserMessage(request)), status: 400 }]
+    );
+
+    assert.equal(results.deep_research['Commercial real estate'].synthesis, 'Summary: Commercial real estate');
+    const [comparison] = results.comparisons['Commercial real estate'];
+    assert.equal(comparison.model, 'mock/b');
+    assert.match(comparison.error, /400/);
+});
+
+test('panel results survive the run bundle and appear in the report', async () => {
+    const { results } = await runPanel({ models: ['mock/a', 'mock/b'], compare: true });
+
+    const { bundle, errors } = parseRunBundle(JSON.stringify(buildRunBundle(results, { model: 'mock/primary' })));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(bundle.result.comparisons, results.comparisons);
+
+    const report = buildMarkdownReport(results, {});
+    assert.match(report, /\*\*Model panel:\*\* mock\/a, mock\/b \(whole perspectives, compared side by side\)/);
+    assert.match(report, /#### Compared: mock\/b/);
+});
+
+test('regenerating a perspective keeps its panel model and redoes its comparisons', async () => {
+    const { results } = await runPanel({ models: ['mock/a', 'mock/b'], compare: true });
+
+    const provider = createMockProvider({
+        responses: pipelineResponses([{ match: /^Conduct a thorough investigation/, content: 'Fresh overview.' }])
+    });
+    // Like the results view, the researcher is not given the panel; it comes from the run
+    const researcher = new AdvancedResearcher('', 'mock/primary', '', {}, { provider, stream: false, retry: { maxAttempts: 1 } });
+    const updated = await researcher.regeneratePerspective(results, 'Municipal finances', 'normal');
+
+    assert.deepEqual(Array.from(new Set(Object.values(updated.deep_research['Municipal finances'].models))), ['mock/b']);
+    assert.deepEqual(updated.comparisons['Municipal finances'].map((entry) => entry.model), ['mock/a']);
+    assert.equal(updated.comparisons['Municipal finances'][0].initial_research, 'Fresh overview.');
+    assert.deepEqual(updated.comparisons['Local services'], results.comparisons['Local services']);
+    // 4 steps on mock/b + 4 on mock/a for the comparison
+    assert.equal(provider.calls.length, 8);
+    assert.ok(provider.calls.every((request) => request.model !== 'mock/primary'));
+
+    const withoutCompare = await researcher.regeneratePerspective(
+        { ...results, panel: { ...results.panel, compare: false } },
+        'Municipal finances',
+        'normal'
+    );
+    assert.ok(!('Municipal finances' in withoutCompare.comparisons));
+    assert.deepEqual(withoutCompare.comparisons['Local services'], results.comparisons['Local services']);
+});
+
+test('an explicit revision model overrides the panel when regenerating', async () => {
+    const { results } = await runPanel({ models: ['mock/a', 'mock/b'], compare: true });
+
+    const provider = createMockProvider({ responses: pipelineResponses() });
+    const researcher = new AdvancedResearcher('', 'mock/chosen', '', {}, { provider, stream: false, retry: { maxAttempts: 1 } });
+    const updated = await researcher.regeneratePerspective(results, 'Municipal finances', 'normal', { model: 'mock/chosen' });
+
+    const stepCalls = (model) => provider.calls
+        .filter((request) => request.model === model)
+        .map((request) => lastUserMessage(request).split(/\s+/).slice(0, 2).join(' '));
+    assert.deepEqual(stepCalls('mock/chosen'), ['Conduct a', 'Critically evaluate', 'Using the', 'Synthesize a']);
+    // The comparison still runs on the other panel model; the assigned one is not used
+    assert.equal(stepCalls('mock/a').length, 4);
+    assert.deepEqual(stepCalls('mock/b'), []);
+    assert.deepEqual(updated.deep_research['Municipal finances'].models, {
+        initial_research: 'mock/chosen',
+        critical_analysis: 'mock/chosen',
+        identified_gaps: 'mock/chosen',
+        synthesis: 'mock/chosen'
+    });
+});
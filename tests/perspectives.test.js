@@ -0,0 +1,61 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+
+const { AdvancedResearcher } = loadApp();
+
+const researcher = new AdvancedResearcher('', 'mock/model', '', {}, { provider: 'openai_compatible', baseUrl: 'http://localhost' });
+const titles = (list) => list.map((p) => p.title);
+
+test('parses numbered lines in either "1." or "1)" style', () => {
+    const raw = [
+        'Here are the perspectives:',
+        '1. Economic impact',
+        '2) Regulatory landscape',
+        '   3.   Public health   ',
+        'Closing remarks that are not numbered.'
+    ].join('\n');
+
+    assert.deepEqual(titles(researcher.parsePerspectives(raw)), [
+        'Economic impact',
+        'Regulatory landscape',
+        'Public health'
+    ]);
+});
+
+test('splits titles from rationales', () => {
+    const raw = [
+        '1. **Supply chains**: how sourcing shifts under tariffs',
+        '2. Labour markets – effects on wages and hiring'
+    ].join('\n');
+
+    assert.deepEqual(researcher.parsePerspectives(raw), [
+        { title: 'Supply chains', rationale: 'how sourcing shifts under tariffs', methods: [] },
+        { title: 'Labour markets', rationale: 'effects on wages and hiring', methods: [] }
+    ]);
+});
+
+test('falls back to paragraphs when nothing is numbered', () => {
+    const raw = 'Historical context\n\nTechnical feasibility\n\n\nEthical concerns';
+
+    assert.deepEqual(titles(researcher.parsePerspectives(raw)), [
+        'Historical context',
+        'Technical feasibility',
+        'Ethical concerns'
+    ]);
+});
+
+test('makes duplicate titles unique', () => {
+    const raw = '1. Costs\n2. Costs\n3. costs';
+
+    assert.deepEqual(titles(researcher.parsePerspectives(raw)), ['Costs', 'Costs (2)', 'costs (3)']);
+});
+
+test('returns nothing for empty or non-string input', () => {
+    assert.deepEqual(researcher.parsePerspectives(''), []);
+    assert.deepEqual(researcher.parsePerspectives('   \n\n  '), []);
+    assert.deepEqual(researcher.parsePerspectives(null), []);
+    assert.deepEqual(researcher.parsePerspectives({ perspectives: [] }), []);
+});
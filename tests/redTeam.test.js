@@ -0,0 +1,150 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+const { TOPIC, createResearcher, lastUserMessage, pipelineResponses } = require('./helpers/pipeline');
+
+const { createMockProvider, buildRunBundle, parseRunBundle, buildMarkdownReport } = loadApp();
+
+const RED_TEAM = { redTeam: true };
+
+const CRITIQUE = JSON.stringify({
+    contested_claims: [
+        {
+            claim: 'Office vacancies will keep rising',
+            kind: 'counter_argument',
+            challenge: 'Conversions to housing are already absorbing vacant space.',
+            perspectives: ['Commercial real estate'],
+            severity: 'high'
+        },
+        {
+            claim: 'Tax bases shrink everywhere',
+            kind: 'Unsupported claim',
+            challenge: 'Only large downtowns are cited | no data for suburbs.',
+            perspectives: [],
+            severity: 'MEDIUM'
+        },
+        {
+            claim: 'Local services are recovering',
+            kind: 'contradiction',
+            challenge: 'Municipal finances report falling transit revenue.',
+            perspectives: ['Local services', 'Municipal finances'],
+            severity: 'low'
+        }
+    ]
+});
+
+function redTeamResponses(extra = []) {
+    return pipelineResponses([
+        ...extra,
+        { match: /^Act as a rigorous devil's advocate/, content: CRITIQUE },
+        { match: /^Revise the research synthesis on .* in response to a red-team review/, content: 'Global synthesis.\nVacancies may stabilise.' }
+    ]);
+}
+
+test('the red-team phase lists contested claims and revises the synthesis', async () => {
+    const provider = createMockProvider({ responses: redTeamResponses() });
+    const phases = [];
+    const results = await createResearcher(provider, { onPhaseLabel: (label) => phases.push(label) }, RED_TEAM)
+        .conductResearch(TOPIC, 'normal', 3);
+
+    assert.deepEqual(phases.filter((label) => label.startsWith('Phase')), [
+        'Phase 1/5: Topic analysis',
+        'Phase 2/5: Perspectives',
+        'Phase 3/5: Deep research',
+        'Phase 4/5: Global synthesis',
+        'Phase 5/5: Red-team review'
+    ]);
+    // The run's own synthesis stays; the revision sits with the review
+    assert.equal(results.synthesis, 'Global synthesis.');
+    const review = results.red_team;
+    assert.equal(review.original_synthesis, 'Global synthesis.');
+    assert.equal(review.synthesis, 'Global synthesis.\nVacancies may stabilise.');
+    assert.deepEqual(review.models, { critique: 'mock/model', revision: 'mock/model' });
+    assert.deepEqual(review.contested_claims.map((item) => [item.kind, item.severity]), [
+        ['counter_argument', 'high'],
+        ['unsupported', 'medium'],
+        ['contradiction', 'low']
+    ]);
+
+    const critiqueRequest = provider.calls.find((r) => /^Act as a rigorous/.test(lastUserMessage(r)));
+    assert.equal(critiqueRequest.response_format.json_schema.name, 'red_team_review');
+    assert.match(lastUserMessage(critiqueRequest), /Municipal finances:\nSummary: Municipal finances/);
+    const revision = provider.calls.map(lastUserMessage).find((text) => /in response to a red-team review/.test(text));
+    assert.match(revision, /3\. \[Contradiction, low\] "Local services are recovering" — Municipal finances report/);
+});
+
+test('a critique that is not JSON is kept as text and still drives the revision', async () => {
+    const provider = createMockProvider({
+        responses: redTeamResponses([{ match: /^Act as a rigorous/, content: 'The synthesis overstates vacancy trends.' }])
+    });
+    const results = await createResearcher(provider, {}, { ...RED_TEAM, structuredOutput: false }).conductResearch(TOPIC, 'normal', 3);
+
+    assert.deepEqual(results.red_team.contested_claims, []);
+    assert.equal(results.red_team.critique, 'The synthesis overstates vacancy trends.');
+    const critiqueRequest = provider.calls.find((r) => /^Act as a rigorous/.test(lastUserMessage(r)));
+    assert.equal(critiqueRequest.response_format, undefined);
+    const revision = provider.calls.map(lastUserMessage).find((text) => /in response to a red-team review/.test(text));
+    assert.match(revision, /overstates vacancy trends/);
+    assert.ok(results.research_log.some((entry) => /no contested claims could be read/.test(entry)));
+});
+
+test('without redTeam no review is run or recorded', async () => {
+    const provider = createMockProvider({ responses: redTeamResponses() });
+    const results = await createResearcher(provider, {}, { redTeam: false }).conductResearch(TOPIC, 'normal', 3);
+
+    assert.equal(results.red_team, null);
+    assert.ok(!provider.calls.some((r) => /^Act as a rigorous/.test(lastUserMessage(r))));
+});
+
+test('a failed revision keeps the critique and the finished synthesis', async () => {
+    const provider = createMockProvider({
+        responses: redTeamResponses([{ match: /in response to a red-team review/, status: 400, error: 'Bad request' }])
+    });
+    const results = await createResearcher(provider, {}, RED_TEAM).conductResearch(TOPIC, 'normal', 3);
+
+    assert.equal(results.synthesis, 'Global synthesis.');
+    assert.equal(results.red_team.contested_claims.length, 3);
+    assert.equal(results.red_team.synthesis, null);
+    assert.match(results.red_team.revision_error, /Bad request|400/);
+    assert.ok(results.research_log.some((entry) => /\[ERROR\] Red-team revision: Failed - .*the synthesis stays unrevised\./.test(entry)));
+    assert.match(buildMarkdownReport(results, {}), /_The revision failed \(.*\); the synthesis above is unrevised\._/);
+    assert.deepEqual(parseRunBundle(JSON.stringify(buildRunBundle(results, { model: 'mock/model' }))).errors, []);
+});
+
+test('resumeResearch reuses a checkpointed critique and retries a failed revision', async () => {
+    let checkpoint = null;
+    const first = createResearcher(
+        createMockProvider({
+            responses: redTeamResponses([{ match: /in response to a red-team review/, status: 400, error: 'Bad request' }])
+        }),
+        { onCheckpoint: (saved) => { checkpoint = JSON.parse(JSON.stringify(saved)); } },
+        RED_TEAM
+    );
+    await first.conductResearch(TOPIC, 'normal', 3);
+    assert.equal(checkpoint.red_team.contested_claims.length, 3);
+    assert.equal(checkpoint.red_team.synthesis, null);
+
+    const provider = createMockProvider({ responses: redTeamResponses() });
+    const results = await createResearcher(provider, {}, { redTeam: false }).resumeResearch(checkpoint);
+
+    assert.equal(provider.calls.length, 1);
+    assert.match(lastUserMessage(provider.calls[0]), /in response to a red-team review/);
+    assert.equal(results.red_team.synthesis, 'Global synthesis.\nVacancies may stabilise.');
+    assert.ok(!('revision_error' in results.red_team));
+});
+
+test('the review survives the run bundle and is exported to Markdown', async () => {
+    const provider = createMockProvider({ responses: redTeamResponses() });
+    const results = await createResearcher(provider, {}, RED_TEAM).conductResearch(TOPIC, 'normal', 3);
+
+    const { bundle, errors } = parseRunBundle(JSON.stringify(buildRunBundle(results, { model: 'mock/model' })));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(bundle.result.red_team, results.red_team);
+
+    const markdown = buildMarkdownReport(results, { model: 'mock/model' });
+    assert.match(markdown, /## Red-Team Review\n\n_1 counter-argument, 1 unsupported claim, 1 contradiction; critique by mock\/model\._/);
+    assert.match(markdown, /\| 2 \| Tax bases shrink everywhere \| Unsupported claim \| Only large downtowns are cited \\\| no data for suburbs\. \| {2}\| medium \|/);
+    assert.match(markdown, /### Revised Synthesis\n\n_Model: mock\/model_\n\nGlobal synthesis\.\nVacancies may stabilise\./);
+});
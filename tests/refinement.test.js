@@ -0,0 +1,131 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+const { TOPIC, createResearcher, lastUserMessage, pipelineResponses } = require('./helpers/pipeline');
+
+const { createMockProvider, buildRunBundle, parseRunBundle, buildMarkdownReport, diffLines } = loadApp();
+
+const REFINEMENT = { refinementRounds: 2 };
+const REVISED = 'Global synthesis.\nFiscal effects are moderate.';
+
+// Round 1 asks two sub-questions; round 2 finds nothing left to research
+function refinementResponses(extra = []) {
+    let questionCalls = 0;
+    return pipelineResponses([
+        ...extra,
+        {
+            match: /^Below is the current research synthesis/,
+            content: () => (++questionCalls === 1
+                ? '1. How large are the fiscal effects on mid-sized cities?\n2. **Which downtowns recovered fastest?**'
+                : 'NONE')
+        },
+        { match: /^As part of research on/, content: (r) => `Findings for ${lastUserMessage(r).split('\n')[1]}` },
+        { match: /^Revise the research synthesis/, content: REVISED }
+    ]);
+}
+
+test('refinement rounds research the gaps and revise the synthesis', async () => {
+    const provider = createMockProvider({ responses: refinementResponses() });
+    const results = await createResearcher(provider, {}, REFINEMENT).conductResearch(TOPIC, 'normal', 3);
+
+    assert.equal(results.synthesis, REVISED);
+    const { refinement } = results;
+    assert.equal(refinement.requested, 2);
+    assert.equal(refinement.initial_synthesis, 'Global synthesis.');
+    assert.equal(refinement.stopped_early, true);
+    assert.equal(refinement.rounds.length, 1);
+    assert.deepEqual(refinement.rounds[0].questions.map((item) => item.question), [
+        'How large are the fiscal effects on mid-sized cities?',
+        'Which downtowns recovered fastest?'
+    ]);
+    assert.equal(refinement.rounds[0].questions[0].model, 'mock/model');
+    assert.equal(refinement.rounds[0].synthesis, REVISED);
+
+    const questionPrompts = provider.calls.map(lastUserMessage).filter((text) => /^Below is the current/.test(text));
+    assert.equal(questionPrompts.length, 2);
+    // The per-perspective gaps feed the first round; later rounds see what was asked
+    assert.match(questionPrompts[0], /Gaps: Municipal finances/);
+    assert.match(questionPrompts[1], /- Which downtowns recovered fastest\?/);
+    assert.match(questionPrompts[1], /Fiscal effects are moderate/);
+
+    const revision = provider.calls.map(lastUserMessage).find((text) => /^Revise the research synthesis/.test(text));
+    assert.match(revision, /Sub-question 2: Which downtowns recovered fastest\?\nFindings: Findings for "Which downtowns/);
+});
+
+test('no refinement is run or recorded by default', async () => {
+    const provider = createMockProvider({ responses: refinementResponses() });
+    const results = await createResearcher(provider, {}, { refinementRounds: 0 }).conductResearch(TOPIC, 'normal', 3);
+
+    assert.equal(results.refinement, null);
+    assert.equal(results.synthesis, 'Global synthesis.');
+    assert.ok(!provider.calls.some((r) => /^Below is the current/.test(lastUserMessage(r))));
+});
+
+test('a failed sub-question is recorded and the rest still revise the synthesis', async () => {
+    const provider = createMockProvider({
+        responses: refinementResponses([{ match: /^As part of research on[^\n]*\n"How large/, status: 500, error: 'Upstream error' }])
+    });
+    const results = await createResearcher(provider, {}, REFINEMENT).conductResearch(TOPIC, 'normal', 3);
+
+    const [failed, answered] = results.refinement.rounds[0].questions;
+    assert.match(failed.error, /500|Upstream/);
+    assert.equal(failed.findings, undefined);
+    assert.match(answered.findings, /^Findings for/);
+    assert.equal(results.synthesis, REVISED);
+});
+
+test('resumeResearch continues a refinement round without repeating finished sub-questions', async () => {
+    let checkpoint = null;
+    const first = createResearcher(
+        createMockProvider({
+            responses: refinementResponses([{ match: /^Revise the research synthesis/, status: 400, error: 'Bad request' }])
+        }),
+        { onCheckpoint: (saved) => { checkpoint = JSON.parse(JSON.stringify(saved)); } },
+        REFINEMENT
+    );
+    await assert.rejects(first.conductResearch(TOPIC, 'normal', 3), /Bad request|400/);
+    assert.equal(checkpoint.refinement.rounds[0].questions.length, 2);
+    assert.equal(checkpoint.refinement.rounds[0].synthesis, null);
+
+    const provider = createMockProvider({ responses: refinementResponses() });
+    // Resuming restores the checkpoint's round count, not the constructor's
+    const results = await createResearcher(provider, {}, { refinementRounds: 0 }).resumeResearch(checkpoint);
+
+    assert.equal(results.synthesis, REVISED);
+    const prompts = provider.calls.map(lastUserMessage);
+    assert.equal(prompts.filter((text) => /^As part of research on/.test(text)).length, 0);
+    assert.equal(prompts.filter((text) => /^Revise the research synthesis/.test(text)).length, 1);
+    // Round 2 still runs and stops early
+    assert.equal(results.refinement.stopped_early, true);
+});
+
+test('diffLines reports added and removed lines around common ones', () => {
+    assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), [
+        { type: 'same', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'same', text: 'c' },
+        { type: 'added', text: 'd' }
+    ]);
+    assert.deepEqual(diffLines('x\ny', 'z', 1), [
+        { type: 'removed', text: 'x' },
+        { type: 'removed', text: 'y' },
+        { type: 'added', text: 'z' }
+    ]);
+});
+
+test('refinement rounds survive the run bundle and appear in the Markdown report', async () => {
+    const provider = createMockProvider({ responses: refinementResponses() });
+    const results = await createResearcher(provider, {}, REFINEMENT).conductResearch(TOPIC, 'normal', 3);
+
+    const { bundle, errors } = parseRunBundle(JSON.stringify(buildRunBundle(results, { model: 'mock/model' })));
+    assert.deepEqual(errors, []);
+    assert.deepEqual(bundle.result.refinement, results.refinement);
+
+    const markdown = buildMarkdownReport(results, { model: 'mock/model' });
+    assert.match(markdown, /### Refinement Rounds/);
+    assert.match(markdown, /1 of 2 refinement round\(s\) completed; stopped early/);
+    assert.match(markdown, /\*\*Q1: How large are the fiscal effects on mid-sized cities\?\*\*/);
+    assert.match(markdown, /```diff\n\+ Fiscal effects are moderate\.\n```/);
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+const {
+    TOPIC,
+    FAST_RETRY,
+    PERSPECTIVES_JSON,
+    createResearcher,
+    lastUserMessage,
+    perspectiveOf,
+    pipelineResponses
+} = require('./helpers/pipeline');
+
+const {
+    createMockProvider,
+    buildRunBundle,
+    parseRunBundle,
+    buildMarkdownReport,
+    estimateTokens,
+    ResearchCancelledError,
+    BudgetExceededError
+} = loadApp();
+
+test('conductResearch runs all four phases and returns the full result', async () => {
+    const provider = createMockProvider({ responses: pipelineResponses() });
+    const phases = [];
+    const researcher = createResearcher(provider, { onPhaseLabel: (label) => phases.push(label) });
+
+    const results = await researcher.conductResearch(TOPIC, 'normal', 3);
+
+    assert.equal(results.topic, TOPIC);
+    assert.deepEqual(results.topic_analysis, { analysis: 'Topic analysis text.' });
+    // The fourth perspective is beyond `iterations` and dropped
+    assert.deepEqual(results.perspectives.map((p) => p.title), [
+        'Commercial real estate',
+        'Municipal finances',
+        'Local services'
+    ]);
+    assert.deepEqual(Object.keys(results.deep_research), [
+        'Commercial real estate',
+        'Municipal finances',
+        'Local services'
+    ]);
+    assert.deepEqual(results.deep_research['Municipal finances'], {
+        initial_research: 'Overview: Municipal finances',
+        critical_analysis: 'Critique: Municipal finances',
+        identified_gaps: 'Gaps: Municipal finances',
+        synthesis: 'Summary: Municipal finances',
+        models: {
+            initial_research: 'mock/model',
+            critical_analysis: 'mock/model',
+            identified_gaps: 'mock/model',
+            synthesis: 'mock/model'
+        }
+    });
+    assert.equal(results.synthesis, 'Global synthesis.');
+    assert.equal(results.sources, null);
+
+    // analysis + perspectives + 3 × 4 steps + synthesis
+    assert.equal(provider.calls.length, 15);
+    assert.equal(results.usage.totals.calls, 15);
+    assert.deepEqual(phases, [
+        'Phase 1/4: Topic analysis',
+        'Phase 2/4: Perspectives',
+        'Phase 3/4: Deep research',
+        'Phase 4/4: Global synthesis'
+    ]);
+});
+
+test('conductResearch falls back to a plain list when structured output is refused', async () => {
+    const provider = createMockProvider({
+        responses: pipelineResponses([
+            { match: (request) => !!request.response_format, status: 400, error: 'response_format unsupported' },
+            { match: /^Based on the topic/, content: '1. Housing demand\n2. Transit ridership\n3. Downtown retail' }
+        ])
+    });
+    const researcher = createResearcher(provider);
+
+    const results = await researcher.conductResearch(TOPIC, 'normal', 3);
+
+    assert.deepEqual(results.perspectives.map((p) => p.title), ['Housing demand', 'Transit ridership', 'Downtown retail']);
+    assert.ok(researcher.researchLog.some((entry) => entry.includes('structured output unavailable')));
+});
+
+test('deepResearch records a failed perspective and keeps the others', async () => {
+    const provider = createMockProvider({
+        responses: pipelineResponses([
+            {
+                match: (request) => /^Conduct a thorough investigation/.test(lastUserMessage(request)) &&
+                    perspectiveOf(request) === 'Municipal finances',
+                status: 400,
+                error: 'context length exceeded'
+            }
+        ])
+    });
+    const progress = [];
+    const researcher = createResearcher(provider, {
+        onPerspectiveProgress: (update) => progress.push(`${update.perspective}:${update.status}`)
+    });
+
+    const results = await researcher.conductResearch(TOPIC, 'normal', 3);
+    const failed = results.deep_research['Municipal finances'];
+
+    assert.match(failed.error, /400/);
+    assert.match(failed.error, /context length exceeded/);
+    assert.equal(failed.synthesis, '');
+    assert.equal(results.deep_research['Commercial real estate'].synthesis, 'Summary: Commercial real estate');
+    assert.equal(results.deep_research['Local services'].synthesis, 'Summary: Local services');
+    assert.ok(progress.includes('Municipal finances:failed'));
+    assert.equal(results.synthesis, 'Global synthesis.');
+});
+
+test('deepResearch retries transient errors before giving up on a step', async () => {
+    const provider = createMockProvider({
+        responses: pipelineResponses([
+            { match: /^Critically evaluate[\s\S]*Local services/, status: 503, times: 1 },
+            { match: /^Using the perspective[\s\S]*Local services/, status: 429 }
+        ])
+    });
+    const researcher = createResearcher(provider);
+
+    const results = await researcher.deepResearch(
+        [{ title: 'Local services', rationale: '', methods: [] }],
+        'normal',
+        1
+    );
+    const research = results['Local services'];
+
+    // The 503 succeeded on retry; the 429 failed both attempts
+    assert.match(research.error, /429/);
+    const critiqueCalls = provider.calls.filter((r) => /^Critically evaluate/.test(lastUserMessage(r)));
+    const gapCalls = provider.calls.filter((r) => /^Using the perspective/.test(lastUserMessage(r)));
+    assert.equal(critiqueCalls.length, 2);
+    assert.equal(gapCalls.length, FAST_RETRY.maxAttempts);
+});
+
+test('deepResearch stops on cancellation instead of recording a failure', async () => {
+    const provider = createMockProvider({ responses: pipelineResponses(), latencyMs: 20 });
+    let researcher = null;
+    researcher = createResearcher(provider, {
+        onPerspectiveProgress: (update) => {
+            if (update.index === 1 && update.status === 'running') {
+                researcher.cancel('Stopped by test.');
+            }
+        }
+    });
+
+    await assert.rejects(
+        researcher.deepResearch(JSON.parse(PERSPECTIVES_JSON).perspectives, 'normal', 3),
+        ResearchCancelledError
+    );
+    assert.ok(researcher.researchLog.some((entry) => entry.includes('Stopped by test.')));
+});
+
+test('cancelling conductResearch keeps the completed phases as partial results', async () => {
+    const provider = createMockProvider({ responses: pipelineResponses(), latencyMs: 5 });
+    let researcher = null;
+    researcher = createResearcher(provider, {
+        onPhaseLabel: (label) => {
+            if (label.startsWith('Phase 3/4')) {
+                setTimeout(() => researcher.cancel('Stopped by test.'), 1);
+            }
+        }
+    });
+
+    await assert.rejects(researcher.conductResearch(TOPIC, 'normal', 3), ResearchCancelledError);
+
+    const partial = researcher.getPartialResults();
+    assert.equal(partial.partial, true);
+    assert.equal(partial.topic, TOPIC);
+    assert.deepEqual(partial.topic_analysis, { analysis: 'Topic analysis text.' });
+    assert.equal(partial.perspectives.length, 3);
+    assert.equal(partial.synthesis, '');
+    assert.ok(provider.calls.length < 15);
+    await assert.rejects(researcher.callModel([{ role: 'user', content: 'more' }]), ResearchCancelledError);
+});
+
+test('the budget cap counts calls still in flight when perspectives run in parallel', async () => {
+    // Completions are free, so a call's worst case is exactly its prompt cost
+    const priceTable = { 'mock/model': { prompt: 1000, completion: 0 } };
+    const worstCase = (request) =>
+        request.messages.reduce((sum, m) => sum + estimateTokens(m.content) + 4, 0) * 1000 / 1e6;
+    const provider = createMockProvider({ responses: pipelineResponses(), latencyMs: 20 });
+    const researcher = createResearcher(provider, {}, { concurrency: 3, budgetUsd: 0.5, priceTable });
+
+    await assert.rejects(researcher.conductResearch(TOPIC, 'normal', 3), BudgetExceededError);
+
+    // Cancelled requests may still be billed, so everything sent counts
+    const committed = provider.calls.reduce((sum, request) => sum + worstCase(request), 0);
+    assert.ok(committed <= 0.5, `committed $${committed.toFixed(3)} against a $0.50 cap`);
+    assert.ok(provider.calls.some((request) => /^Conduct a thorough investigation/.test(lastUserMessage(request))));
+    assert.equal(researcher.budgetReserved, 0);
+});
+
+test('resumeResearch reuses every step already in the checkpoint', async () => {
+    let checkpoint = null;
+    const first = createResearcher(
+        createMockProvider({ responses: pipelineResponses() }),
+        { onCheckpoint: (saved) => { checkpoint = JSON.parse(JSON.stringify(saved)); } }
+    );
+    await first.conductResearch(TOPIC, 'normal', 3);
+    delete checkpoint.deep_research['Local services'].synthesis;
+    checkpoint.synthesis = null;
+
+    const provider = createMockProvider({ responses: pipelineResponses() });
+    const results = await createResearcher(provider).resumeResearch(checkpoint);
+
+    assert.equal(results.deep_research['Local services'].synthesis, 'Summary: Local services');
+    // Only the missing perspective step and the global synthesis are redone
+    assert.equal(provider.calls.length, 2);
+});
+
+test('bundle references without sources still import and render', async () => {
+    const provider = createMockProvider({
+        responses: pipelineResponses([{ match: /^Synthesize comprehensive/, content: 'See doi:10.1000/xyz123.' }])
+    });
+    const results = await createResearcher(provider).conductResearch(TOPIC, 'normal', 3);
+    const bundle = buildRunBundle(results, { model: 'mock/model' });
+    assert.deepEqual(bundle.result.citations.references[0].sources, ['Global synthesis']);
+    assert.deepEqual(parseRunBundle(JSON.stringify(bundle)).errors, []);
+
+    // Bundles exported before the field existed, or written by hand, may omit it
+    delete bundle.result.citations.references[0].sources;
+    const parsed = parseRunBundle(JSON.stringify(bundle));
+    assert.deepEqual(parsed.errors, []);
+    assert.match(buildMarkdownReport(parsed.bundle.result, {}), /\| 1 \| DOI \| 10\.1000\/xyz123 \| unverified \|  \|/);
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+
+const { CONFIG, SettingsManager, storage } = loadApp();
+
+beforeEach(() => storage.clear());
+
+test('load returns a copy of the defaults when nothing is stored', () => {
+    const settings = SettingsManager.load();
+
+    assert.deepEqual(settings, CONFIG.DEFAULT_SETTINGS);
+    settings.theme = 'dark';
+    assert.notEqual(CONFIG.DEFAULT_SETTINGS.theme, 'dark');
+});
+
+test('save fills in defaults and persists under the settings key', () => {
+    const saved = SettingsManager.save({ theme: 'dark', concurrency: 3 });
+
+    assert.equal(saved.theme, 'dark');
+    assert.equal(saved.concurrency, 3);
+    assert.equal(saved.provider, CONFIG.DEFAULT_SETTINGS.provider);
+    assert.deepEqual(JSON.parse(storage.getItem(CONFIG.SETTINGS_KEY)), saved);
+    assert.deepEqual(SettingsManager.load(), saved);
+});
+
+test('load merges stored settings over defaults added since they were saved', () => {
+    storage.setItem(CONFIG.SETTINGS_KEY, JSON.stringify({ apiKey: 'sk-test' }));
+
+    const settings = SettingsManager.load();
+    assert.equal(settings.apiKey, 'sk-test');
+    assert.equal(settings.streaming, CONFIG.DEFAULT_SETTINGS.streaming);
+    assert.deepEqual(settings.fallbackModels, []);
+});
+
+test('load falls back to defaults when the stored value is corrupt', () => {
+    storage.setItem(CONFIG.SETTINGS_KEY, '{not json');
+
+    assert.deepEqual(SettingsManager.load(), CONFIG.DEFAULT_SETTINGS);
+});
+
+test('reset clears stored settings', () => {
+    SettingsManager.save({ theme: 'dark' });
+
+    assert.deepEqual(SettingsManager.reset(), CONFIG.DEFAULT_SETTINGS);
+    assert.equal(storage.getItem(CONFIG.SETTINGS_KEY), null);
+    assert.equal(SettingsManager.load().theme, CONFIG.DEFAULT_SETTINGS.theme);
+});